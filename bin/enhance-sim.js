@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Command‑line enhancement simulator; run with --help for options.
+import { main } from "../src/cli.js";
+
+const { code, stdout, stderr } = main(process.argv.slice(2));
+process.stdout.write(stdout);
+process.stderr.write(stderr);
+process.exitCode = code;
@@ -1,46 +1,73 @@
 import React, { useEffect, useRef, useState } from "react";
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
-import { Info, Moon, Sun } from "lucide-react";
+import { BarChart, Bar, LineChart, Line, Legend, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { ChevronLeft, ChevronRight, Info, Moon, Pause, Play, SkipBack, SkipForward, Sun } from "lucide-react";
+import {
+  RNG_KINDS,
+  rngChecks,
+  rateFrequencyChecks,
+  percentile,
+  summarizeRuns,
+  makeHistogram,
+  OUTCOME_KINDS,
+  hasRiskyOutcomes,
+  emptyOutcomeCounts,
+  hasProtection,
+  goldRate,
+  uniformAttemptPrice,
+  WORST_CASE_MAX_STEPS,
+  shardSeed,
+  shardTrials,
+  emptyTrialData,
+  appendTrialData,
+  emptyStreamData,
+  appendStreamData,
+  distributionOf,
+  sketchDistribution,
+  SKETCH_ALPHA,
+  PERCENTILE_MODES,
+  sketchQuantile,
+  sketchMeanError,
+  SEEK_METRICS,
+  SWEEP_METRICS,
+  summarizeTrials,
+  diagnosticChecks,
+  MAX_PATH_LEVELS,
+  syncPathSteps,
+  emptyPathData,
+  appendPathData,
+  traceFullRun,
+  newSession,
+  nextAttempt,
+  applyAttempt,
+  parseAttemptLog,
+  estimateRates,
+  runningMean,
+  trialsForPrecision,
+} from "./engine.js";
+import {
+  SCENARIO_VERSION,
+  normalizeScenario,
+  DEFAULT_SCENARIO,
+  scenarioParams,
+  encodeScenarioHash,
+  decodeScenarioHash,
+  SWEEP_PARAMS,
+  MAX_SWEEP_STEPS,
+  sweepValues,
+} from "./scenario.js";
+import { DEFAULT_PROFILE, BAND_FIELDS, normalizeProfile, bandForLevel, profileScenario, profileStepTemplate } from "./presets.js";
+import { checkParams, checkPath, checkSettings, fieldIssues, blockingText, capWarning } from "./validation.js";
+import { runWorkerJob } from "./jobs.js";
 
 // ------------------------------------------------------------
-// Universal Enhancement Simulator — Single‑File React App (Dark Mode)
+// Universal Enhancement Simulator — React App (Dark Mode)
 // ------------------------------------------------------------
 // Supports ANY single‑step upgrade +L → +(L+1) with configurable stars.
+// The engine lives in engine.js; Monte Carlo runs happen in simWorker.js.
 // Now includes a built‑in light/dark theme toggle (persists to localStorage)
 // and adjusts cards, inputs, tables, and charts for readability.
 // ------------------------------------------------------------
 
-// Default suggested star rule (edit as needed):
-//  - L ≤ 15 → 3 stars (e.g., 15→16)
-//  - L ≥ 20 → 5 stars (e.g., 20→21)
-//  - otherwise → 4 stars (e.g., 18→19)
-function suggestedStarsForLevel(L) {
-  if (L <= 15) return 3;
-  if (L >= 20) return 5;
-  return 4;
-}
-
-// Seeded RNG (LCG)
-function createLCG(seed) {
-  let state = seed >>> 0 || 1;
-  return function rand() {
-    state = (1664525 * state + 1013904223) >>> 0; // Numerical Recipes
-    return state / 0xffffffff;
-  };
-}
-
-// Percentile helper
-function percentile(sortedArr, p) {
-  if (!sortedArr.length) return 0;
-  const pos = (sortedArr.length - 1) * p;
-  const base = Math.floor(pos);
-  const rest = pos - base;
-  if (sortedArr[base + 1] !== undefined) {
-    return sortedArr[base] + rest * (sortedArr[base + 1] - sortedArr[base]);
-  }
-  return sortedArr[base];
-}
-
 function formatNumber(n) {
   if (!isFinite(n)) return "∞";
   return Number(n).toLocaleString();
@@ -51,164 +78,6 @@ function formatGold(n) {
   return `${formatNumber(Math.round(n))} gold`;
 }
 
-// ------------------------------------------------------------
-// Core Simulators (generalized to N stars)
-// ------------------------------------------------------------
-function simulateFullRun(params, rand) {
-  const {
-    goldPerAttempt,
-    starProbs, // length = numStars
-    finalProb,
-    starPityThreshold,
-    finalPityThreshold,
-    starPityResetsOnAnyFail,
-    numStars,
-  } = params;
-
-  let attempts = 0;
-  let gold = 0;
-
-  let starPityFails = Array(numStars).fill(0);
-  let finalPityFails = 0; // persists until success
-  let starAttempts = Array(numStars).fill(0);
-
-  const handleFailReset = () => {
-    if (starPityResetsOnAnyFail) {
-      starPityFails = Array(numStars).fill(0);
-    }
-  };
-
-  for (;;) {
-    // Build all stars
-    let currentStars = 0;
-    for (let i = 0; i < numStars; i++) {
-      attempts += 1;
-      gold += goldPerAttempt;
-      starAttempts[i] += 1; // count this star attempt
-      const guaranteed = starPityFails[i] >= starPityThreshold;
-      const success = guaranteed || rand() < starProbs[i];
-      if (success) {
-        currentStars += 1;
-        starPityFails[i] = 0; // reset pity for this star
-      } else {
-        starPityFails[i] += 1;
-        handleFailReset();
-        currentStars = 0;
-        i = -1; // restart from star 1
-      }
-    }
-
-    // Attempt final upgrade
-    attempts += 1;
-    gold += goldPerAttempt;
-    const finalGuaranteed = finalPityFails >= finalPityThreshold;
-    const finalSuccess = finalGuaranteed || rand() < finalProb;
-    if (finalSuccess) {
-      return { attempts, gold, starAttempts };
-    }
-    // final failed
-    finalPityFails += 1; // persists
-    handleFailReset(); // stars drop to 0 (and possibly reset pity if configured)
-  }
-}
-
-function simulateStarsOnly(params, rand) {
-  const { goldPerAttempt, starProbs, starPityThreshold, starPityResetsOnAnyFail, numStars } = params;
-  let attempts = 0;
-  let gold = 0;
-  let starPityFails = Array(numStars).fill(0);
-  let starAttempts = Array(numStars).fill(0);
-
-  const handleFailReset = () => {
-    if (starPityResetsOnAnyFail) {
-      starPityFails = Array(numStars).fill(0);
-    }
-  };
-
-  let currentStars = 0;
-  while (currentStars < numStars) {
-    const i = currentStars;
-    attempts += 1;
-    gold += goldPerAttempt;
-    starAttempts[i] += 1; // count this star attempt
-
-    const guaranteed = starPityFails[i] >= starPityThreshold;
-    const success = guaranteed || rand() < starProbs[i];
-    if (success) {
-      currentStars += 1;
-      starPityFails[i] = 0;
-    } else {
-      starPityFails[i] += 1;
-      handleFailReset();
-      currentStars = 0;
-    }
-  }
-  return { attempts, gold, starAttempts };
-}
-
-// ------------------------------------------------------------
-// Deterministic Worst‑Case (Full Pity) Calculators (generalized)
-// ------------------------------------------------------------
-function worstCaseStarsOnly(params) {
-  const { goldPerAttempt, starPityThreshold, starPityResetsOnAnyFail, numStars } = params;
-  if (starPityResetsOnAnyFail) return { attempts: Infinity, gold: Infinity };
-
-  let starPityFails = Array(numStars).fill(0);
-  let attempts = 0;
-  let currentStars = 0;
-
-  while (currentStars < numStars) {
-    const i = currentStars;
-    const guaranteed = starPityFails[i] >= starPityThreshold;
-    attempts += 1;
-    if (guaranteed) {
-      // success at pity
-      starPityFails[i] = 0;
-      currentStars += 1;
-    } else {
-      // fail, pity accumulates for this star, and progress wipes
-      starPityFails[i] += 1;
-      currentStars = 0;
-    }
-  }
-  return { attempts, gold: attempts * goldPerAttempt };
-}
-
-function worstCaseFull(params) {
-  const { goldPerAttempt, starPityThreshold, finalPityThreshold, starPityResetsOnAnyFail, numStars } = params;
-  if (starPityResetsOnAnyFail) return { attempts: Infinity, gold: Infinity };
-
-  let starPityFails = Array(numStars).fill(0);
-  let finalPityFails = 0;
-  let attempts = 0;
-
-  for (;;) {
-    // build stars adversarially
-    let currentStars = 0;
-    while (currentStars < numStars) {
-      const i = currentStars;
-      const guaranteed = starPityFails[i] >= starPityThreshold;
-      attempts += 1;
-      if (guaranteed) {
-        starPityFails[i] = 0;
-        currentStars += 1;
-      } else {
-        starPityFails[i] += 1;
-        currentStars = 0;
-      }
-    }
-
-    // final attempt adversarially
-    const finalGuaranteed = finalPityFails >= finalPityThreshold;
-    attempts += 1;
-    if (finalGuaranteed) {
-      return { attempts, gold: attempts * goldPerAttempt };
-    }
-    // fail, stars wiped
-    finalPityFails += 1;
-  }
-}
-
 // ------------------------------------------------------------
 // UI Helpers
 // ------------------------------------------------------------
@@ -260,6 +129,30 @@ function InfoIcon({ text }) {
   );
 }
 
+// Validation messages for one input (see checkParams): red blocks the run, amber only warns
+function FieldIssues({ check, field }) {
+  return fieldIssues(check, field).map((issue, k) => (
+    <p key={k} className={"text-xs mt-1 " + (issue.blocking ? "text-red-500" : "text-amber-500")}>
+      {issue.message}
+    </p>
+  ));
+}
+
+// Number inputs keep an emptied box as NaN (shown empty; null once saved as JSON) so checkParams names
+// the field instead of the run reading it as 0
+const numberInput = (e) => (e.target.value === "" ? NaN : Number(e.target.value));
+const shownNumber = (v) => (v === null || Number.isNaN(v) ? "" : v);
+const fieldValue = (v) => (v === null ? NaN : Number(v)); // a field as state or a saved scenario holds it
+
+// The params field checkPath reports for each path grid column (gold goes to the gold cost column)
+const PATH_STEP_FIELDS = {
+  finalProb: "finalProb",
+  starPityThreshold: "starPityThreshold",
+  finalPityThreshold: "finalPityThreshold",
+  goldPerAttempt: "costs.stars[0][0].amount",
+  finalGoldPerAttempt: "costs.final[0].amount",
+};
+
 function SummaryTable({ title, titleInfo, rows, dark }) {
   return (
     <div className={dark ? "rounded-2xl shadow p-5 bg-neutral-800" : "rounded-2xl shadow p-5 bg-white"}>
@@ -302,27 +195,1015 @@ function SummaryTable({ title, titleInfo, rows, dark }) {
   );
 }
 
+// NaN is a worst case too large to compute (see WORST_CASE_MAX_STEPS)
 function fmtWorstVal(v) {
+  if (Number.isNaN(v)) return "Too large";
   return Number.isFinite(v) ? formatNumber(v) : "Infinite";
 }
 
-function summarizePerStar(perStarArrs) {
-  const rows = [];
-  for (let i = 0; i < perStarArrs.length; i++) {
-    const arr = perStarArrs[i] || [];
+function fmtWorstGold(v) {
+  if (Number.isNaN(v)) return "Too large";
+  return Number.isFinite(v) ? formatGold(v) : "Infinite";
+}
+
+function perStarRows(stats) {
+  return stats.map((st) => ({
+    Star: `Star ${st.star}`,
+    Mean: { value: formatNumber(Math.round(st.mean)), info: "Arithmetic average attempts used on this star." },
+    P50: { value: formatNumber(Math.round(st.p50)), info: "Median attempts for this star." },
+    P90: { value: formatNumber(Math.round(st.p90)), info: "90% of runs use at or below this many attempts for this star." },
+    P99: { value: formatNumber(Math.round(st.p99)), info: "99% of runs use at or below this many attempts for this star." },
+  }));
+}
+
+// Per‑star pity and rate diagnostics (see starDiagnostics); the rebuild column
+// only means something for the full upgrade
+function starDiagnosticRows(diags, rebuilds) {
+  const pct = (x) => (x === null ? "—" : `${(x * 100).toFixed(1)}%`);
+  return diags.map((d) => ({
+    Star: `Star ${d.star}`,
+    "Pity Successes": {
+      value: pct(d.guaranteedShare),
+      info: `${formatNumber(d.guaranteed)} of ${formatNumber(d.successes)} successes were guaranteed by pity; the rest were rolled.`,
+    },
+    "Avg Pity at Success": {
+      value: d.meanPityAtSuccess === null ? "—" : d.meanPityAtSuccess.toFixed(2),
+      info: "Average fail count on this star's pity counter when it succeeded.",
+    },
+    "Observed Rate": { value: pct(d.observedRate), info: "Successes per attempt, pity successes included." },
+    "Rolled Rate": {
+      value: `${pct(d.rolledRate)} (${pct(d.expectedRate)})`,
+      info: "Successes per rolled attempt, next to the configured rate averaged over those attempts. A gap beyond sampling noise points at a model error.",
+    },
+    "Gold Share": { value: pct(d.goldShare), info: "Share of all gold spent on this star." },
+    ...(rebuilds && {
+      "Rebuild Gold": { value: pct(d.rebuildGoldShare), info: "Share of all gold spent rebuilding this star after a failed final." },
+    }),
+  }));
+}
+
+// Standard Monte Carlo summary rows (attempts + gold)
+// With `precision` (monteCarloError output) the mean and percentile rows gain a
+// standard error and 95% interval; null shows them as still being computed,
+// a missing entry (sketch percentiles) as unavailable.
+function monteCarloRows(summary, precision) {
+  const rows = [
+    { Metric: "Mean Attempts", Value: { value: formatNumber(Math.round(summary.meanAttempts)), info: "Arithmetic average across runs." } },
+    {
+      Metric: "P50 (Median) Attempts",
+      Value: { value: formatNumber(Math.round(summary.medianAttempts)), info: "Half of runs finish at or below this." },
+    },
+    { Metric: "P90 Attempts", Value: { value: formatNumber(Math.round(summary.p90Attempts)), info: "90% of runs finish at or below this." } },
+    { Metric: "P99 Attempts", Value: { value: formatNumber(Math.round(summary.p99Attempts)), info: "99% of runs finish at or below this." } },
+    { Metric: "Mean Gold", Value: { value: formatGold(summary.meanGold), info: "Every resource priced in gold at its exchange rate." } },
+    { Metric: "P50 (Median) Gold", Value: { value: formatGold(summary.medianGold), info: "Gold at median attempts." } },
+    { Metric: "P90 Gold", Value: { value: formatGold(summary.p90Gold), info: "Gold at 90th percentile attempts." } },
+    { Metric: "P99 Gold", Value: { value: formatGold(summary.p99Gold), info: "Gold at 99th percentile attempts." } },
+    ...(summary.meanItems === undefined
+      ? []
+      : [
+          {
+            Metric: "Mean Protection Items",
+            Value: { value: formatNumber(Number(summary.meanItems.toFixed(2))), info: "Items consumed by protected attempts." },
+          },
+          { Metric: "P90 Protection Items", Value: formatNumber(Math.round(summary.p90Items)) },
+          { Metric: "Mean Combined Cost", Value: { value: formatGold(summary.meanCombined), info: "Gold + protection items × gold per item." } },
+          { Metric: "P90 Combined Cost", Value: formatGold(summary.p90Combined) },
+          { Metric: "P99 Combined Cost", Value: formatGold(summary.p99Combined) },
+        ]),
+  ];
+  if (precision === undefined) return rows;
+  const keys = ["meanAttempts", "medianAttempts", "p90Attempts", "p99Attempts", "meanGold", "medianGold", "p90Gold", "p99Gold"];
+  return rows.map((row, i) => {
+    const err = precision && precision[keys[i]];
+    if (!err) {
+      const none = precision ? { value: "—", info: "Sketch percentiles keep no runs to bootstrap from." } : "…";
+      return { ...row, "± SE": i < keys.length ? none : "", "95% CI": i < keys.length ? none : "" };
+    }
+    const gold = keys[i].endsWith("Gold");
+    const fmt = (v) => (gold ? formatGold(v) : formatNumber(Math.round(v)));
+    return { ...row, "± SE": gold ? formatGold(err.se) : formatNumber(Number(err.se.toFixed(1))), "95% CI": `${fmt(err.lo)} – ${fmt(err.hi)}` };
+  });
+}
+
+// Worst‑case rows (attempts, gold and, with protection, items + combined cost)
+function worstCaseRows(wc, goldPerItem, withProtection) {
+  const rows = [
+    {
+      Metric: "Attempts",
+      Value: {
+        value: fmtWorstVal(wc.attempts),
+        info: `Infinite when failing can go on forever: pity that resets on each fail, soft pity capped below 100% without a guarantee, or a shared pool emptied before later stars reach it. Too large when it takes over ${formatNumber(WORST_CASE_MAX_STEPS)} attempts to work out.`,
+      },
+    },
+    {
+      Metric: "Gold",
+      Value: {
+        value: fmtWorstGold(wc.gold),
+        info: "Every resource priced in gold at its exchange rate.",
+      },
+    },
+  ];
+  const names = Object.keys(wc.resources || {});
+  if (names.length > 1) {
+    names.forEach((name) => rows.push({ Metric: `${name} used`, Value: fmtWorstVal(Math.round(wc.resources[name] * 100) / 100) }));
+  }
+  if (withProtection) {
+    const combined = wc.gold + wc.protectionUsed * goldPerItem;
+    rows.push(
+      { Metric: "Protection Items", Value: fmtWorstVal(wc.protectionUsed) },
+      { Metric: "Combined Cost", Value: fmtWorstGold(combined) }
+    );
+  }
+  return rows;
+}
+
+// Per‑resource mean / percentiles plus the gold‑priced total, from per‑run
+// amounts or (sketch percentiles) a sketch per resource and one of gold
+function resourceRows(resourceRuns, goldArr, params) {
+  const sketched = !Array.isArray(resourceRuns);
+  const names = sketched ? Object.keys(resourceRuns) : [];
+  if (!sketched) for (const r of resourceRuns) for (const k in r) if (!names.includes(k)) names.push(k);
+  const amount = (n) => formatNumber(Number(n.toFixed(2)));
+  const stats = (arr, fmt) => {
+    if (!Array.isArray(arr)) {
+      return { Mean: fmt(arr.mean), P50: fmt(sketchQuantile(arr, 0.5)), P90: fmt(sketchQuantile(arr, 0.9)), P99: fmt(sketchQuantile(arr, 0.99)) };
+    }
     const sorted = [...arr].sort((a, b) => a - b);
-    const mean = arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+    return {
+      Mean: fmt(sorted.reduce((a, b) => a + b, 0) / (sorted.length || 1)),
+      P50: fmt(percentile(sorted, 0.5)),
+      P90: fmt(percentile(sorted, 0.9)),
+      P99: fmt(percentile(sorted, 0.99)),
+    };
+  };
+  const rows = names.map((name) => {
+    const rate = goldRate(params, name);
+    return {
+      Resource: name,
+      ...stats(sketched ? resourceRuns[name] : resourceRuns.map((r) => r[name] || 0), amount),
+      "Gold / Unit": rate ? formatNumber(rate) : { value: "—", info: "No exchange rate: tracked but not in the gold total." },
+    };
+  });
+  rows.push({
+    Resource: { value: "Total (gold‑priced)", info: "Sum of every resource × its exchange rate." },
+    ...stats(goldArr, formatGold),
+    "Gold / Unit": "",
+  });
+  return rows;
+}
+
+// Protected vs. unprotected full‑upgrade summaries side by side
+function protectionComparisonRows(prot, unprot, showReplacements) {
+  const delta = (a, b, fmt) => (b === 0 ? "—" : `${a - b >= 0 ? "+" : "−"}${fmt(Math.abs(a - b))}`);
+  const num = (n) => formatNumber(Number(n.toFixed(2)));
+  const rows = [
+    ["Mean Attempts", prot.meanAttempts, unprot.meanAttempts, num],
+    ["P90 Attempts", prot.p90Attempts, unprot.p90Attempts, num],
+    ["Mean Gold", prot.meanGold, unprot.meanGold, formatGold],
+    ["Mean Protection Items", prot.meanItems, 0, num],
+    ["Mean Combined Cost", prot.meanCombined, unprot.meanGold, formatGold],
+    ["P90 Combined Cost", prot.p90Combined, unprot.p90Gold, formatGold],
+  ];
+  if (showReplacements) rows.push(["Mean Replacements", prot.meanReplacements, unprot.meanReplacements, num]);
+  return rows.map(([Metric, a, b, fmt]) => ({ Metric, Protected: fmt(a), Unprotected: fmt(b), Δ: delta(a, b, fmt) }));
+}
+
+// Exact (Markov) vs. simulated (Monte Carlo) side‑by‑side rows
+function exactComparisonRows(exact, summary, params) {
+  const ex = (fn) => (exact.ok ? fn(exact) : { value: "—", info: exact.reason });
+  const price = uniformAttemptPrice(params);
+  const round = (n) => formatNumber(Math.round(n));
+  return [
+    {
+      Metric: "Mean Attempts",
+      Exact: ex((e) => formatNumber(Number(e.mean.toFixed(2)))),
+      Simulated: formatNumber(Number(summary.meanAttempts.toFixed(2))),
+    },
+    {
+      Metric: "Std Dev Attempts",
+      Exact: ex((e) => formatNumber(Number(e.sd.toFixed(2)))),
+      Simulated: formatNumber(Number(summary.sdAttempts.toFixed(2))),
+    },
+    { Metric: "P50 Attempts", Exact: ex((e) => round(e.p50)), Simulated: round(summary.medianAttempts) },
+    { Metric: "P90 Attempts", Exact: ex((e) => round(e.p90)), Simulated: round(summary.p90Attempts) },
+    { Metric: "P99 Attempts", Exact: ex((e) => round(e.p99)), Simulated: round(summary.p99Attempts) },
+    {
+      Metric: "Mean Gold",
+      Exact:
+        price === null
+          ? { value: "—", info: "Attempt types cost different amounts; only attempts are solved exactly." }
+          : ex((e) => formatGold(e.mean * price)),
+      Simulated: formatGold(summary.meanGold),
+    },
+  ];
+}
+
+// P(success within budget) and where out‑of‑budget runs stood
+function summarizeBudget(budgetStates, numStars) {
+  const stuck = budgetStates.filter(Boolean);
+  const n = budgetStates.length || 1;
+  const starsHeld = Array(numStars + 1).fill(0);
+  const pitySum = Array(numStars).fill(0);
+  const pityMax = Array(numStars).fill(0);
+  const finalPity = [];
+  let reclimbing = 0;
+  for (const st of stuck) {
+    starsHeld[Math.min(st.stars, numStars)] += 1;
+    st.starPity.forEach((c, i) => {
+      pitySum[i] += c;
+      pityMax[i] = Math.max(pityMax[i], c);
+    });
+    finalPity.push(st.finalPity);
+    if (st.reclimbing) reclimbing += 1;
+  }
+  const m = stuck.length || 1;
+  finalPity.sort((a, b) => a - b);
+  return {
+    pSuccess: 1 - stuck.length / n,
+    stuck: stuck.length,
+    starsHeldShare: starsHeld.map((c) => c / m),
+    meanStarPity: pitySum.map((x) => x / m),
+    maxStarPity: pityMax,
+    meanFinalPity: finalPity.reduce((a, b) => a + b, 0) / m,
+    p90FinalPity: percentile(finalPity, 0.9),
+    reclimbingShare: reclimbing / m,
+  };
+}
+
+// P(success within budget) alone, from stream data's out‑of‑budget count
+function streamBudget(overBudget, runs) {
+  return { pSuccess: 1 - overBudget / (runs || 1), stuck: overBudget };
+}
+
+function budgetLabel(budget) {
+  return budget.kind === "gold" ? formatGold(budget.amount) : `${formatNumber(budget.amount)} attempts`;
+}
+
+function budgetRows(stars, full, numStars) {
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const rows = [];
+  for (let k = 0; k <= numStars; k++) {
+    rows.push({
+      State: k === numStars ? `All ${numStars} stars (at final)` : `${k} star${k === 1 ? "" : "s"} held`,
+      "Build Stars": k === numStars ? "—" : stars.stuck ? pct(stars.starsHeldShare[k]) : "—",
+      "Full Upgrade": full.stuck ? pct(full.starsHeldShare[k]) : "—",
+    });
+  }
+  for (let i = 0; i < numStars; i++) {
     rows.push({
-      Star: `Star ${i + 1}`,
-      Mean: { value: formatNumber(Math.round(mean)), info: "Arithmetic average attempts used on this star." },
-      P50: { value: formatNumber(Math.round(percentile(sorted, 0.5))), info: "Median attempts for this star." },
-      P90: { value: formatNumber(Math.round(percentile(sorted, 0.9))), info: "90% of runs use at or below this many attempts for this star." },
-      P99: { value: formatNumber(Math.round(percentile(sorted, 0.99))), info: "99% of runs use at or below this many attempts for this star." },
+      State: { value: `Star ${i + 1} pity (mean / max)`, info: "Failures banked toward this star's pity when the budget ran out." },
+      "Build Stars": stars.stuck ? `${stars.meanStarPity[i].toFixed(2)} / ${stars.maxStarPity[i]}` : "—",
+      "Full Upgrade": full.stuck ? `${full.meanStarPity[i].toFixed(2)} / ${full.maxStarPity[i]}` : "—",
     });
   }
+  rows.push({
+    State: { value: "Final pity (mean / P90)", info: "Failed finals banked toward final pity." },
+    "Build Stars": "—",
+    "Full Upgrade": full.stuck ? `${full.meanFinalPity.toFixed(2)} / ${Math.round(full.p90FinalPity)}` : "—",
+  });
+  if (full.reclimbingShare > 0) {
+    rows.push({ State: "Re‑climbing dropped levels", "Build Stars": "—", "Full Upgrade": pct(full.reclimbingShare) });
+  }
   return rows;
 }
 
+// Per‑run outcome counts → mean per run and share of failed finals. With
+// sketch percentiles the outcomes arrive as totals and replacements as a sketch.
+function outcomeRows(outcomeRuns, replacementRuns, replacementCost) {
+  const sketched = !Array.isArray(replacementRuns);
+  const n = runCount(replacementRuns) || 1;
+  const totals = sketched ? outcomeRuns : emptyOutcomeCounts();
+  if (!sketched) for (const o of outcomeRuns) OUTCOME_KINDS.forEach((k) => (totals[k] += o[k]));
+  const failed = OUTCOME_KINDS.reduce((a, k) => a + totals[k], 0);
+  const labels = { stay: "Stay at +L", drop: "Drop level(s)", break: "Break (replaced)" };
+  const meanReplacements = sketched ? replacementRuns.mean : replacementRuns.reduce((a, b) => a + b, 0) / n;
+  const anyBreak = (sketched ? replacementRuns.n - replacementRuns.zeros : replacementRuns.filter((r) => r > 0).length) / n;
+  return [
+    ...OUTCOME_KINDS.map((k) => ({
+      Outcome: labels[k],
+      "Mean / Run": (totals[k] / n).toFixed(2),
+      "Share of Failed Finals": failed ? `${((totals[k] / failed) * 100).toFixed(1)}%` : "—",
+    })),
+    {
+      Outcome: { value: "Item replacements", info: "Expected number of broken items replaced per run (including during re‑climbs)." },
+      "Mean / Run": meanReplacements.toFixed(3),
+      "Share of Failed Finals": `P(≥1) ${(anyBreak * 100).toFixed(1)}%`,
+    },
+    {
+      Outcome: { value: "Replacement gold", info: "Included in the gold figures above." },
+      "Mean / Run": formatGold(meanReplacements * replacementCost),
+      "Share of Failed Finals": "",
+    },
+  ];
+}
+
+// ------------------------------------------------------------
+// Saved Scenario Library (localStorage) + Comparison
+// ------------------------------------------------------------
+const LIBRARY_KEY = "enhance_sim_library";
+const COMPARE_COLORS = ["#4f46e5", "#db2777", "#059669", "#d97706", "#0891b2", "#7c3aed"];
+
+// Entries are { name, savedAt, scenario }; unreadable ones are dropped
+function loadLibrary() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LIBRARY_KEY) || "[]");
+    if (!Array.isArray(raw)) return [];
+    return raw.flatMap((e) => {
+      try {
+        return [{ name: String(e.name), savedAt: e.savedAt, scenario: normalizeScenario(e.scenario) }];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+}
+
+function storeLibrary(entries) {
+  try {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(entries));
+  } catch {}
+}
+
+// ------------------------------------------------------------
+// Preset Profiles (localStorage)
+// ------------------------------------------------------------
+const PROFILES_KEY = "enhance_sim_profiles";
+
+// { active, profiles } where profiles are the user's own (the built‑in Default
+// is never stored); unreadable profiles are dropped
+function loadProfiles() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null");
+    const profiles = (Array.isArray(raw?.profiles) ? raw.profiles : []).flatMap((p) => {
+      try {
+        return [normalizeProfile(p)];
+      } catch {
+        return [];
+      }
+    });
+    return { active: profiles.some((p) => p.name === raw.active) ? raw.active : DEFAULT_PROFILE.name, profiles };
+  } catch {
+    return { active: DEFAULT_PROFILE.name, profiles: [] };
+  }
+}
+
+function storeProfiles(store) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
+  } catch {}
+}
+
+// ------------------------------------------------------------
+// Live Session (localStorage)
+// ------------------------------------------------------------
+const LIVE_KEY = "enhance_sim_live";
+const LIVE_UNDO_LIMIT = 200;
+
+// { session, history } or null; history holds earlier sessions for undo
+function loadLiveSession() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LIVE_KEY) || "null");
+    return raw && raw.session && Array.isArray(raw.history) ? raw : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeLiveSession(live) {
+  try {
+    localStorage.setItem(LIVE_KEY, JSON.stringify(live));
+  } catch {}
+}
+
+// A session reshaped to the current star count and pity model. Held stars'
+// own counters are 0 (their last attempt succeeded); a shared pool keeps its count.
+function fitSession(session, fresh, numStars, shared) {
+  if (!session) return fresh;
+  const count = (v) => Math.max(0, Math.floor(Number(v) || 0));
+  const stars = Math.min(count(session.stars), numStars);
+  const starPity = fresh.starPity.map((_, k) => (!shared && k < stars ? 0 : count(session.starPity?.[k])));
+  return { ...fresh, ...session, stars, starPity, finalPity: count(session.finalPity) };
+}
+
+// One comparison column from a saved scenario's finished run (see startSingleRun);
+// `attempts` keeps the full‑upgrade series for the overlay chart
+function comparisonItem(name, params, data, analysis) {
+  const summary = summarizeTrials(params, data);
+  return {
+    name,
+    trials: runCount(data.fullAttempts),
+    summary: summary.full,
+    attempts: data.fullAttempts,
+    binSize: summary.distributions.full.attempts.binSize,
+    wcStars: analysis.wcStars,
+    wcFull: analysis.wcFull,
+  };
+}
+
+function formatDelta(v, base) {
+  if (v === base) return "±0%";
+  if (!Number.isFinite(v) || !Number.isFinite(base) || base === 0) return "n/a";
+  const pct = ((v - base) / base) * 100;
+  return (pct > 0 ? "+" : "") + pct.toFixed(1) + "%";
+}
+
+// One column per scenario; every column after the first shows its change vs. the first
+function comparisonRows(items, metrics) {
+  return metrics.map((m) => {
+    const row = { Metric: { value: m.label, info: m.info } };
+    const base = m.get(items[0]);
+    items.forEach((it, i) => {
+      const v = m.get(it);
+      row[it.name] = i === 0 ? m.fmt(v) : `${m.fmt(v)} (${formatDelta(v, base)})`;
+    });
+    return row;
+  });
+}
+
+const fmtAttempts = (v) => formatNumber(Math.round(v));
+
+const COMPARE_MC_METRICS = [
+  { label: "Mean Attempts", info: "Arithmetic average across runs.", get: (it) => it.summary.meanAttempts, fmt: fmtAttempts },
+  { label: "P50 (Median) Attempts", get: (it) => it.summary.medianAttempts, fmt: fmtAttempts },
+  { label: "P90 Attempts", get: (it) => it.summary.p90Attempts, fmt: fmtAttempts },
+  { label: "P99 Attempts", get: (it) => it.summary.p99Attempts, fmt: fmtAttempts },
+  { label: "Mean Gold", info: "Every resource priced in gold at its exchange rate.", get: (it) => it.summary.meanGold, fmt: formatGold },
+  { label: "P50 (Median) Gold", get: (it) => it.summary.medianGold, fmt: formatGold },
+  { label: "P90 Gold", get: (it) => it.summary.p90Gold, fmt: formatGold },
+  { label: "P99 Gold", get: (it) => it.summary.p99Gold, fmt: formatGold },
+];
+
+const COMPARE_WORST_METRICS = [
+  { label: "Stars Only — Attempts", get: (it) => it.wcStars.attempts, fmt: fmtWorstVal },
+  { label: "Stars Only — Gold", get: (it) => it.wcStars.gold, fmt: fmtWorstGold },
+  { label: "Full Upgrade — Attempts", get: (it) => it.wcFull.attempts, fmt: fmtWorstVal },
+  { label: "Full Upgrade — Gold", get: (it) => it.wcFull.gold, fmt: fmtWorstGold },
+];
+
+// Histograms on shared bins as % of each scenario's runs (trial counts may differ)
+function overlayHistograms(items) {
+  const binSize = Math.max(...items.map((it) => it.binSize)); // the widest adaptive bin fits every scenario
+  const byBin = new Map();
+  items.forEach((it, i) => {
+    const { histogram } = Array.isArray(it.attempts)
+      ? distributionOf(it.attempts, "attempts", binSize)
+      : sketchDistribution(it.attempts, "attempts", binSize);
+    for (const { attempts, runs } of histogram) {
+      if (!byBin.has(attempts)) byBin.set(attempts, { attempts });
+      byBin.get(attempts)[`s${i}`] = (runs / it.trials) * 100;
+    }
+  });
+  return [...byBin.values()]
+    .sort((a, b) => a.attempts - b.attempts)
+    .map((row) => {
+      items.forEach((_, i) => (row[`s${i}`] ??= 0));
+      return row;
+    });
+}
+
+// ------------------------------------------------------------
+// Sweep Display
+// ------------------------------------------------------------
+function formatSweepValue(metric, v, compact) {
+  if (v === null || v === undefined) return "…";
+  if (Number.isNaN(v)) return "Too large";
+  const kind = SEEK_METRICS[metric].kind;
+  if (kind === "share") return `${(v * 100).toFixed(1)}%`;
+  if (compact) return new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 }).format(v);
+  return kind === "gold" ? formatGold(v) : formatNumber(Math.round(v));
+}
+
+// Red (worst) → green (best) across the values computed so far
+function heatColor(metric, v, min, max, dark) {
+  if (v === null || v === undefined) return "transparent";
+  const t = max > min ? (v - min) / (max - min) : 0.5;
+  const good = SWEEP_METRICS[metric].lowerIsBetter ? 1 - t : t;
+  return `hsl(${Math.round(good * 120)}, 65%, ${dark ? 30 : 78}%)`;
+}
+
+// ------------------------------------------------------------
+// Replay Panel
+// ------------------------------------------------------------
+const REPLAY_SPEEDS = [1, 4, 16, 64]; // attempts per second
+const REPLAY_LOG_ROWS = 12;
+
+function describeEvent(ev) {
+  const what = ev.star === null ? `final +${ev.level} → +${ev.level + 1}` : `star ${ev.star + 1} at +${ev.level}`;
+  const how = ev.guaranteed ? "guaranteed by pity" : `rolled ${ev.roll.toFixed(4)} against ${(ev.rate * 100).toFixed(1)}%`;
+  let result = ev.success ? "success" : "fail";
+  const before = ev.star === null ? ev.numStars : ev.star;
+  if (!ev.success && before > 0) {
+    if (ev.starsAfter === before) result += ", stars kept";
+    else result += ev.starsAfter === 0 ? ", stars wiped" : `, back to ${ev.starsAfter} star${ev.starsAfter === 1 ? "" : "s"}`;
+  }
+  if (ev.outcome === "drop") result += ", item dropped a level";
+  if (ev.outcome === "break") result += ", item broke";
+  return `Attempt ${formatNumber(ev.attempt)}: ${what}, ${how} → ${result}.`;
+}
+
+function PityMeter({ label, fails, at, cls, dark }) {
+  const finite = Number.isFinite(at);
+  const share = finite ? (at === 0 ? 1 : Math.min(1, fails / at)) : 0;
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <span className={"w-20 shrink-0 " + cls.muted}>{label}</span>
+      <div className={"h-2 flex-1 rounded " + (dark ? "bg-neutral-700" : "bg-gray-200")}>
+        <div className={"h-2 rounded " + (share >= 1 ? "bg-emerald-500" : "bg-indigo-500")} style={{ width: `${share * 100}%` }} />
+      </div>
+      <span className="w-16 text-right tabular-nums">{finite ? `${fails} / ${at}` : `${fails} fails`}</span>
+    </div>
+  );
+}
+
+// Steps through a traceFullRun result; the star bar and meters show the state
+// right after the current attempt.
+function ReplayPanel({ trace, cls, dark }) {
+  const { events } = trace;
+  const [pos, setPos] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+  const last = events.length - 1;
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      setPos((p) => {
+        if (p >= last) {
+          setPlaying(false);
+          return p;
+        }
+        return p + 1;
+      });
+    }, 1000 / speed);
+    return () => clearInterval(timer);
+  }, [playing, speed, last]);
+
+  if (!events.length) return null;
+  const ev = events[pos];
+  const go = (p) => {
+    setPlaying(false);
+    setPos(Math.max(0, Math.min(last, p)));
+  };
+  const iconBtn = cls.tab(false) + " inline-flex items-center";
+  const log = events.slice(Math.max(0, pos - REPLAY_LOG_ROWS + 1), pos + 1).reverse();
+  const fmtPct = (x) => `${(x * 100).toFixed(1)}%`;
+
+  return (
+    <section className="space-y-6">
+      <div className={cls.card + " space-y-4"}>
+        <h3 className="text-xl font-semibold">
+          Replay — seed {trace.seed}
+          <InfoIcon text="One full run with the current settings, attempt by attempt. The same seed always replays the same run." />
+        </h3>
+        <p className={cls.muted}>
+          {formatNumber(events.length)} attempts, {formatGold(events[last].gold)}
+          {trace.truncated ? " — stopped early, the run had not finished" : ""}.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => go(0)} className={iconBtn} aria-label="First attempt">
+            <SkipBack size={16} />
+          </button>
+          <button onClick={() => go(pos - 1)} className={iconBtn} aria-label="Previous attempt">
+            <ChevronLeft size={16} />
+          </button>
+          <button onClick={() => (pos >= last ? go(0) : setPlaying((x) => !x))} className={iconBtn} aria-label={playing ? "Pause" : "Play"}>
+            {playing ? <Pause size={16} /> : <Play size={16} />}
+          </button>
+          <button onClick={() => go(pos + 1)} className={iconBtn} aria-label="Next attempt">
+            <ChevronRight size={16} />
+          </button>
+          <button onClick={() => go(last)} className={iconBtn} aria-label="Last attempt">
+            <SkipForward size={16} />
+          </button>
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className={cls.inputCompact}>
+            {REPLAY_SPEEDS.map((v) => (
+              <option key={v} value={v}>
+                {v} / s
+              </option>
+            ))}
+          </select>
+          <input type="range" min={0} max={last} value={pos} onChange={(e) => go(Number(e.target.value))} className="flex-1 min-w-[8rem]" />
+          <span className="text-sm tabular-nums">
+            {formatNumber(pos + 1)} / {formatNumber(events.length)}
+          </span>
+        </div>
+
+        <p className={dark ? "text-neutral-200" : "text-gray-800"}>{describeEvent(ev)}</p>
+
+        {/* Star bar: held stars after this attempt; the attempted slot is outlined */}
+        <div className="flex flex-wrap items-center gap-1">
+          {Array.from({ length: ev.numStars + 1 }).map((_, i) => {
+            const isFinal = i === ev.numStars;
+            const attempted = isFinal ? ev.star === null : ev.star === i;
+            const held = isFinal ? ev.star === null && ev.success : i < ev.starsAfter;
+            const ring = attempted ? (ev.success ? " ring-2 ring-emerald-500" : " ring-2 ring-red-500") : "";
+            const fill = held ? "bg-amber-400 text-neutral-900" : dark ? "bg-neutral-700" : "bg-gray-200";
+            return (
+              <div
+                key={i}
+                className={`h-9 ${isFinal ? "px-3" : "w-9"} rounded-lg flex items-center justify-center text-xs font-semibold ${fill}${ring}`}
+              >
+                {isFinal ? `+${ev.level + 1}` : `★${i + 1}`}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="space-y-1 max-w-xl">
+          {trace.shared ? (
+            <PityMeter label="Star pool" fails={ev.starPity[0]} at={trace.starAt[0]} cls={cls} dark={dark} />
+          ) : (
+            ev.starPity.map((fails, i) => <PityMeter key={i} label={`Star ${i + 1}`} fails={fails} at={trace.starAt[i]} cls={cls} dark={dark} />)
+          )}
+          <PityMeter label="Final" fails={ev.finalPity} at={trace.finalAt} cls={cls} dark={dark} />
+        </div>
+      </div>
+
+      <SummaryTable
+        dark={dark}
+        title="Event Log"
+        titleInfo="The most recent attempts up to the current one, newest first. Pity is the counter before the attempt."
+        rows={log.map((e) => ({
+          "#": formatNumber(e.attempt),
+          Level: `+${e.level}`,
+          Attempt: e.star === null ? "Final" : `Star ${e.star + 1}`,
+          Rate: fmtPct(e.rate),
+          Roll: e.roll === null ? "—" : e.roll.toFixed(4),
+          Pity: e.guaranteed ? `${e.pity} (guaranteed)` : e.pity,
+          Result: (e.success ? "Success" : "Fail") + (e.outcome && e.outcome !== "stay" ? ` (${e.outcome})` : ""),
+          Stars: e.starsAfter,
+          "Gold so far": formatGold(e.gold),
+        }))}
+      />
+    </section>
+  );
+}
+
+// ------------------------------------------------------------
+// Distribution Charts
+// ------------------------------------------------------------
+// Histogram and CDF of one process's runs (summarizeTrials distributions), by
+// attempts or gold. With `log` the histogram's counts use a log axis and the
+// CDF turns into the share of runs above x on a log axis, so rare tail runs
+// stay visible.
+const compactNumber = new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 });
+const X_LABELS = { attempts: "Attempts", gold: "Gold" };
+
+function formatX(x, v) {
+  return x === "gold" ? formatGold(v) : formatNumber(Math.round(v));
+}
+
+// Bars from sketch percentiles can hold fractions of runs (see sketchDistribution)
+function HistogramChart({ dist, x, log, cls }) {
+  const data = log ? dist.histogram.map((b) => ({ ...b, runs: b.runs || null })) : dist.histogram;
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data}>
+          <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
+          <XAxis dataKey={x} tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} tickFormatter={(v) => compactNumber.format(v)} />
+          <YAxis
+            tick={{ fill: cls.chartAxis }}
+            stroke={cls.chartAxisStroke}
+            scale={log ? "log" : "auto"}
+            domain={log ? [0.5, "auto"] : [0, "auto"]}
+            allowDataOverflow={log}
+            tickFormatter={(v) => compactNumber.format(v)}
+          />
+          <Tooltip
+            formatter={(value) => [formatNumber(Number((value ?? 0).toFixed(1))), "runs"]}
+            labelFormatter={(l) => `${X_LABELS[x]} ${formatX(x, l)} – ${formatX(x, l + dist.binSize - (x === "attempts" ? 1 : 0))}`}
+          />
+          <Bar dataKey="runs" fill={cls.barFill} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// marks: [{ label, value }] drawn as vertical reference lines. One far past the
+// data (a worst case many times P99) would squash the curve, so it is listed
+// under the chart instead.
+function CdfChart({ dist, x, log, marks, cls }) {
+  const maxX = dist.cdf.length ? dist.cdf[dist.cdf.length - 1].x : 0;
+  const shown = marks.filter((m) => Number.isFinite(m.value) && m.value <= 1.5 * maxX);
+  const offChart = marks.filter((m) => !shown.includes(m));
+  const pct = (v) => `${+(v * 100).toPrecision(3)}%`;
+  return (
+    <>
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={dist.cdf}>
+            <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={["dataMin", "dataMax"]}
+              tick={{ fill: cls.chartAxis }}
+              stroke={cls.chartAxisStroke}
+              tickFormatter={(v) => compactNumber.format(v)}
+            />
+            <YAxis
+              tick={{ fill: cls.chartAxis }}
+              stroke={cls.chartAxisStroke}
+              scale={log ? "log" : "auto"}
+              domain={log ? ["auto", 1] : [0, 1]}
+              allowDataOverflow={log}
+              tickFormatter={pct}
+              width={60}
+            />
+            <Tooltip
+              formatter={(value) => [pct(value), log ? "Runs above" : "Runs at or below"]}
+              labelFormatter={(l) => `${X_LABELS[x]} ${formatX(x, l)}`}
+            />
+            <Line type="stepAfter" dataKey={log ? "tail" : "p"} stroke={cls.lineA} dot={false} isAnimationActive={false} />
+            {shown.map((m) => (
+              <ReferenceLine
+                key={m.label}
+                x={m.value}
+                stroke={cls.lineB}
+                strokeDasharray="4 4"
+                ifOverflow="extendDomain"
+                label={{ value: m.label, position: "insideTopRight", fill: cls.chartAxis, fontSize: 11 }}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      {offChart.length > 0 && (
+        <p className={"text-sm " + cls.muted}>
+          Off the chart: {offChart.map((m) => `${m.label} ${Number.isFinite(m.value) ? formatX(x, m.value) : "infinite"}`).join(", ")}.
+        </p>
+      )}
+    </>
+  );
+}
+
+// ------------------------------------------------------------
+// Worker Runner (single upgrade)
+// ------------------------------------------------------------
+const PARTIAL_PAINT_MS = 400;
+const MAX_WORKERS = 8;
+// Auto trials: a pilot run sizes the real one; never more than AUTO_MAX_TRIALS
+const AUTO_PILOT_TRIALS = 5000;
+const AUTO_MAX_TRIALS = 500000;
+// Trial caps: per‑run arrays are held in memory, sketches stay a fixed size
+const MAX_TRIALS = 200000;
+const SKETCH_MAX_TRIALS = 10000000;
+const AUTO_PRECISIONS = [0.005, 0.01, 0.02, 0.05];
+
+// Trials and workers a run uses once checkParams has passed them: whole
+// counts, capped at what the percentile mode holds and at MAX_WORKERS
+function runCounts(trials, workers, sketch) {
+  return { trials: Math.min(sketch ? SKETCH_MAX_TRIALS : MAX_TRIALS, Math.floor(trials)), workers: Math.min(MAX_WORKERS, workers) };
+}
+
+// Runs each job on its own Web Worker (inline where workers are unavailable).
+// onMessage(k, msg) sees every message of job k; onAllDone fires once every job
+// has posted "done". Returns a cancel function.
+function startWorkerJobs(jobs, { onMessage, onAllDone, onError }) {
+  const pool = [];
+  let finished = 0;
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    pool.forEach((w) => w.terminate());
+  };
+  const handle = (k, msg) => {
+    if (stopped) return;
+    onMessage(k, msg);
+    if (msg.type === "done" && ++finished === jobs.length) {
+      stop();
+      onAllDone();
+    }
+  };
+
+  if (typeof Worker === "undefined") {
+    jobs.forEach((job, k) => runWorkerJob(job, (msg) => handle(k, msg)));
+    return stop;
+  }
+  jobs.forEach((job, k) => {
+    const w = new Worker(new URL("./simWorker.js", import.meta.url), { type: "module" });
+    w.onmessage = (e) => handle(k, e.data);
+    w.onerror = (e) => {
+      if (stopped) return;
+      stop();
+      onError(e.message || "worker error");
+    };
+    pool.push(w);
+    w.postMessage(job);
+  });
+  return stop;
+}
+
+// Spreads the trials over `workers` shards and merges shard buffers in shard
+// order. With `sketch` the shards send stream data (see emptyStreamData).
+function startSingleRun(params, { seed, rng, trials, workers, sketch }, { onProgress, onDone, onError }) {
+  const counts = shardTrials(trials, workers);
+  const fresh = () => (sketch ? emptyStreamData(params.numStars, sketch) : emptyTrialData(params.numStars));
+  const append = sketch ? appendStreamData : appendTrialData;
+  const shards = counts.map(fresh);
+  const total = trials * (hasProtection(params) ? 2 : 1);
+  let analysis = null;
+
+  const merged = () => shards.reduce((acc, d) => append(acc, d), fresh());
+  const received = () => shards.reduce((n, d) => n + runCount(d.fullAttempts) + runCount(d.bareAttempts), 0);
+
+  const jobs = counts.map((n, k) => ({ params, seed: shardSeed(seed, k), rng, sketch, trials: n, analyze: k === 0 }));
+  return startWorkerJobs(jobs, {
+    onMessage: (k, msg) => {
+      if (msg.type === "analysis") analysis = msg;
+      if (msg.type !== "chunk") return;
+      append(shards[k], msg.data);
+      onProgress(received(), total, () => ({ data: merged(), analysis }));
+    },
+    onAllDone: () => onDone(merged(), analysis),
+    onError,
+  });
+}
+
+// Cancel marks only in‑progress results; finished ones (of any mode) stay as they are
+function markCancelled(r) {
+  return r?.partial ? { ...r, partial: { ...r.partial, cancelled: true } } : r;
+}
+
+// Runs in a per‑run array or a sketch
+function runCount(series) {
+  return Array.isArray(series) ? series.length : series.n;
+}
+
+// Grid points are dealt round‑robin to the workers; each point's value only
+// depends on its own params and the seed, so the worker count never changes results.
+function startSweep(pointParams, { trials, seed, rng, metric, workers }, { onProgress, onDone, onError }) {
+  const values = Array(pointParams.length).fill(null);
+  let received = 0;
+  const n = Math.max(1, Math.min(workers, pointParams.length));
+  const points = pointParams.map((params, index) => ({ index, params }));
+  const jobs = Array.from({ length: n }, (_, k) => ({ kind: "sweep", trials, seed, rng, metric, points: points.filter((_, i) => i % n === k) }));
+  return startWorkerJobs(jobs, {
+    onMessage: (k, msg) => {
+      if (msg.type !== "point") return;
+      values[msg.index] = msg.value;
+      received += 1;
+      onProgress(received, values.length, values.slice());
+    },
+    onAllDone: () => onDone(values),
+    onError,
+  });
+}
+
+// Path runs shard like startSingleRun: shard k gets shardSeed(seed, k), so
+// results depend only on the seed and the worker count. Shard 0 also works out
+// each level's worst case; snapshots carry it once it arrives.
+function startPathRun(stepParams, { seed, rng, trials, workers, budget }, { onProgress, onDone, onError }) {
+  const counts = shardTrials(trials, workers);
+  const fresh = () => emptyPathData(stepParams.length);
+  const shards = counts.map(fresh);
+  const merged = () => shards.reduce((acc, d) => appendPathData(acc, d), fresh());
+  const received = () => shards.reduce((n, d) => n + d.attempts.length, 0);
+
+  let worstLevels = null;
+
+  const jobs = counts.map((n, k) => ({ kind: "path", stepParams, seed: shardSeed(seed, k), rng, trials: n, budget, analyze: k === 0 }));
+  return startWorkerJobs(jobs, {
+    onMessage: (k, msg) => {
+      if (msg.type === "analysis") worstLevels = msg.worstLevels;
+      if (msg.type !== "chunk") return;
+      appendPathData(shards[k], msg.data);
+      onProgress(received(), trials, () => ({ data: merged(), worstLevels }));
+    },
+    onAllDone: () => onDone(merged(), worstLevels),
+    onError,
+  });
+}
+
+// Bootstrap errors for the stars‑only and full summaries, on a worker of its own
+function startPrecision(data, seed, { onDone, onError }) {
+  const job = {
+    kind: "precision",
+    seed,
+    stars: { attempts: data.starsAttempts, golds: data.starsGolds },
+    full: { attempts: data.fullAttempts, golds: data.fullGolds },
+  };
+  let result = null;
+  return startWorkerJobs([job], {
+    onMessage: (_, msg) => {
+      if (msg.type === "precision") result = msg;
+    },
+    onAllDone: () => onDone(result),
+    onError,
+  });
+}
+
+// Result tables/charts from merged path data (see emptyPathData); `worstLevels`
+// holds each level's worst case, null until the worker's analysis arrives
+function buildPathResults(stepParams, data, worstLevels, { budget, breakCost, cap }) {
+  const first = stepParams[0];
+  const summary = hasProtection(first)
+    ? summarizeRuns(data.attempts, data.golds, data.items, first.protection.goldPerItem)
+    : summarizeRuns(data.attempts, data.golds);
+  const levels = stepParams.map((st, j) => {
+    const cumSorted = [...data.levelCumGolds[j]].sort((a, b) => a - b);
+    return {
+      level: st.level,
+      numStars: st.numStars,
+      summary: summarizeRuns(data.levelAttempts[j], data.levelGolds[j]),
+      worst: worstLevels ? worstLevels[j] : null,
+      cumMeanGold: cumSorted.reduce((a, b) => a + b, 0) / cumSorted.length,
+      cumP90Gold: percentile(cumSorted, 0.9),
+    };
+  });
+  // a level too large to compute leaves NaN in the sums
+  const worst = worstLevels && { attempts: 0, gold: 0, protectionUsed: 0 };
+  if (worst) levels.forEach((l) => Object.keys(worst).forEach((k) => (worst[k] += l.worst[k])));
+  const within = data.levelsWithinBudget;
+
+  return {
+    from: first.level,
+    to: stepParams[stepParams.length - 1].level + 1,
+    summary,
+    levels,
+    worst,
+    withProtection: hasProtection(first),
+    unfinished: data.unfinished > 0 && { runs: data.unfinished, cap },
+    resourceRows: resourceRows(data.resources, data.golds, first),
+    budget: budget && {
+      ...budget,
+      pSuccess: within.filter((d) => d === stepParams.length).length / within.length,
+      reachedShare: stepParams.map((_, j) => within.filter((d) => d === j).length / within.length),
+    },
+    goldPerItem: first.protection ? first.protection.goldPerItem : 0,
+    outcomeRows: hasRiskyOutcomes(first) ? outcomeRows(data.outcomes, data.replacements, breakCost) : null,
+    histogram: makeHistogram(data.attempts, Math.max(5, Math.ceil(summary.p99Attempts / 60 / 5) * 5)),
+    curve: levels.map((l) => ({
+      level: `+${l.level + 1}`,
+      meanGold: Math.round(l.cumMeanGold),
+      p90Gold: Math.round(l.cumP90Gold),
+    })),
+  };
+}
+
+// Result tables/charts from merged trial data; worst case and exact appear once analysis arrives
+function buildSingleResults(params, data, analysis) {
+  const numStars = params.numStars;
+  const summary = summarizeTrials(params, data);
+
+  // Same seed without protection, for the protect vs. don't‑protect comparison
+  let protectionComparison = null;
+  if (summary.bare) {
+    const mean = (series) => (Array.isArray(series) ? series.reduce((a, b) => a + b, 0) / series.length : series.mean);
+    protectionComparison = protectionComparisonRows(
+      { ...summary.full, meanReplacements: mean(data.fullReplacements) },
+      { ...summary.bare, meanReplacements: mean(data.bareReplacements) },
+      hasRiskyOutcomes(params)
+    );
+  }
+
+  const breakCost = params.finalFailOutcomes.find((o) => o.kind === "break")?.replacementCost || 0;
+  return {
+    starsSummary: summary.stars,
+    fullSummary: summary.full,
+    starsHistogram: summary.starsHistogram,
+    fullHistogram: summary.fullHistogram,
+    distributions: summary.distributions,
+    convergence: data.sketch ? null : runningMean(data.fullAttempts),
+    unfinished: summary.unfinished.stars || summary.unfinished.full ? { ...summary.unfinished, cap: params.maxRunAttempts } : null,
+    capWarning: analysis ? capWarning(params, analysis.wcFull) : null,
+    sketch: data.sketch ? { error: summary.sketchError, buckets: summary.sketchBuckets } : null,
+    wcStars: analysis?.wcStars,
+    wcFull: analysis?.wcFull,
+    exactStars: analysis?.exact.stars,
+    exactFull: analysis?.exact.full,
+    params,
+    starsPerStarRows: perStarRows(summary.starsPerStar),
+    fullPerStarRows: perStarRows(summary.fullPerStar),
+    starsDiagnosticRows: starDiagnosticRows(summary.starsStarDiagnostics, false),
+    fullDiagnosticRows: starDiagnosticRows(summary.fullStarDiagnostics, true),
+    outcomeRows: hasRiskyOutcomes(params) ? outcomeRows(data.fullOutcomes, data.fullReplacements, breakCost) : null,
+    protectionComparison,
+    starsResourceRows: resourceRows(data.starsResources, data.starsGolds, params),
+    fullResourceRows: resourceRows(data.fullResources, data.fullGolds, params),
+    // stream data drops budget states and keeps only the out‑of‑budget counts,
+    // so there is no record of where those runs stood
+    budget: params.budget &&
+      (data.sketch
+        ? {
+            ...params.budget,
+            stars: streamBudget(data.starsOverBudget, runCount(data.starsAttempts)),
+            full: streamBudget(data.fullOverBudget, runCount(data.fullAttempts)),
+          }
+        : {
+            ...params.budget,
+            stars: summarizeBudget(data.starsBudgetStates, numStars),
+            full: summarizeBudget(data.fullBudgetStates, numStars),
+          }),
+  };
+}
+
 export default function EnhancementSimulatorApp() {
   // Theme
   const [dark, setDark] = useState(() => {
@@ -341,139 +1222,768 @@ export default function EnhancementSimulatorApp() {
     } catch {}
   }, [dark]);
 
-  // Inputs
-  const [fromLevel, setFromLevel] = useState(18);
-  const [starsRequired, setStarsRequired] = useState(suggestedStarsForLevel(18));
+  // Inputs (seeded from a shared link when the URL hash holds a scenario)
+  const [init] = useState(() => {
+    try {
+      return decodeScenarioHash(window.location.hash) || DEFAULT_SCENARIO;
+    } catch {
+      return DEFAULT_SCENARIO;
+    }
+  });
+  const [fromLevel, setFromLevel] = useState(init.fromLevel);
+  const [starsRequired, setStarsRequired] = useState(init.starsRequired);
+
+  const [starProbs, setStarProbs] = useState(init.starProbs);
+  const [finalProb, setFinalProb] = useState(init.finalProb);
+  const [starPityThreshold, setStarPityThreshold] = useState(init.starPityThreshold);
+  const [finalPityThreshold, setFinalPityThreshold] = useState(init.finalPityThreshold);
+  const [starPityResetsOnAnyFail, setStarPityResetsOnAnyFail] = useState(init.starPityResetsOnAnyFail);
+  const [pity, setPity] = useState(init.pity);
+  const updatePity = (patch) => setPity((prev) => ({ ...prev, ...patch }));
+  const [starFailure, setStarFailure] = useState(init.starFailure);
+  const updateStarFailure = (patch) => setStarFailure((prev) => ({ ...prev, ...patch }));
+
+  // Costs: resource columns (gold first) × attempt rows (up to 10 stars + final)
+  const [resourceDefs, setResourceDefs] = useState(init.costs.resources);
+  const [starCosts, setStarCosts] = useState(init.costs.stars);
+  const [finalCosts, setFinalCosts] = useState(init.costs.final);
 
-  const [goldPerAttempt, setGoldPerAttempt] = useState(270000);
-  const [starProbs, setStarProbs] = useState(Array(starsRequired).fill(0.2));
-  const [finalProb, setFinalProb] = useState(0.2);
-  const [starPityThreshold, setStarPityThreshold] = useState(6);
-  const [finalPityThreshold, setFinalPityThreshold] = useState(6);
-  const [starPityResetsOnAnyFail, setStarPityResetsOnAnyFail] = useState(false);
+  // Final‑failure outcomes (remaining probability = stay at +L)
+  const [dropProb, setDropProb] = useState(init.failureOutcomes.dropProb);
+  const [dropLevels, setDropLevels] = useState(init.failureOutcomes.dropLevels);
+  const [breakProb, setBreakProb] = useState(init.failureOutcomes.breakProb);
+  const [breakCost, setBreakCost] = useState(init.failureOutcomes.breakCost);
 
-  const [trials, setTrials] = useState(20000);
-  const [seed, setSeed] = useState(12345);
+  // Protection items
+  const [protectFromStar, setProtectFromStar] = useState(init.protection.fromStar);
+  const [protectFinal, setProtectFinal] = useState(init.protection.final);
+  const [protectPreventsWipe, setProtectPreventsWipe] = useState(init.protection.preventsWipe);
+  const [protectPreventsOutcome, setProtectPreventsOutcome] = useState(init.protection.preventsOutcome);
+  const [protectItemsPerUse, setProtectItemsPerUse] = useState(init.protection.itemsPerUse);
+  const [protectGoldPerItem, setProtectGoldPerItem] = useState(init.protection.goldPerItem);
+
+  const [trials, setTrials] = useState(init.trials);
+  const [autoTrials, setAutoTrials] = useState(init.autoTrials);
+  const [budgetKind, setBudgetKind] = useState(init.budget.kind);
+  const [budgetAmount, setBudgetAmount] = useState(init.budget.amount);
+  const [seed, setSeed] = useState(init.seed);
+  const [rng, setRng] = useState(init.rng);
+  const [percentiles, setPercentiles] = useState(init.percentiles);
+  const [maxRunAttempts, setMaxRunAttempts] = useState(init.maxRunAttempts);
+  const [workers, setWorkers] = useState(init.workers);
 
   const [results, setResults] = useState(null);
   const [diagnostics, setDiagnostics] = useState([]);
+  // Distribution charts: x axis, log scale and which process the CDF shows
+  const [distView, setDistView] = useState({ x: "attempts", log: false, cdf: "full" });
 
-  // Helpers to sync starProbs length when star count changes
-  const resizeStarProbs = (n) => {
-    setStarProbs((prev) => {
-      const next = prev.slice(0, n);
-      while (next.length < n) next.push(prev.length ? prev[prev.length - 1] : 0.2);
-      return next;
-    });
-  };
+  // Path mode (+L → +M)
+  const [mode, setMode] = useState(init.mode);
+  const [pathTarget, setPathTarget] = useState(init.path.target);
+  const [pathSteps, setPathSteps] = useState(init.path.steps);
 
-  const runSimulation = () => {
-    const numStars = Number(starsRequired);
-    const params = {
-      goldPerAttempt: Number(goldPerAttempt),
-      starProbs: starProbs.slice(0, numStars).map(Number),
-      finalProb: Number(finalProb),
-      starPityThreshold: Number(starPityThreshold),
-      finalPityThreshold: Number(finalPityThreshold),
-      starPityResetsOnAnyFail,
-      numStars,
-    };
+  // Parameter sweep
+  const [sweepX, setSweepX] = useState(init.sweep.x);
+  const [sweepY, setSweepY] = useState(init.sweep.y);
+  const [sweepMetric, setSweepMetric] = useState(init.sweep.metric);
+  const [sweepTrials, setSweepTrials] = useState(init.sweep.trials);
+  const [sweepResults, setSweepResults] = useState(null);
 
-    const rng = createLCG(Number(seed) || 1);
-
-    const starsAttempts = [];
-    const starsGolds = [];
-    const fullAttempts = [];
-    const fullGolds = [];
-
-    const starsAttemptsPerStar = Array(numStars)
-      .fill(0)
-      .map(() => []);
-    const fullAttemptsPerStar = Array(numStars)
-      .fill(0)
-      .map(() => []);
-
-    for (let t = 0; t < Number(trials); t++) {
-      const s = simulateStarsOnly(params, rng);
-      starsAttempts.push(s.attempts);
-      starsGolds.push(s.gold);
-      s.starAttempts.forEach((val, idx) => starsAttemptsPerStar[idx].push(val));
-
-      const f = simulateFullRun(params, rng);
-      fullAttempts.push(f.attempts);
-      fullGolds.push(f.gold);
-      f.starAttempts.forEach((val, idx) => fullAttemptsPerStar[idx].push(val));
+  // Live session: { session, history } (session null = fresh)
+  const [live, setLive] = useState(() => loadLiveSession() || { session: null, history: [] });
+  useEffect(() => storeLiveSession(live), [live]);
+
+  // Replay
+  const [replaySeed, setReplaySeed] = useState(init.seed);
+  const [replay, setReplay] = useState(null);
+
+  // Goal seek
+  const [seek, setSeek] = useState(init.seek);
+  const [seekResults, setSeekResults] = useState(null);
+  const updateSeek = (patch) => setSeek((prev) => ({ ...prev, ...patch }));
+  const [pathResults, setPathResults] = useState(null);
+
+  // Scenario sharing: the full input set, mirrored into the URL hash
+  const [scenarioMsg, setScenarioMsg] = useState(null);
+  // Imported attempt log: { name, rows, errors } or { name, failed }
+  const [attemptLog, setAttemptLog] = useState(null);
+
+  // Preset profiles; the draft is what the profile editor shows
+  const [profileStore, setProfileStore] = useState(loadProfiles);
+  const allProfiles = [DEFAULT_PROFILE, ...profileStore.profiles];
+  const activeProfile = allProfiles.find((p) => p.name === profileStore.active) || DEFAULT_PROFILE;
+  const [profileDraft, setProfileDraft] = useState(activeProfile);
+  const [profileMsg, setProfileMsg] = useState(null);
+
+  // Saved scenario library + comparison
+  const [library, setLibrary] = useState(loadLibrary);
+  const [libraryName, setLibraryName] = useState("");
+  const [compareSelection, setCompareSelection] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const scenario = {
+    version: SCENARIO_VERSION,
+    fromLevel,
+    starsRequired,
+    starProbs,
+    finalProb,
+    starPityThreshold,
+    finalPityThreshold,
+    starPityResetsOnAnyFail,
+    pity,
+    starFailure,
+    trials,
+    autoTrials,
+    seed,
+    rng,
+    percentiles,
+    maxRunAttempts,
+    workers,
+    costs: { resources: resourceDefs, stars: starCosts, final: finalCosts },
+    failureOutcomes: { dropProb, dropLevels, breakProb, breakCost },
+    protection: {
+      fromStar: protectFromStar,
+      final: protectFinal,
+      preventsWipe: protectPreventsWipe,
+      preventsOutcome: protectPreventsOutcome,
+      itemsPerUse: protectItemsPerUse,
+      goldPerItem: protectGoldPerItem,
+    },
+    budget: { kind: budgetKind, amount: budgetAmount },
+    mode,
+    path: { target: pathTarget, steps: pathSteps },
+    sweep: { x: sweepX, y: sweepY, metric: sweepMetric, trials: sweepTrials },
+    seek,
+  };
+  const scenarioHash = encodeScenarioHash(scenario);
+  useEffect(() => {
+    try {
+      window.history.replaceState(null, "", scenarioHash);
+    } catch {}
+  }, [scenarioHash]);
+
+  const applyScenario = (raw) => {
+    const sc = normalizeScenario(raw);
+    setFromLevel(sc.fromLevel);
+    setStarsRequired(sc.starsRequired);
+    setStarProbs(sc.starProbs);
+    setFinalProb(sc.finalProb);
+    setStarPityThreshold(sc.starPityThreshold);
+    setFinalPityThreshold(sc.finalPityThreshold);
+    setStarPityResetsOnAnyFail(sc.starPityResetsOnAnyFail);
+    setPity(sc.pity);
+    setStarFailure(sc.starFailure);
+    setResourceDefs(sc.costs.resources);
+    setStarCosts(sc.costs.stars);
+    setFinalCosts(sc.costs.final);
+    setDropProb(sc.failureOutcomes.dropProb);
+    setDropLevels(sc.failureOutcomes.dropLevels);
+    setBreakProb(sc.failureOutcomes.breakProb);
+    setBreakCost(sc.failureOutcomes.breakCost);
+    setProtectFromStar(sc.protection.fromStar);
+    setProtectFinal(sc.protection.final);
+    setProtectPreventsWipe(sc.protection.preventsWipe);
+    setProtectPreventsOutcome(sc.protection.preventsOutcome);
+    setProtectItemsPerUse(sc.protection.itemsPerUse);
+    setProtectGoldPerItem(sc.protection.goldPerItem);
+    setTrials(sc.trials);
+    setAutoTrials(sc.autoTrials);
+    setSeed(sc.seed);
+    setRng(sc.rng);
+    setPercentiles(sc.percentiles);
+    setMaxRunAttempts(sc.maxRunAttempts);
+    setWorkers(sc.workers);
+    setBudgetKind(sc.budget.kind);
+    setBudgetAmount(sc.budget.amount);
+    setMode(sc.mode);
+    setPathTarget(sc.path.target);
+    setPathSteps(sc.path.steps);
+    setSweepX(sc.sweep.x);
+    setSweepY(sc.sweep.y);
+    setSweepMetric(sc.sweep.metric);
+    setSweepTrials(sc.sweep.trials);
+    setSeek(sc.seek);
+    setResults(null);
+    setPathResults(null);
+  };
+
+  // Opening another shared link in the same tab
+  useEffect(() => {
+    const onHashChange = () => {
+      try {
+        const sc = decodeScenarioHash(window.location.hash);
+        if (sc) applyScenario(sc);
+      } catch (err) {
+        setScenarioMsg({ error: true, text: err.message });
+      }
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  });
+
+  const copyScenarioLink = () => {
+    const url = window.location.href.split("#")[0] + scenarioHash;
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setScenarioMsg({ error: false, text: "Link copied to clipboard." }))
+      .catch(() => setScenarioMsg({ error: true, text: "Could not access the clipboard; copy the address bar instead." }));
+  };
+
+  const downloadScenario = () => {
+    const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `enhance-scenario-${fromLevel}-seed${seed}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  const uploadScenario = (file) => {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        applyScenario(JSON.parse(text));
+        setScenarioMsg({ error: false, text: `Loaded ${file.name}.` });
+      })
+      .catch((err) => setScenarioMsg({ error: true, text: `Could not load ${file.name}: ${err.message}` }));
+  };
+
+  const uploadAttemptLog = (file) => {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => setAttemptLog({ name: file.name, ...parseAttemptLog(text) }))
+      .catch((err) => setAttemptLog({ name: file.name, failed: err.message }));
+  };
+
+  // Rounded estimates replace the configured rates; targets without usable attempts keep theirs
+  const applyRateEstimates = (estimate) => {
+    const round = (r) => Math.round(r * 1000) / 1000;
+    setStarProbs(starProbs.map((p, i) => (estimate.targets[i]?.rate == null ? p : round(estimate.targets[i].rate))));
+    const final = estimate.targets[estimate.targets.length - 1];
+    if (final.rate != null) setFinalProb(round(final.rate));
+  };
+
+  const updateProfiles = (next) => {
+    setProfileStore(next);
+    storeProfiles(next);
+  };
+
+  const selectProfile = (name) => {
+    updateProfiles({ ...profileStore, active: name });
+    setProfileDraft(allProfiles.find((p) => p.name === name) || DEFAULT_PROFILE);
+    setProfileMsg(null);
+  };
+
+  // Stars, rates, pity and gold costs for +L from the active profile
+  const applyProfile = () => applyScenario(profileScenario(scenario, activeProfile));
+
+  // What saving the draft would reject (an emptied band cell reads as NaN), shown under the bands
+  const profileProblem = (() => {
+    try {
+      normalizeProfile(profileDraft);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  })();
+
+  // Saving under an existing name replaces that profile; the built‑in one stays as shipped
+  const saveProfile = (draft) => {
+    try {
+      const profile = normalizeProfile(draft);
+      if (profile.name === DEFAULT_PROFILE.name) throw new Error(`"${DEFAULT_PROFILE.name}" is built in; save under another name.`);
+      const others = profileStore.profiles.filter((p) => p.name !== profile.name);
+      updateProfiles({ active: profile.name, profiles: [...others, profile] });
+      setProfileDraft(profile);
+      setProfileMsg({ error: false, text: `Saved profile "${profile.name}".` });
+    } catch (err) {
+      setProfileMsg({ error: true, text: err.message });
     }
+  };
+
+  const deleteProfile = () => {
+    updateProfiles({ active: DEFAULT_PROFILE.name, profiles: profileStore.profiles.filter((p) => p.name !== activeProfile.name) });
+    setProfileDraft(DEFAULT_PROFILE);
+    setProfileMsg({ error: false, text: `Deleted profile "${activeProfile.name}".` });
+  };
+
+  const downloadProfile = () => {
+    try {
+      const profile = normalizeProfile(profileDraft);
+      const blob = new Blob([JSON.stringify(profile, null, 2)], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `enhance-profile-${profile.name.replace(/[^\w-]+/g, "_")}.json`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      setProfileMsg({ error: true, text: err.message });
+    }
+  };
+
+  const uploadProfile = (file) => {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => saveProfile(JSON.parse(text)))
+      .catch((err) => setProfileMsg({ error: true, text: `Could not load ${file.name}: ${err.message}` }));
+  };
+
+  const updateLibrary = (next) => {
+    setLibrary(next);
+    storeLibrary(next);
+  };
+
+  // Saving under an existing name replaces that entry
+  const saveToLibrary = () => {
+    const name = libraryName.trim() || `Scenario ${library.length + 1}`;
+    const entry = { name, savedAt: new Date().toISOString(), scenario };
+    const idx = library.findIndex((e) => e.name === name);
+    updateLibrary(idx === -1 ? [...library, entry] : library.map((e, i) => (i === idx ? entry : e)));
+    setLibraryName("");
+  };
+
+  const deleteFromLibrary = (name) => {
+    updateLibrary(library.filter((e) => e.name !== name));
+    setCompareSelection((prev) => prev.filter((n) => n !== name));
+  };
+
+  // Selection order decides the columns; the first pick is the baseline for deltas
+  const toggleCompare = (name) => {
+    setCompareSelection((prev) => (prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]));
+  };
 
-    const sA = [...starsAttempts].sort((a, b) => a - b);
-    const sG = [...starsGolds].sort((a, b) => a - b);
-    const fA = [...fullAttempts].sort((a, b) => a - b);
-    const fG = [...fullGolds].sort((a, b) => a - b);
-
-    const starsSummary = {
-      meanAttempts: starsAttempts.reduce((a, b) => a + b, 0) / starsAttempts.length,
-      medianAttempts: percentile(sA, 0.5),
-      p90Attempts: percentile(sA, 0.9),
-      p99Attempts: percentile(sA, 0.99),
-      meanGold: starsGolds.reduce((a, b) => a + b, 0) / starsGolds.length,
-      medianGold: percentile(sG, 0.5),
-      p90Gold: percentile(sG, 0.9),
-      p99Gold: percentile(sG, 0.99),
+  // Each scenario runs as its own Run would (trials, seed, workers, percentile
+  // mode), one after another on the worker pool
+  const runComparison = () => {
+    const entries = compareSelection.map((n) => library.find((e) => e.name === n)).filter(Boolean);
+    if (entries.length < 2) return;
+    cancelRunRef.current?.();
+    setRunError(null);
+    const items = [];
+    const next = (k) => {
+      if (k === entries.length) {
+        cancelRunRef.current = null;
+        setRunning(null);
+        setComparison({ items, histogram: overlayHistograms(items) });
+        return;
+      }
+      const { name, scenario: sc } = entries[k];
+      const params = scenarioParams(sc);
+      const settings = checkSettings(sc, "single");
+      const check = settings.blocked ? settings : checkParams(params, { trials: sc.trials ?? NaN, workers: sc.workers ?? NaN });
+      if (check.blocked) {
+        cancelRunRef.current = null;
+        setRunning(null);
+        return setRunError(`${name}: ${blockingText(check)}`);
+      }
+      const sketch = sc.percentiles === "sketch" ? SKETCH_ALPHA : null;
+      const unit = `runs · ${name} (${k + 1} of ${entries.length})`;
+      setRunning({ done: 0, total: 1, unit });
+      cancelRunRef.current = startSingleRun(
+        params,
+        { seed: Number(sc.seed), rng: sc.rng, sketch, ...runCounts(sc.trials, sc.workers, sketch) },
+        {
+          onProgress: (done, total) => setRunning({ done, total, unit }),
+          onDone: (data, analysis) => {
+            items.push(comparisonItem(name, params, data, analysis));
+            next(k + 1);
+          },
+          onError: (message) => {
+            cancelRunRef.current = null;
+            setRunning(null);
+            setRunError(`Comparison failed: ${message}`);
+          },
+        }
+      );
     };
+    next(0);
+  };
+
+  // Helpers to sync starProbs length when star count changes
+  const resizeStarProbs = (n) => {
+    setStarProbs((prev) => {
+      const next = prev.slice(0, n);
+      while (next.length < n) next.push(prev.length ? prev[prev.length - 1] : 0.2);
+      return next;
+    });
+  };
+
+  const singleParams = scenarioParams(scenario);
+  // Trials (unless auto trials pick them) and workers, for the modes that use them
+  const runSettings = ["single", "live", "path"].includes(mode)
+    ? { trials: autoTrials.on && mode !== "path" ? undefined : (trials ?? NaN), workers: workers ?? NaN }
+    : {};
+  const inputCheck = checkParams(singleParams, runSettings); // inline field messages; the run checks its own params again
+  const settingsCheck = checkSettings(scenario); // seed and the path, sweep and seek settings
+  const { finalFailOutcomes, protection, budget, exchangeRates, pityModel } = singleParams;
+  const starFailureParams = singleParams.starFailure;
+
+  // Star rows follow the last valid star count while the box holds a bad one
+  const starCount = starProbs.length;
+  const session = fitSession(live.session, newSession(singleParams), starCount, pity.model === "shared");
+  const spentBudget = budget && { ...budget, amount: Math.max(0, budget.amount - (budget.kind === "gold" ? session.gold : session.attempts)) };
+  const liveParams = {
+    ...singleParams,
+    startState: { stars: session.stars, starPity: session.starPity, finalPity: session.finalPity },
+    budget: spentBudget,
+  };
+  const editSession = (patch) => setLive((prev) => ({ ...prev, session: { ...session, ...patch } }));
+  const recordAttempt = (outcome) =>
+    setLive((prev) => ({ session: applyAttempt(singleParams, session, outcome), history: [...prev.history, session].slice(-LIVE_UNDO_LIMIT) }));
+  const undoAttempt = () => setLive((prev) => ({ session: prev.history[prev.history.length - 1], history: prev.history.slice(0, -1) }));
+  const resetSession = () => setLive({ session: null, history: [] });
+
+  const setAllGold = (g) => {
+    setStarCosts((prev) => prev.map((row) => [g, ...row.slice(1)]));
+    setFinalCosts((prev) => [g, ...prev.slice(1)]);
+  };
+
+  const addResource = () => {
+    setResourceDefs((prev) => [...prev, { name: `material ${prev.length}`, rate: 0 }]);
+    setStarCosts((prev) => prev.map((row) => [...row, 0]));
+    setFinalCosts((prev) => [...prev, 0]);
+  };
+
+  const removeResource = (k) => {
+    const drop = (row) => row.filter((_, j) => j !== k);
+    setResourceDefs(drop);
+    setStarCosts((prev) => prev.map(drop));
+    setFinalCosts(drop);
+  };
+
+  // Cost schema for the engine; the overrides replace the gold column of star
+  // and final attempts (path steps)
+  const buildCosts = (numStars, goldOverride, finalGoldOverride = goldOverride) => {
+    const entries = (row, gold) =>
+      resourceDefs.map((r, k) => ({
+        resource: r.name,
+        amount: k === 0 && gold !== undefined ? gold : row[k] === undefined ? 0 : fieldValue(row[k]),
+      }));
+    return { stars: starCosts.slice(0, numStars).map((row) => entries(row, goldOverride)), final: entries(finalCosts, finalGoldOverride) };
+  };
 
-    const fullSummary = {
-      meanAttempts: fullAttempts.reduce((a, b) => a + b, 0) / fullAttempts.length,
-      medianAttempts: percentile(fA, 0.5),
-      p90Attempts: percentile(fA, 0.9),
-      p99Attempts: percentile(fA, 0.99),
-      meanGold: fullGolds.reduce((a, b) => a + b, 0) / fullGolds.length,
-      medianGold: percentile(fG, 0.5),
-      p90Gold: percentile(fG, 0.9),
-      p99Gold: percentile(fG, 0.99),
+  // Monte Carlo in workers; partial results repaint at most every PARTIAL_PAINT_MS
+  const [running, setRunning] = useState(null); // { done, total } while a run is in flight
+  const [runError, setRunError] = useState(null);
+  const cancelRunRef = useRef(null);
+  useEffect(() => () => cancelRunRef.current?.(), []);
+
+  const runSimulation = () => runSingleUpgrade(singleParams);
+
+  const runLiveSession = () => {
+    if (session.done) return setRunError("This upgrade is complete; reset the session to track the next one.");
+    runSingleUpgrade(liveParams, { live: { attempts: session.attempts, gold: session.gold } });
+  };
+
+  // Monte Carlo for one upgrade; `extra` is merged into every results object.
+  // Auto trials rerun from the same seed with as many trials as the previous
+  // pass says the chosen precision needs, so the final pass can be reproduced
+  // by entering its trial count.
+  const runSingleUpgrade = (params, extra = {}) => {
+    cancelRunRef.current?.();
+    if (settingsCheck.blocked) return setRunError(blockingText(settingsCheck));
+    const check = checkParams(params, runSettings);
+    if (check.blocked) {
+      setRunError(blockingText(check));
+      return;
+    }
+    setRunError(null);
+    setResults(null);
+    const fail = (message) => {
+      cancelRunRef.current = null;
+      setRunning(null);
+      setRunError(`Simulation failed: ${message}`);
+    };
+    const sketch = percentiles === "sketch" ? SKETCH_ALPHA : null;
+    const maxTrials = sketch ? SKETCH_MAX_TRIALS : AUTO_MAX_TRIALS;
+    const counts = runCounts(trials, workers, sketch);
+    const start = (count) => {
+      let nextPaint = 0;
+      setRunning({ done: 0, total: 1 });
+      cancelRunRef.current = startSingleRun(
+        params,
+        { seed: Number(seed), rng, sketch, trials: count, workers: counts.workers },
+        {
+          onProgress: (done, total, snapshot) => {
+            setRunning({ done, total });
+            const now = Date.now();
+            if (now < nextPaint) return;
+            const { data, analysis } = snapshot();
+            if (runCount(data.fullAttempts)) setResults({ ...buildSingleResults(params, data, analysis), ...extra, partial: { done, total } });
+            // Back off when summarizing gets expensive so the page stays responsive
+            nextPaint = Date.now() + Math.max(PARTIAL_PAINT_MS, 4 * (Date.now() - now));
+          },
+          onDone: (data, analysis) => {
+            let auto = null;
+            if (autoTrials.on) {
+              const needed = trialsForPrecision(data.fullAttempts, autoTrials.precision);
+              if (needed > count && count < maxTrials) return start(Math.min(maxTrials, Math.ceil(needed * 1.1)));
+              auto = { trials: count, precision: autoTrials.precision, reached: needed <= count };
+            }
+            setRunning(null);
+            if (sketch) {
+              // only the means have errors without the runs to resample; percentiles show —
+              const meanErrors = (p) => ({ meanAttempts: sketchMeanError(data[`${p}Attempts`]), meanGold: sketchMeanError(data[`${p}Golds`]) });
+              cancelRunRef.current = null;
+              setResults({
+                ...buildSingleResults(params, data, analysis),
+                ...extra,
+                auto,
+                precision: { stars: meanErrors("stars"), full: meanErrors("full") },
+              });
+              return;
+            }
+            setResults({ ...buildSingleResults(params, data, analysis), ...extra, auto, precision: null });
+            cancelRunRef.current = startPrecision(data, Number(seed), {
+              onDone: (precision) => {
+                cancelRunRef.current = null;
+                setResults((r) => r && { ...r, precision });
+              },
+              onError: fail,
+            });
+          },
+          onError: fail,
+        }
+      );
     };
+    start(autoTrials.on ? AUTO_PILOT_TRIALS : counts.trials);
+  };
+
+  // Stop every worker; whatever already arrived stays on screen, marked partial
+  const cancelRun = () => {
+    cancelRunRef.current?.();
+    cancelRunRef.current = null;
+    setRunning(null);
+    setResults(markCancelled);
+    setPathResults(markCancelled);
+  };
+
+  // Rebuild the per‑level list from the active profile's bands: a new range
+  // keeps edited levels, another profile replaces every level
+  // (an emptied target keeps the levels already listed)
+  const pathEnd = Number.isInteger(pathTarget) ? Math.max(singleParams.level + 1, pathTarget) : singleParams.level + pathSteps.length;
+  const pathProfileRef = useRef(activeProfile);
+  useEffect(() => {
+    const keep = pathProfileRef.current === activeProfile;
+    pathProfileRef.current = activeProfile;
+    setPathSteps((prev) => syncPathSteps(keep ? prev : [], singleParams.level, pathEnd, profileStepTemplate(activeProfile)));
+  }, [fromLevel, pathEnd, activeProfile]);
+
+  const updatePathStep = (idx, patch) => {
+    setPathSteps((prev) =>
+      prev.map((st, i) => {
+        if (i !== idx) return st;
+        const next = { ...st, ...patch };
+        if (Number.isInteger(patch.numStars)) {
+          const probs = st.starProbs.slice(0, next.numStars);
+          while (probs.length < next.numStars) probs.push(probs.length ? probs[probs.length - 1] : 0.2);
+          next.starProbs = probs;
+        }
+        return next;
+      })
+    );
+  };
 
-    const wcStars = worstCaseStarsOnly(params);
-    const wcFull = worstCaseFull(params);
+  // Engine params per path level; the grid shows pathCheck under its cells
+  const pathStepParams = pathSteps.map((st) => ({
+    costs: buildCosts(
+      fieldValue(st.numStars),
+      fieldValue(st.goldPerAttempt),
+      fieldValue(st.finalGoldPerAttempt === undefined ? st.goldPerAttempt : st.finalGoldPerAttempt)
+    ),
+    exchangeRates,
+    starProbs: st.starProbs.map(fieldValue),
+    finalProb: fieldValue(st.finalProb),
+    starPityThreshold: fieldValue(st.starPityThreshold),
+    finalPityThreshold: fieldValue(st.finalPityThreshold),
+    starPityResetsOnAnyFail,
+    pityModel,
+    starFailure: starFailureParams,
+    numStars: fieldValue(st.numStars),
+    level: st.level,
+    finalFailOutcomes,
+    protection,
+    maxRunAttempts: singleParams.maxRunAttempts,
+  }));
+  const pathCheck = mode === "path" ? checkPath(pathStepParams, runSettings) : null;
 
-    const makeHistogram = (arr, binSize) => {
-      const map = new Map();
-      for (const v of arr) {
-        const bin = Math.floor(v / binSize) * binSize;
-        map.set(bin, (map.get(bin) || 0) + 1);
+  const runPathSimulation = () => {
+    cancelRunRef.current?.();
+    const stepParams = pathStepParams;
+    if (!stepParams.length) return setRunError(blockingText(inputCheck)); // no levels without a usable From Level
+    if (settingsCheck.blocked) return setRunError(blockingText(settingsCheck));
+    if (pathCheck.blocked) return setRunError(blockingText(pathCheck));
+    setRunError(null);
+    setPathResults(null);
+    const context = {
+      budget,
+      breakCost: Number(breakCost),
+      cap: singleParams.maxRunAttempts,
+    };
+    const counts = runCounts(trials, workers, null);
+    let nextPaint = 0;
+    setRunning({ done: 0, total: counts.trials });
+    cancelRunRef.current = startPathRun(
+      stepParams,
+      { seed: Number(seed), rng, budget, ...counts },
+      {
+        onProgress: (done, total, snapshot) => {
+          setRunning({ done, total });
+          const now = Date.now();
+          if (now < nextPaint) return;
+          const { data, worstLevels } = snapshot();
+          setPathResults({ ...buildPathResults(stepParams, data, worstLevels, context), partial: { done, total } });
+          nextPaint = Date.now() + Math.max(PARTIAL_PAINT_MS, 4 * (Date.now() - now));
+        },
+        onDone: (data, worstLevels) => {
+          cancelRunRef.current = null;
+          setRunning(null);
+          setPathResults(buildPathResults(stepParams, data, worstLevels, context));
+        },
+        onError: (message) => {
+          cancelRunRef.current = null;
+          setRunning(null);
+          setRunError(`Simulation failed: ${message}`);
+        },
       }
-      return Array.from(map.entries())
-        .sort((a, b) => a[0] - b[0])
-        .map(([k, v]) => ({ attempts: k, runs: v }));
+    );
+  };
+
+  const runSweep = () => {
+    cancelRunRef.current?.();
+    const xDef = SWEEP_PARAMS[sweepX.param];
+    const yDef = SWEEP_PARAMS[sweepY.param];
+    const xs = sweepValues(sweepX, xDef.integer);
+    const ys = yDef ? sweepValues(sweepY, yDef.integer) : [null];
+    if (settingsCheck.blocked) return setRunError(blockingText(settingsCheck));
+    if (!xs.length || !ys.length) return setRunError("Each sweep range needs a step above 0 and To ≥ From.");
+    if (SWEEP_METRICS[sweepMetric].needsBudget && !budget) return setRunError("Choose a budget to sweep P(success within budget).");
+
+    // Row‑major grid: index = yi × xs.length + xi
+    const cellScenario = (base, i) => {
+      const sc = xDef.apply(base, xs[i % xs.length]);
+      return yDef ? yDef.apply(sc, ys[Math.floor(i / xs.length)]) : sc;
     };
+    const pointParams = Array.from({ length: xs.length * ys.length }, (_, i) => scenarioParams(cellScenario(scenario, i)));
+    const blocked = pointParams.map(checkParams).find((c) => c.blocked);
+    if (blocked) return setRunError(blockingText(blocked));
+    setRunError(null);
 
-    setResults({
-      starsSummary,
-      fullSummary,
-      starsHistogram: makeHistogram(starsAttempts, 5),
-      fullHistogram: makeHistogram(fullAttempts, 5),
-      wcStars,
-      wcFull,
-      params,
-      starsPerStarRows: summarizePerStar(starsAttemptsPerStar),
-      fullPerStarRows: summarizePerStar(fullAttemptsPerStar),
-    });
+    const base = { scenario, cellScenario, x: sweepX.param, y: yDef ? sweepY.param : null, xs, ys, metric: sweepMetric };
+    setSweepResults({ ...base, values: pointParams.map(() => null) });
+    setRunning({ done: 0, total: pointParams.length, unit: "points" });
+    cancelRunRef.current = startSweep(
+      pointParams,
+      { trials: Math.max(1, Math.floor(Number(sweepTrials))), seed: Number(seed), rng, metric: sweepMetric, workers: Number(workers) },
+      {
+        onProgress: (done, total, values) => {
+          setRunning({ done, total, unit: "points" });
+          setSweepResults({ ...base, values });
+        },
+        onDone: (values) => {
+          cancelRunRef.current = null;
+          setRunning(null);
+          setSweepResults({ ...base, values });
+        },
+        onError: (message) => {
+          cancelRunRef.current = null;
+          setRunning(null);
+          setRunError(`Sweep failed: ${message}`);
+        },
+      }
+    );
   };
 
-  const applySuggestedStars = () => {
-    const suggested = suggestedStarsForLevel(Number(fromLevel));
-    setStarsRequired(suggested);
-    resizeStarProbs(suggested);
+  // Clicking a chart point / heatmap cell loads that configuration as a single step
+  const loadSweepCell = (i) => {
+    if (!sweepResults || sweepResults.values[i] === null) return;
+    applyScenario({ ...sweepResults.cellScenario(sweepResults.scenario, i), mode: "single" });
+  };
+
+  const setSweepAxis = (axis, param) => {
+    const next = param === "none" ? { ...sweepY, param } : { param, ...SWEEP_PARAMS[param].range };
+    if (axis === "x") {
+      setSweepX(next);
+      if (sweepY.param === param) setSweepY({ ...sweepY, param: "none" });
+    } else {
+      setSweepY(next);
+    }
+  };
+
+  const recordReplay = () => {
+    cancelRunRef.current?.();
+    if (inputCheck.blocked) return setRunError(blockingText(inputCheck));
+    setRunError(null);
+    setReplay({ ...traceFullRun(singleParams, { seed: Number(replaySeed) || 1, rng }), id: Date.now() }); // id restarts the panel
+  };
+
+  const runSeek = () => {
+    cancelRunRef.current?.();
+    if (settingsCheck.blocked) return setRunError(blockingText(settingsCheck));
+    const def = SWEEP_PARAMS[seek.param];
+    const lo = Number(seek.lo);
+    const hi = Number(seek.hi);
+    if (!(hi > lo)) return setRunError("The upper bound must be above the lower bound.");
+    if (def.integer && !(Number.isInteger(lo) && Number.isInteger(hi))) return setRunError(`${def.label} bounds must be whole numbers.`);
+    if (SEEK_METRICS[seek.metric].needsBudget && !budget) return setRunError("Choose a budget to solve for P(success within budget).");
+    for (const v of [lo, hi]) {
+      const check = checkParams(scenarioParams(def.apply(scenario, v)));
+      if (check.blocked) return setRunError(blockingText(check));
+    }
+    setRunError(null);
+
+    const job = {
+      kind: "seek",
+      scenario,
+      param: seek.param,
+      lo,
+      hi,
+      metric: seek.metric,
+      target: Number(seek.target),
+      trials: Math.max(1, Math.floor(Number(seek.trials))),
+      seed: Number(seed),
+      rng,
+    };
+    // Two bounds plus one bisection step per halving down to the tolerance
+    const total = 2 + Math.ceil(Math.log2(def.integer ? hi - lo : (hi - lo) / 1e-4));
+    const steps = [];
+    let result = null;
+    setSeekResults({ job, steps, result });
+    setRunning({ done: 0, total, unit: "evaluations" });
+    cancelRunRef.current = startWorkerJobs([job], {
+      onMessage: (k, msg) => {
+        if (msg.type === "step") steps.push({ value: msg.value, metric: msg.metric });
+        else if (msg.type === "result") result = msg.result;
+        else return;
+        setSeekResults({ job, steps: steps.slice(), result });
+        setRunning({ done: steps.length, total: Math.max(total, steps.length), unit: "evaluations" });
+      },
+      onAllDone: () => {
+        cancelRunRef.current = null;
+        setRunning(null);
+      },
+      onError: (message) => {
+        cancelRunRef.current = null;
+        setRunning(null);
+        setRunError(`Goal seek failed: ${message}`);
+      },
+    });
   };
 
-  const quickSetRate = (r) => {
-    const n = Number(starsRequired);
-    setStarProbs(Array(n).fill(r));
-    setFinalProb(r);
+  const suggestedStars = bandForLevel(activeProfile, singleParams.level).stars;
+  const applySuggestedStars = () => {
+    setStarsRequired(suggestedStars);
+    resizeStarProbs(suggestedStars);
   };
 
-  const toLevel = Number(fromLevel) + 1;
+  const toLevel = singleParams.level + 1;
 
   // Styles depending on theme
+  const compactInput = dark
+    ? "rounded-lg border border-neutral-700 bg-neutral-900 text-neutral-100 px-2 py-1 focus:outline-none focus:ring"
+    : "rounded-lg border px-2 py-1 focus:outline-none focus:ring";
   const cls = {
     page: dark ? "min-h-screen bg-neutral-900 text-neutral-100" : "min-h-screen bg-gray-50 text-gray-900",
     card: dark ? "rounded-2xl shadow p-5 bg-neutral-800" : "rounded-2xl shadow p-5 bg-white",
@@ -497,6 +2007,21 @@ export default function EnhancementSimulatorApp() {
     chartAxis: dark ? "#d1d5db" : "#374151", // tick text
     chartAxisStroke: dark ? "#525252" : "#e5e7eb", // axis stroke
     barFill: dark ? "#60a5fa" : undefined, // optional override in dark
+    lineA: dark ? "#60a5fa" : "#4f46e5",
+    lineB: dark ? "#f472b6" : "#db2777",
+    // compact inputs by width: numbers, gold amounts, the profile picker, names
+    inputCompact: compactInput + " w-20",
+    inputAmount: compactInput + " w-28",
+    inputProfile: compactInput + " w-40",
+    inputName: compactInput + " w-56",
+    tab: (active) =>
+      active
+        ? dark
+          ? "px-3 py-1.5 rounded-xl bg-neutral-200 text-neutral-900 text-sm"
+          : "px-3 py-1.5 rounded-xl bg-gray-900 text-white text-sm"
+        : dark
+          ? "px-3 py-1.5 rounded-xl bg-neutral-700 hover:bg-neutral-600 text-sm"
+          : "px-3 py-1.5 rounded-xl bg-gray-200 hover:bg-gray-300 text-sm",
   };
 
   return (
@@ -510,16 +2035,25 @@ export default function EnhancementSimulatorApp() {
             </p>
           </div>
           <div className="flex items-center gap-2">
-            {[0.2, 0.24, 0.27].map((r) => (
-              <button
-                key={r}
-                onClick={() => quickSetRate(r)}
-                className={cls.headerPreset}
-                title={`Set all success rates to ${(r * 100).toFixed(0)}%`}
-              >
-                {(r * 100).toFixed(0)}%
-              </button>
-            ))}
+            <select
+              aria-label="Preset profile"
+              value={activeProfile.name}
+              onChange={(e) => selectProfile(e.target.value)}
+              className={cls.inputProfile}
+            >
+              {allProfiles.map((p) => (
+                <option key={p.name} value={p.name}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={applyProfile}
+              className={cls.headerPreset}
+              title={`Set stars, rates, pity and gold costs for +${fromLevel} from this profile`}
+            >
+              Apply preset
+            </button>
             <button
               aria-label="Toggle dark mode"
               onClick={() => setDark((d) => !d)}
@@ -535,6 +2069,230 @@ export default function EnhancementSimulatorApp() {
           </div>
         </header>
 
+        {/* Scenario sharing */}
+        <section className={cls.card + " flex flex-wrap items-center gap-3"}>
+          <h2 className="text-lg font-semibold mr-2">
+            Scenario{" "}
+            <InfoIcon text="Every input is kept in the page address, so a copied link or downloaded file reproduces the same results for the same seed." />
+          </h2>
+          <button onClick={copyScenarioLink} className={cls.tab(false)}>
+            Copy link
+          </button>
+          <button onClick={downloadScenario} className={cls.tab(false)}>
+            Download JSON
+          </button>
+          <label className={cls.tab(false) + " cursor-pointer"}>
+            Upload JSON
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                uploadScenario(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          {scenarioMsg && <span className={"text-sm " + (scenarioMsg.error ? "text-red-500" : cls.muted)}>{scenarioMsg.text}</span>}
+        </section>
+
+        {/* Saved scenarios */}
+        <section className={cls.card + " space-y-3"}>
+          <div className="flex flex-wrap items-center gap-3">
+            <h2 className="text-lg font-semibold mr-2">
+              Saved Scenarios{" "}
+              <InfoIcon text="Stored in this browser. Tick two or more to compare them; the first one ticked is the baseline for the deltas." />
+            </h2>
+            <input
+              type="text"
+              placeholder="Name (e.g. 24% pity 8)"
+              value={libraryName}
+              onChange={(e) => setLibraryName(e.target.value)}
+              className={cls.inputName}
+            />
+            <button onClick={saveToLibrary} className={cls.tab(false)}>
+              Save current
+            </button>
+            <button
+              onClick={runComparison}
+              disabled={compareSelection.length < 2}
+              className={cls.tab(compareSelection.length >= 2) + (compareSelection.length < 2 ? " opacity-50 cursor-not-allowed" : "")}
+            >
+              Compare {compareSelection.length ? `(${compareSelection.length})` : ""}
+            </button>
+          </div>
+          {library.length === 0 ? (
+            <p className={"text-sm " + cls.muted}>No saved scenarios yet.</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {library.map((e) => (
+                <li key={e.name} className="flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={compareSelection.includes(e.name)} onChange={() => toggleCompare(e.name)} />
+                    <span className="font-medium">{e.name}</span>
+                  </label>
+                  <span className={cls.muted}>
+                    +{e.scenario.fromLevel} · {e.scenario.starsRequired}★ · final {(Number(e.scenario.finalProb) * 100).toFixed(0)}% · pity{" "}
+                    {e.scenario.starPityThreshold}/{e.scenario.finalPityThreshold}
+                  </span>
+                  <button onClick={() => applyScenario(e.scenario)} className="underline">
+                    Load
+                  </button>
+                  <button onClick={() => deleteFromLibrary(e.name)} className="underline text-red-500">
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {/* Preset profiles */}
+        <section className={cls.card + " space-y-3"}>
+          <div className="flex flex-wrap items-center gap-3">
+            <h2 className="text-lg font-semibold mr-2">
+              Preset Profiles{" "}
+              <InfoIcon text="Each profile lists level bands; a band applies from its level up to the next band's. Apply preset sets stars, rates, pity and gold costs for the current level; Suggested stars and new path levels also follow the active profile. Edits take effect once saved. Profiles are stored in this browser and travel as JSON files." />
+            </h2>
+            <input
+              type="text"
+              value={profileDraft.name}
+              onChange={(e) => setProfileDraft({ ...profileDraft, name: e.target.value })}
+              className={cls.inputName}
+            />
+            <button onClick={() => saveProfile(profileDraft)} className={cls.tab(false)}>
+              Save profile
+            </button>
+            <button onClick={downloadProfile} className={cls.tab(false)}>
+              Export JSON
+            </button>
+            <label className={cls.tab(false) + " cursor-pointer"}>
+              Import JSON
+              <input
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  uploadProfile(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            {activeProfile !== DEFAULT_PROFILE && (
+              <button onClick={deleteProfile} className="underline text-red-500 text-sm">
+                Delete “{activeProfile.name}”
+              </button>
+            )}
+            {profileMsg && <span className={"text-sm " + (profileMsg.error ? "text-red-500" : cls.muted)}>{profileMsg.text}</span>}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="text-sm">
+              <thead>
+                <tr className={"text-left " + cls.borderRow}>
+                  {Object.values(BAND_FIELDS).map((f) => (
+                    <th key={f.label} className={cls.tableHead}>
+                      {f.label}
+                    </th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {profileDraft.bands.map((band, i) => (
+                  <tr key={i} className={cls.borderRow}>
+                    {Object.entries(BAND_FIELDS).map(([key, f]) => (
+                      <td key={key} className="py-1 pr-2">
+                        <input
+                          type="number"
+                          step={f.kind === "prob" ? 0.01 : 1}
+                          value={shownNumber(band[key])}
+                          onChange={(e) =>
+                            setProfileDraft({
+                              ...profileDraft,
+                              bands: profileDraft.bands.map((b, j) => (j === i ? { ...b, [key]: numberInput(e) } : b)),
+                            })
+                          }
+                          className={f.kind === "gold" ? cls.inputAmount : cls.inputCompact}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      {profileDraft.bands.length > 1 && (
+                        <button
+                          onClick={() => setProfileDraft({ ...profileDraft, bands: profileDraft.bands.filter((_, j) => j !== i) })}
+                          className="underline text-red-500"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {profileProblem && <p className="text-xs text-red-500">{profileProblem}</p>}
+          <button
+            onClick={() => {
+              const last = profileDraft.bands[profileDraft.bands.length - 1];
+              setProfileDraft({ ...profileDraft, bands: [...profileDraft.bands, { ...last, from: last.from + 1 }] });
+            }}
+            className={cls.tab(false)}
+          >
+            Add band
+          </button>
+        </section>
+
+        {comparison && (
+          <section className="space-y-6">
+            <div className="flex items-center justify-between">
+              <h2 className="text-2xl font-semibold">Scenario Comparison</h2>
+              <button onClick={() => setComparison(null)} className={cls.tab(false)}>
+                Close
+              </button>
+            </div>
+            <SummaryTable
+              dark={dark}
+              title="Full Upgrade — Monte Carlo"
+              titleInfo="Each scenario runs with its own trials, seed, workers and percentile mode, so its column matches its own Run; deltas are relative to the first column."
+              rows={comparisonRows(comparison.items, COMPARE_MC_METRICS)}
+            />
+            <SummaryTable
+              dark={dark}
+              title="Worst Case"
+              titleInfo="Deterministic worst case with pity for each scenario."
+              rows={comparisonRows(comparison.items, COMPARE_WORST_METRICS)}
+            />
+            <div className={cls.card}>
+              <h3 className="text-xl font-semibold mb-3">
+                Attempts Distribution — Full Upgrade{" "}
+                <InfoIcon text="Share of each scenario's runs per bin, so different trial counts stay comparable. Every scenario uses the widest of their adaptive bin widths." />
+              </h3>
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={comparison.histogram}>
+                    <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
+                    <XAxis dataKey="attempts" tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
+                    <YAxis tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} tickFormatter={(v) => `${v.toFixed(1)}%`} />
+                    <Tooltip formatter={(value, name) => [`${value.toFixed(2)}%`, name]} labelFormatter={(l) => `Attempts ≥ ${l}`} />
+                    <Legend />
+                    {comparison.items.map((it, i) => (
+                      <Line
+                        key={it.name}
+                        type="stepAfter"
+                        dataKey={`s${i}`}
+                        name={it.name}
+                        stroke={COMPARE_COLORS[i % COMPARE_COLORS.length]}
+                        dot={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </section>
+        )}
+
         {/* Controls */}
         <section className="grid md:grid-cols-2 gap-6">
           <div className={cls.card + " space-y-4"}>
@@ -542,7 +2300,8 @@ export default function EnhancementSimulatorApp() {
             <div className="grid grid-cols-2 gap-3">
               <div className="flex flex-col">
                 <label className={"text-xs " + cls.muted}>From Level (L)</label>
-                <input type="number" value={fromLevel} onChange={(e) => setFromLevel(Number(e.target.value))} className={cls.input} />
+                <input type="number" min={0} value={shownNumber(fromLevel)} onChange={(e) => setFromLevel(numberInput(e))} className={cls.input} />
+                <FieldIssues check={inputCheck} field="level" />
                 <div className={"text-xs mt-1 " + cls.muted}>
                   Simulates +{fromLevel} → +{toLevel}
                 </div>
@@ -553,16 +2312,17 @@ export default function EnhancementSimulatorApp() {
                   type="number"
                   min={1}
                   max={10}
-                  value={starsRequired}
+                  value={shownNumber(starsRequired)}
                   onChange={(e) => {
-                    const n = Math.max(1, Math.min(10, Number(e.target.value)));
+                    const n = numberInput(e);
                     setStarsRequired(n);
-                    resizeStarProbs(n);
+                    if (Number.isInteger(n) && n >= 1 && n <= 10) resizeStarProbs(n);
                   }}
                   className={cls.input}
                 />
+                <FieldIssues check={inputCheck} field="numStars" />
                 <div className={"text-xs mt-1 " + cls.muted}>
-                  Suggested: {suggestedStarsForLevel(Number(fromLevel))}{" "}
+                  Suggested ({activeProfile.name}): {suggestedStars}{" "}
                   <button onClick={applySuggestedStars} className="underline hover:no-underline">
                     apply
                   </button>
@@ -574,7 +2334,7 @@ export default function EnhancementSimulatorApp() {
               Success Rates <InfoIcon text="Per‑star success rates and the final upgrade success rate." />
             </h2>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-              {Array.from({ length: Number(starsRequired) }).map((_, i) => (
+              {Array.from({ length: starCount }).map((_, i) => (
                 <div key={i} className="flex flex-col">
                   <label className={"text-xs " + cls.muted}>Star {i + 1} rate</label>
                   <input
@@ -582,14 +2342,15 @@ export default function EnhancementSimulatorApp() {
                     step="0.001"
                     min="0"
                     max="1"
-                    value={starProbs[i] ?? 0}
+                    value={shownNumber(starProbs[i] ?? 0)}
                     onChange={(e) => {
                       const copy = starProbs.slice();
-                      copy[i] = Number(e.target.value);
+                      copy[i] = numberInput(e);
                       setStarProbs(copy);
                     }}
                     className={cls.input}
                   />
+                  <FieldIssues check={inputCheck} field={`starProbs[${i}]`} />
                 </div>
               ))}
               <div className="flex flex-col md:col-span-2">
@@ -601,48 +2362,142 @@ export default function EnhancementSimulatorApp() {
                   step="0.001"
                   min="0"
                   max="1"
-                  value={finalProb}
-                  onChange={(e) => setFinalProb(Number(e.target.value))}
+                  value={shownNumber(finalProb)}
+                  onChange={(e) => setFinalProb(numberInput(e))}
                   className={cls.input}
                 />
+                <FieldIssues check={inputCheck} field="finalProb" />
               </div>
             </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <label className={cls.tab(false) + " cursor-pointer"}>
+                Import attempt log
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  className="hidden"
+                  onChange={(e) => {
+                    uploadAttemptLog(e.target.files[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+              <InfoIcon text="CSV with a header row level,star,pity,success (star 1, 2, … or final; pity = fails on that counter before the attempt; success 1/0, true/false or success/fail), or a JSON array of objects with the same keys. Only attempts at the current level count, and attempts pity guaranteed or boosted are set aside." />
+              {attemptLog && (
+                <button onClick={() => setAttemptLog(null)} className={cls.tab(false)}>
+                  Clear log
+                </button>
+              )}
+            </div>
+            {attemptLog?.failed && (
+              <p className="text-sm text-red-500">
+                Could not read {attemptLog.name}: {attemptLog.failed}
+              </p>
+            )}
+            {attemptLog &&
+              !attemptLog.failed &&
+              (() => {
+                const estimate = estimateRates(singleParams, attemptLog.rows);
+                const pct = (r) => (r * 100).toFixed(1) + "%";
+                const set = (t) => t.guaranteed + t.boosted;
+                return (
+                  <div className="space-y-2 text-sm">
+                    <p className={cls.muted}>
+                      {attemptLog.name}: {formatNumber(attemptLog.rows.length)} attempts
+                      {estimate.otherLevels ? `, ${formatNumber(estimate.otherLevels)} at other levels` : ""}
+                      {estimate.outOfRange ? `, ${formatNumber(estimate.outOfRange)} on stars past ${starCount}` : ""}
+                      {attemptLog.errors.length ? `, ${attemptLog.errors.length} unreadable rows` : ""}.
+                    </p>
+                    {attemptLog.errors.slice(0, 3).map((e) => (
+                      <p key={e.line} className="text-red-500">
+                        Line {e.line}: {e.message}
+                      </p>
+                    ))}
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full">
+                        <thead>
+                          <tr className={dark ? "text-left border-b border-neutral-700" : "text-left border-b"}>
+                            {["Attempt", "Used", "Estimate", "95% CI", "Configured", ""].map((h, i) => (
+                              <th key={i} className={"py-1 pr-4 font-medium " + cls.muted}>
+                                {h}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {estimate.targets.map((t) => (
+                            <tr key={t.star ?? "final"}>
+                              <td className="py-1 pr-4">{t.star === null ? "Final" : `Star ${t.star + 1}`}</td>
+                              <td className="py-1 pr-4 whitespace-nowrap">
+                                {t.successes} / {t.used}
+                                {set(t) > 0 && (
+                                  <InfoIcon
+                                    text={`${t.guaranteed} guaranteed and ${t.boosted} soft‑pity attempts set aside${
+                                      t.contradictions ? `; ${t.contradictions} guaranteed attempts were logged as failures` : ""
+                                    }.`}
+                                  />
+                                )}
+                              </td>
+                              <td className="py-1 pr-4">{t.rate === null ? "—" : pct(t.rate)}</td>
+                              <td className="py-1 pr-4 whitespace-nowrap">{t.rate === null ? "—" : `${pct(t.lo)} – ${pct(t.hi)}`}</td>
+                              <td className="py-1 pr-4">{pct(t.configured)}</td>
+                              <td className={"py-1 " + (t.agrees === false || t.contradictions ? "text-red-500" : cls.muted)}>
+                                {t.agrees === false ? "Outside CI" : t.agrees ? "Consistent" : ""}
+                                {t.contradictions ? " · pity mismatch" : ""}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <button
+                      onClick={() => applyRateEstimates(estimate)}
+                      disabled={estimate.targets.every((t) => t.rate === null)}
+                      className={cls.tab(false)}
+                    >
+                      Apply estimates
+                    </button>
+                  </div>
+                );
+              })()}
           </div>
 
           <div className={cls.card + " space-y-4"}>
             <h2 className="text-lg font-semibold">
-              Economy & Pity <InfoIcon text="Gold per attempt and pity thresholds. After N fails, the next attempt is guaranteed." />
+              Economy & Pity <InfoIcon text="Gold per attempt and pity rules. With a hard threshold, after N fails the next attempt is guaranteed." />
             </h2>
             <div className="grid grid-cols-2 gap-3">
               <div className="flex flex-col">
-                <label className={"text-xs " + cls.muted}>Gold per attempt</label>
-                <input
-                  type="number"
-                  min={0}
-                  value={goldPerAttempt}
-                  onChange={(e) => setGoldPerAttempt(Number(e.target.value))}
-                  className={cls.input}
-                />
+                <label className={"text-xs " + cls.muted}>
+                  Gold per attempt{" "}
+                  <InfoIcon text="Sets the gold cost of every star and final attempt. Edit individual attempts and materials under Costs & Materials." />
+                </label>
+                <input type="number" min={0} value={shownNumber(starCosts[0][0])} onChange={(e) => setAllGold(numberInput(e))} className={cls.input} />
+                <FieldIssues check={inputCheck} field="costs.stars[0][0].amount" />
               </div>
               <div className="flex flex-col">
-                <label className={"text-xs " + cls.muted}>Star pity threshold (fails)</label>
+                <label className={"text-xs " + cls.muted}>
+                  {pity.model === "shared" ? "Shared star pity threshold (fails)" : "Star pity threshold (fails)"}
+                </label>
                 <input
                   type="number"
                   min={0}
-                  value={starPityThreshold}
-                  onChange={(e) => setStarPityThreshold(Number(e.target.value))}
+                  value={shownNumber(starPityThreshold)}
+                  onChange={(e) => setStarPityThreshold(numberInput(e))}
                   className={cls.input}
                 />
+                <FieldIssues check={inputCheck} field="starPityThreshold" />
               </div>
               <div className="flex flex-col">
                 <label className={"text-xs " + cls.muted}>Final pity threshold (fails)</label>
                 <input
                   type="number"
                   min={0}
-                  value={finalPityThreshold}
-                  onChange={(e) => setFinalPityThreshold(Number(e.target.value))}
+                  value={shownNumber(finalPityThreshold)}
+                  onChange={(e) => setFinalPityThreshold(numberInput(e))}
                   className={cls.input}
                 />
+                <FieldIssues check={inputCheck} field="finalPityThreshold" />
               </div>
               <div className="flex items-end gap-2">
                 <input
@@ -657,188 +2512,1053 @@ export default function EnhancementSimulatorApp() {
                   <InfoIcon text="If enabled, star pity cannot accumulate; worst‑case becomes infinite." />
                 </label>
               </div>
+              <div className="flex flex-col col-span-2">
+                <label className={"text-xs " + cls.muted}>
+                  Pity model{" "}
+                  <InfoIcon text="Hard: N fails on a star guarantee its next attempt. Soft: each fail past a start point raises that counter's rate. Shared: one counter for every star, emptied by any star success. The final always keeps its own counter." />
+                </label>
+                <select value={pity.model} onChange={(e) => updatePity({ model: e.target.value })} className={cls.input}>
+                  <option value="hard">Hard threshold</option>
+                  <option value="soft">Soft pity (rate ramp)</option>
+                  <option value="shared">Shared pool across stars</option>
+                </select>
+              </div>
+              {pity.model === "soft" && (
+                <>
+                  <div className="flex flex-col">
+                    <label className={"text-xs " + cls.muted}>Ramp starts after (fails)</label>
+                    <input
+                      type="number"
+                      min={0}
+                      value={shownNumber(pity.softStart)}
+                      onChange={(e) => updatePity({ softStart: numberInput(e) })}
+                      className={cls.input}
+                    />
+                    <FieldIssues check={inputCheck} field="pityModel.softStart" />
+                  </div>
+                  <div className="flex flex-col">
+                    <label className={"text-xs " + cls.muted}>
+                      Rate added per fail <InfoIcon text="Absolute: 0.05 turns a 20% rate into 25% after one more fail." />
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      max="1"
+                      value={shownNumber(pity.softStep)}
+                      onChange={(e) => updatePity({ softStep: numberInput(e) })}
+                      className={cls.input}
+                    />
+                    <FieldIssues check={inputCheck} field="pityModel.softStep" />
+                  </div>
+                  <div className="flex flex-col">
+                    <label className={"text-xs " + cls.muted}>
+                      Rate cap <InfoIcon text="The ramp stops here. At 1 the ramp itself ends in a guaranteed attempt." />
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      max="1"
+                      value={shownNumber(pity.softCap)}
+                      onChange={(e) => updatePity({ softCap: numberInput(e) })}
+                      className={cls.input}
+                    />
+                    <FieldIssues check={inputCheck} field="pityModel.softCap" />
+                  </div>
+                  <div className="flex items-end gap-2">
+                    <input
+                      id="hardGuarantee"
+                      type="checkbox"
+                      checked={pity.hardGuarantee}
+                      onChange={(e) => updatePity({ hardGuarantee: e.target.checked })}
+                      className="h-5 w-5 rounded"
+                    />
+                    <label htmlFor="hardGuarantee" className="text-sm">
+                      Thresholds still guarantee
+                      <InfoIcon text="Off: only the ramp helps, so a cap below 1 makes the worst case infinite." />
+                    </label>
+                  </div>
+                </>
+              )}
+              {pity.model !== "shared" && (
+                <div className="flex items-end gap-2 col-span-2">
+                  <input
+                    id="perStarPity"
+                    type="checkbox"
+                    checked={pity.perStar}
+                    onChange={(e) =>
+                      updatePity({
+                        perStar: e.target.checked,
+                        // start every star from the shared threshold
+                        ...(e.target.checked ? { starThresholds: Array(starCount).fill(Number(starPityThreshold)) } : {}),
+                      })
+                    }
+                    className="h-5 w-5 rounded"
+                  />
+                  <label htmlFor="perStarPity" className="text-sm">
+                    Different pity threshold per star
+                  </label>
+                </div>
+              )}
             </div>
-          </div>
-        </section>
-
-        <section className={cls.card + " grid md:grid-cols-3 gap-4 items-end"}>
-          <div className="flex flex-col">
-            <label className={"text-xs " + cls.muted}>
-              Monte Carlo trials <InfoIcon text="We sample many random runs to estimate averages and percentiles." />
-            </label>
-            <input type="number" min={100} max={200000} value={trials} onChange={(e) => setTrials(Number(e.target.value))} className={cls.input} />
-          </div>
-          <div className="flex flex-col">
-            <label className={"text-xs " + cls.muted}>
-              Random seed <InfoIcon text="Same seed → same pseudo‑random sequence → reproducible results." />
-            </label>
-            <input type="number" value={seed} onChange={(e) => setSeed(Number(e.target.value))} className={cls.input} />
-          </div>
-          <div className="flex gap-3 md:justify-end">
-            <button onClick={runSimulation} className={cls.btnPrimary}>
-              Run Simulation
-            </button>
-            <button
-              onClick={() => {
-                setFromLevel(18);
-                const sug = suggestedStarsForLevel(18);
-                setStarsRequired(sug);
-                resizeStarProbs(sug);
-                setGoldPerAttempt(270000);
-                setStarProbs(Array(sug).fill(0.2));
-                setFinalProb(0.2);
-                setStarPityThreshold(6);
-                setFinalPityThreshold(6);
-                setStarPityResetsOnAnyFail(false);
-                setTrials(20000);
-                setSeed(12345);
-                setResults(null);
-              }}
-              className={cls.btnSecondary}
-            >
-              Reset
-            </button>
-          </div>
-        </section>
-
-        {results && (
-          <section className="space-y-6">
-            {/* Summaries */}
-            <div className="grid md:grid-cols-2 gap-6">
-              <SummaryTable
-                dark={dark}
-                title={`Build ${results.params.numStars} Stars — Monte Carlo`}
-                titleInfo="Averages and percentiles from simulation."
-                rows={[
-                  {
-                    Metric: "Mean Attempts",
-                    Value: { value: formatNumber(Math.round(results.starsSummary.meanAttempts)), info: "Arithmetic average across runs." },
-                  },
-                  {
-                    Metric: "P50 (Median) Attempts",
-                    Value: { value: formatNumber(Math.round(results.starsSummary.medianAttempts)), info: "Half of runs finish at or below this." },
-                  },
-                  {
-                    Metric: "P90 Attempts",
-                    Value: { value: formatNumber(Math.round(results.starsSummary.p90Attempts)), info: "90% of runs finish at or below this." },
-                  },
-                  {
-                    Metric: "P99 Attempts",
-                    Value: { value: formatNumber(Math.round(results.starsSummary.p99Attempts)), info: "99% of runs finish at or below this." },
-                  },
-                  { Metric: "Mean Gold", Value: { value: formatGold(results.starsSummary.meanGold), info: "Mean attempts × gold per attempt." } },
-                  { Metric: "P50 (Median) Gold", Value: { value: formatGold(results.starsSummary.medianGold), info: "Gold at median attempts." } },
-                  { Metric: "P90 Gold", Value: { value: formatGold(results.starsSummary.p90Gold), info: "Gold at 90th percentile attempts." } },
-                  { Metric: "P99 Gold", Value: { value: formatGold(results.starsSummary.p99Gold), info: "Gold at 99th percentile attempts." } },
-                ]}
-              />
-
-              <SummaryTable
-                dark={dark}
-                title={`Upgrade +${fromLevel} → +${toLevel} — Monte Carlo`}
-                titleInfo="Includes rebuilding stars between failed finals."
-                rows={[
-                  {
-                    Metric: "Mean Attempts",
-                    Value: { value: formatNumber(Math.round(results.fullSummary.meanAttempts)), info: "Arithmetic average across runs." },
-                  },
-                  {
-                    Metric: "P50 (Median) Attempts",
-                    Value: { value: formatNumber(Math.round(results.fullSummary.medianAttempts)), info: "Half of runs finish at or below this." },
-                  },
-                  {
-                    Metric: "P90 Attempts",
-                    Value: { value: formatNumber(Math.round(results.fullSummary.p90Attempts)), info: "90% of runs finish at or below this." },
-                  },
-                  {
-                    Metric: "P99 Attempts",
-                    Value: { value: formatNumber(Math.round(results.fullSummary.p99Attempts)), info: "99% of runs finish at or below this." },
-                  },
-                  { Metric: "Mean Gold", Value: { value: formatGold(results.fullSummary.meanGold), info: "Mean attempts × gold per attempt." } },
-                  { Metric: "P50 (Median) Gold", Value: { value: formatGold(results.fullSummary.medianGold), info: "Gold at median attempts." } },
-                  { Metric: "P90 Gold", Value: { value: formatGold(results.fullSummary.p90Gold), info: "Gold at 90th percentile attempts." } },
-                  { Metric: "P99 Gold", Value: { value: formatGold(results.fullSummary.p99Gold), info: "Gold at 99th percentile attempts." } },
-                ]}
-              />
-            </div>
+            {pity.model !== "shared" && pity.perStar && (
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {Array.from({ length: starCount }).map((_, i) => (
+                  <div key={i} className="flex flex-col">
+                    <label className={"text-xs " + cls.muted}>Star {i + 1} pity</label>
+                    <input
+                      type="number"
+                      min={0}
+                      value={shownNumber(pity.starThresholds[i] ?? starPityThreshold)}
+                      onChange={(e) => {
+                        const copy = Array.from({ length: starCount }, (_, j) => pity.starThresholds[j] ?? starPityThreshold);
+                        copy[i] = numberInput(e);
+                        updatePity({ starThresholds: copy });
+                      }}
+                      className={cls.input}
+                    />
+                    <FieldIssues check={inputCheck} field={`starPityThresholds[${i}]`} />
+                  </div>
+                ))}
+              </div>
+            )}
 
-            {/* Per‑star attempts */}
-            <div className="grid md:grid-cols-2 gap-6">
-              <SummaryTable
-                dark={dark}
-                title="Per‑Star Attempts — Build Phase"
-                titleInfo="Number of times each specific star was attempted until all stars were built. Earlier stars tend to be tried more due to resets."
-                rows={results.starsPerStarRows}
-              />
-              <SummaryTable
-                dark={dark}
-                title="Per‑Star Attempts — Full Upgrade"
-                titleInfo="Across the entire run to the final upgrade (including rebuilds between failed finals)."
-                rows={results.fullPerStarRows}
-              />
+            <div className="grid grid-cols-2 gap-3">
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>
+                  On failure{" "}
+                  <InfoIcon text="How many stars a failed star attempt leaves, and what a failed final leaves of the built stars. Wipe protection still keeps them all." />
+                </label>
+                <select value={starFailure.kind} onChange={(e) => updateStarFailure({ kind: e.target.value })} className={cls.input}>
+                  <option value="wipe">Wipe all stars</option>
+                  <option value="dropOne">Drop one star</option>
+                  <option value="checkpoint">Drop to a checkpoint</option>
+                  <option value="keepChance">Keep stars with a chance</option>
+                </select>
+              </div>
+              {starFailure.kind === "checkpoint" && (
+                <div className="flex flex-col">
+                  <label className={"text-xs " + cls.muted}>
+                    Checkpoint (stars) <InfoIcon text="Holding at least this many stars, a fail falls back to it; below it, stars wipe." />
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={starCount}
+                    value={shownNumber(starFailure.checkpoint)}
+                    onChange={(e) => updateStarFailure({ checkpoint: numberInput(e) })}
+                    className={cls.input}
+                  />
+                  <FieldIssues check={inputCheck} field="starFailure.checkpoint" />
+                </div>
+              )}
+              {starFailure.kind === "keepChance" && (
+                <div className="flex flex-col">
+                  <label className={"text-xs " + cls.muted}>
+                    Keep chance <InfoIcon text="Chance a fail keeps every star; otherwise they wipe. The worst case assumes they always wipe." />
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max="1"
+                    value={shownNumber(starFailure.keepProb)}
+                    onChange={(e) => updateStarFailure({ keepProb: numberInput(e) })}
+                    className={cls.input}
+                  />
+                  <FieldIssues check={inputCheck} field="starFailure.keepProb" />
+                </div>
+              )}
             </div>
 
-            {/* Worst‑case */}
-            <div className="grid md:grid-cols-2 gap-6">
-              <SummaryTable
-                dark={dark}
-                title={`Build ${results.params.numStars} Stars — Worst Case (Full Pity)`}
-                titleInfo="Adversarial luck: every try fails unless guaranteed by pity."
-                rows={[
-                  { Metric: "Attempts", Value: { value: fmtWorstVal(results.wcStars.attempts), info: "Infinite if star pity resets each fail." } },
-                  {
-                    Metric: "Gold",
-                    Value: {
-                      value: Number.isFinite(results.wcStars.gold) ? formatGold(results.wcStars.gold) : "Infinite",
-                      info: "Attempts × gold per attempt.",
-                    },
-                  },
-                ]}
+            <h2 className="text-lg font-semibold mt-4">
+              Final Failure Outcomes{" "}
+              <InfoIcon text="What a failed final does besides losing stars (see On failure). Leftover probability stays at +L. Dropped levels are re‑climbed with this step's settings (path mode: each level's own)." />
+            </h2>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Drop chance</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  max="1"
+                  value={shownNumber(dropProb)}
+                  onChange={(e) => setDropProb(numberInput(e))}
+                  className={cls.input}
+                />
+                <FieldIssues check={inputCheck} field="finalFailOutcomes[0].prob" />
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Levels dropped</label>
+                <input type="number" min={1} value={shownNumber(dropLevels)} onChange={(e) => setDropLevels(numberInput(e))} className={cls.input} />
+                <FieldIssues check={inputCheck} field="finalFailOutcomes[0].levels" />
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Break chance</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  max="1"
+                  value={shownNumber(breakProb)}
+                  onChange={(e) => setBreakProb(numberInput(e))}
+                  className={cls.input}
+                />
+                <FieldIssues check={inputCheck} field="finalFailOutcomes[1].prob" />
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Replacement cost (gold)</label>
+                <input type="number" min={0} value={shownNumber(breakCost)} onChange={(e) => setBreakCost(numberInput(e))} className={cls.input} />
+                <FieldIssues check={inputCheck} field="finalFailOutcomes[1].replacementCost" />
+              </div>
+            </div>
+            <div className={"text-xs " + cls.muted}>Stay chance: {(Math.max(0, 1 - Number(dropProb) - Number(breakProb)) * 100).toFixed(1)}%</div>
+            <FieldIssues check={inputCheck} field="finalFailOutcomes" />
+
+            <h2 className="text-lg font-semibold mt-4">
+              Protection{" "}
+              <InfoIcon text="Protected attempts consume items on every use. A protected failure still builds pity but can keep built stars and/or skip the drop/break roll." />
+            </h2>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Protect stars from star # (0 = off)</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={starCount}
+                  value={shownNumber(protectFromStar)}
+                  onChange={(e) => setProtectFromStar(numberInput(e))}
+                  className={cls.input}
+                />
+                <FieldIssues check={inputCheck} field="protection.fromStar" />
+              </div>
+              <div className="flex items-end gap-2">
+                <input
+                  id="protectFinal"
+                  type="checkbox"
+                  checked={protectFinal}
+                  onChange={(e) => setProtectFinal(e.target.checked)}
+                  className="h-5 w-5 rounded"
+                />
+                <label htmlFor="protectFinal" className="text-sm">
+                  Protect final attempts
+                </label>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  id="protectWipe"
+                  type="checkbox"
+                  checked={protectPreventsWipe}
+                  onChange={(e) => setProtectPreventsWipe(e.target.checked)}
+                  className="h-5 w-5 rounded"
+                />
+                <label htmlFor="protectWipe" className="text-sm">
+                  Prevents star wipe
+                </label>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  id="protectOutcome"
+                  type="checkbox"
+                  checked={protectPreventsOutcome}
+                  onChange={(e) => setProtectPreventsOutcome(e.target.checked)}
+                  className="h-5 w-5 rounded"
+                />
+                <label htmlFor="protectOutcome" className="text-sm">
+                  Prevents level drop / break
+                </label>
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Items per protected attempt</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={shownNumber(protectItemsPerUse)}
+                  onChange={(e) => setProtectItemsPerUse(numberInput(e))}
+                  className={cls.input}
+                />
+                <FieldIssues check={inputCheck} field="protection.itemsPerUse" />
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Gold value per item</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={shownNumber(protectGoldPerItem)}
+                  onChange={(e) => setProtectGoldPerItem(numberInput(e))}
+                  className={cls.input}
+                />
+                <FieldIssues check={inputCheck} field="protection.goldPerItem" />
+              </div>
+            </div>
+          </div>
+        </section>
+
+        {/* Costs & materials */}
+        <section className={cls.card + " space-y-4"}>
+          <h2 className="text-lg font-semibold">
+            Costs & Materials{" "}
+            <InfoIcon text="What each attempt consumes. Exchange rates price every resource in gold for the totals; resources without a rate are tracked but not priced." />
+          </h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className={"text-left " + cls.borderRow}>
+                  <th className={cls.tableHead}>Attempt</th>
+                  {resourceDefs.map((r, k) => (
+                    <th key={k} className={cls.tableHead}>
+                      {k === 0 ? (
+                        "Gold"
+                      ) : (
+                        <>
+                          <span className="inline-flex items-center gap-1">
+                            <input
+                              type="text"
+                              value={r.name}
+                              onChange={(e) => setResourceDefs((prev) => prev.map((d, j) => (j === k ? { ...d, name: e.target.value } : d)))}
+                              className={cls.inputAmount}
+                            />
+                            <button onClick={() => removeResource(k)} className="px-1 hover:text-red-500" title="Remove resource">
+                              ×
+                            </button>
+                          </span>
+                          <FieldIssues check={inputCheck} field={`costs.final[${k}].resource`} />
+                        </>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr className={cls.borderRow}>
+                  <td className={"py-2 pr-4 whitespace-nowrap " + cls.muted}>Gold per unit</td>
+                  {resourceDefs.map((r, k) => (
+                    <td key={k} className="py-2 pr-4">
+                      {k === 0 ? (
+                        <span className={cls.muted}>1</span>
+                      ) : (
+                        <>
+                          <input
+                            type="number"
+                            min={0}
+                            value={shownNumber(r.rate)}
+                            onChange={(e) => setResourceDefs((prev) => prev.map((d, j) => (j === k ? { ...d, rate: numberInput(e) } : d)))}
+                            className={cls.inputAmount}
+                          />
+                          <FieldIssues check={inputCheck} field={`exchangeRates.${r.name}`} />
+                        </>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+                {[...Array.from({ length: starCount }, (_, i) => i), "final"].map((row) => {
+                  const values = row === "final" ? finalCosts : starCosts[row];
+                  const setValue = (k, v) => {
+                    if (row === "final") setFinalCosts((prev) => prev.map((x, j) => (j === k ? v : x)));
+                    else setStarCosts((prev) => prev.map((r, i) => (i === row ? r.map((x, j) => (j === k ? v : x)) : r)));
+                  };
+                  return (
+                    <tr key={row} className={cls.borderRow}>
+                      <td className="py-2 pr-4 whitespace-nowrap font-medium">{row === "final" ? "Final" : `Star ${row + 1}`}</td>
+                      {resourceDefs.map((_, k) => (
+                        <td key={k} className="py-2 pr-4">
+                          <input
+                            type="number"
+                            min={0}
+                            value={shownNumber(values[k] ?? 0)}
+                            onChange={(e) => setValue(k, numberInput(e))}
+                            className={cls.inputAmount}
+                          />
+                          <FieldIssues check={inputCheck} field={`${row === "final" ? "costs.final" : `costs.stars[${row}]`}[${k}].amount`} />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <button onClick={addResource} className={cls.tab(false)}>
+            + Add resource
+          </button>
+        </section>
+
+        {/* Mode + path planner */}
+        <section className={cls.card + " space-y-4"}>
+          <div className="flex flex-wrap items-center gap-3">
+            <h2 className="text-lg font-semibold">
+              Mode{" "}
+              <InfoIcon text="Single step simulates +L → +(L+1). Path chains every level from +L up to +M, each with its own settings. Sweep charts a metric across a range of one or two settings. Goal seek finds the setting that hits a target. Replay steps through one run attempt by attempt. Live session tracks a real upgrade and predicts what is left from where it stands." />
+            </h2>
+            <button onClick={() => setMode("single")} className={cls.tab(mode === "single")}>
+              Single step
+            </button>
+            <button onClick={() => setMode("path")} className={cls.tab(mode === "path")}>
+              Path +L → +M
+            </button>
+            <button onClick={() => setMode("sweep")} className={cls.tab(mode === "sweep")}>
+              Sweep
+            </button>
+            <button onClick={() => setMode("seek")} className={cls.tab(mode === "seek")}>
+              Goal seek
+            </button>
+            <button onClick={() => setMode("replay")} className={cls.tab(mode === "replay")}>
+              Replay
+            </button>
+            <button onClick={() => setMode("live")} className={cls.tab(mode === "live")}>
+              Live session
+            </button>
+          </div>
+
+          {mode === "live" &&
+            (() => {
+              const next = nextAttempt(singleParams, session);
+              const target = next.star === null ? `the final (+${fromLevel} → +${toLevel})` : `star ${next.star + 1}`;
+              const keepChance = starFailure.kind === "keepChance" && !(next.guarded && protectPreventsWipe);
+              const num = (v) => Math.max(0, Math.floor(Number(v) || 0));
+              return (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div className="flex flex-col">
+                      <label className={"text-xs " + cls.muted}>Stars held</label>
+                      <input
+                        type="number"
+                        min={0}
+                        max={starCount}
+                        value={session.stars}
+                        onChange={(e) => editSession({ stars: Math.min(num(e.target.value), starCount) })}
+                        className={cls.input}
+                      />
+                    </div>
+                    <div className="flex flex-col">
+                      <label className={"text-xs " + cls.muted}>Final pity (fails)</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={session.finalPity}
+                        onChange={(e) => editSession({ finalPity: num(e.target.value) })}
+                        className={cls.input}
+                      />
+                    </div>
+                    <div className="flex flex-col">
+                      <label className={"text-xs " + cls.muted}>
+                        Gold spent <InfoIcon text="Added to the projected totals, and taken off the budget if one is set." />
+                      </label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={session.gold}
+                        onChange={(e) => editSession({ gold: Math.max(0, Number(e.target.value)) })}
+                        className={cls.input}
+                      />
+                    </div>
+                    <div className="flex flex-col">
+                      <label className={"text-xs " + cls.muted}>Attempts made</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={session.attempts}
+                        onChange={(e) => editSession({ attempts: num(e.target.value) })}
+                        className={cls.input}
+                      />
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                    {session.starPity.map((c, k) => (
+                      <div key={k} className="flex flex-col">
+                        <label className={"text-xs " + cls.muted}>{pity.model === "shared" ? "Shared star pity" : `Star ${k + 1} pity`}</label>
+                        <input
+                          type="number"
+                          min={0}
+                          value={c}
+                          disabled={pity.model !== "shared" && k < session.stars}
+                          onChange={(e) => editSession({ starPity: session.starPity.map((x, j) => (j === k ? num(e.target.value) : x)) })}
+                          className={cls.input}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {session.done ? (
+                    <p className="font-semibold">
+                      Upgrade complete after {formatNumber(session.attempts)} attempts and {formatGold(session.gold)}.
+                    </p>
+                  ) : (
+                    <p>
+                      Next: {target} at {(next.rate * 100).toFixed(1)}%
+                      {next.guaranteed
+                        ? " — guaranteed by pity"
+                        : Number.isFinite(next.at)
+                          ? ` (pity ${next.pity} / ${next.at})`
+                          : ` (${next.pity} fails)`}
+                      {next.guarded ? ", protected" : ""}.
+                    </p>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button onClick={() => recordAttempt({ success: true })} disabled={session.done} className={cls.tab(false)}>
+                      Success
+                    </button>
+                    <button onClick={() => recordAttempt({ success: false })} disabled={session.done || next.guaranteed} className={cls.tab(false)}>
+                      Fail
+                    </button>
+                    {keepChance && (
+                      <button
+                        onClick={() => recordAttempt({ success: false, keptStars: true })}
+                        disabled={session.done || next.guaranteed}
+                        className={cls.tab(false)}
+                      >
+                        Fail, stars kept
+                      </button>
+                    )}
+                    <button onClick={undoAttempt} disabled={!live.history.length} className={cls.tab(false)}>
+                      Undo
+                    </button>
+                    <button onClick={resetSession} className={cls.tab(false)}>
+                      Reset session
+                    </button>
+                    <InfoIcon text="Record each real attempt as it happens, or type the state in directly. Run Simulation then predicts the rest of the upgrade from exactly here. A dropped or broken item after a failed final is not tracked; reset or edit the state." />
+                  </div>
+                </div>
+              );
+            })()}
+
+          {mode === "replay" && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>
+                  Replay seed <InfoIcon text="Seeds this one run only; the Monte Carlo keeps its own seed." />
+                </label>
+                <input type="number" value={replaySeed} onChange={(e) => setReplaySeed(Number(e.target.value))} className={cls.input} />
+              </div>
+              <div className="flex items-end">
+                <button onClick={() => setReplaySeed(Math.floor(Math.random() * 2 ** 31))} className={cls.tab(false)}>
+                  Random seed
+                </button>
+              </div>
+            </div>
+          )}
+
+          {mode === "path" && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <div className="flex flex-col">
+                  <label className={"text-xs " + cls.muted}>Target level (M)</label>
+                  <input
+                    type="number"
+                    min={singleParams.level + 1}
+                    max={singleParams.level + MAX_PATH_LEVELS}
+                    value={shownNumber(pathTarget)}
+                    onChange={(e) => setPathTarget(numberInput(e))}
+                    className={cls.input}
+                  />
+                  <FieldIssues check={settingsCheck} field="path.target" />
+                  <div className={"text-xs mt-1 " + cls.muted}>
+                    Plans +{fromLevel} → +{singleParams.level + pathSteps.length} ({pathSteps.length} levels)
+                  </div>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className={"text-left " + cls.borderRow}>
+                      {["Step", "Stars", "Star rates", "Final rate", "Star pity", "Final pity", "Star gold", "Final gold"].map((h) => (
+                        <th key={h} className={cls.tableHead}>
+                          {h}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pathSteps.map((st, i) => (
+                      <tr key={st.level} className={cls.borderRow}>
+                        <td className="py-2 pr-4 whitespace-nowrap font-medium">
+                          +{st.level} → +{st.level + 1}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <input
+                            type="number"
+                            min={1}
+                            max={10}
+                            value={shownNumber(st.numStars)}
+                            onChange={(e) => {
+                              const n = numberInput(e);
+                              updatePathStep(i, { numStars: Number.isNaN(n) ? n : Math.max(1, Math.min(10, n)) });
+                            }}
+                            className={cls.inputCompact}
+                          />
+                          <FieldIssues check={pathCheck} field={`+${st.level} numStars`} />
+                        </td>
+                        <td className="py-2 pr-4">
+                          <div className="flex gap-1">
+                            {st.starProbs.map((r, k) => (
+                              <input
+                                key={k}
+                                type="number"
+                                step="0.001"
+                                min="0"
+                                max="1"
+                                value={shownNumber(r)}
+                                title={`Star ${k + 1} rate`}
+                                onChange={(e) => {
+                                  const probs = st.starProbs.slice();
+                                  probs[k] = numberInput(e);
+                                  updatePathStep(i, { starProbs: probs });
+                                }}
+                                className={cls.inputCompact}
+                              />
+                            ))}
+                          </div>
+                          {st.starProbs.map((_, k) => (
+                            <FieldIssues key={k} check={pathCheck} field={`+${st.level} starProbs[${k}]`} />
+                          ))}
+                        </td>
+                        {["finalProb", "starPityThreshold", "finalPityThreshold", "goldPerAttempt", "finalGoldPerAttempt"].map((key) => (
+                          <td key={key} className="py-2 pr-4">
+                            <input
+                              type="number"
+                              step={key === "finalProb" ? "0.001" : "1"}
+                              min={0}
+                              value={shownNumber(st[key])}
+                              onChange={(e) => updatePathStep(i, { [key]: numberInput(e) })}
+                              className={key === "goldPerAttempt" || key === "finalGoldPerAttempt" ? cls.inputAmount : cls.inputCompact}
+                            />
+                            <FieldIssues check={pathCheck} field={`+${st.level} ${PATH_STEP_FIELDS[key]}`} />
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {mode === "sweep" && (
+            <div className="grid md:grid-cols-3 gap-4">
+              {[
+                ["x", sweepX, "Parameter 1"],
+                ["y", sweepY, "Parameter 2 (optional)"],
+              ].map(([axis, ax, title]) => {
+                const def = SWEEP_PARAMS[ax.param];
+                const count = def ? sweepValues(ax, def.integer).length : 0;
+                return (
+                  <div key={axis} className="space-y-2">
+                    <div className="flex flex-col">
+                      <label className={"text-xs " + cls.muted}>{title}</label>
+                      <select value={ax.param} onChange={(e) => setSweepAxis(axis, e.target.value)} className={cls.input}>
+                        {axis === "y" && <option value="none">None (line chart)</option>}
+                        {Object.entries(SWEEP_PARAMS)
+                          .filter(([k]) => axis === "x" || k !== sweepX.param)
+                          .map(([k, p]) => (
+                            <option key={k} value={k}>
+                              {p.label}
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                    {def && (
+                      <>
+                        <div className="grid grid-cols-3 gap-2">
+                          {["from", "to", "step"].map((f) => (
+                            <div key={f} className="flex flex-col">
+                              <label className={"text-xs capitalize " + cls.muted}>{f}</label>
+                              <input
+                                type="number"
+                                step="any"
+                                value={shownNumber(ax[f])}
+                                onChange={(e) => (axis === "x" ? setSweepX : setSweepY)({ ...ax, [f]: numberInput(e) })}
+                                className={cls.input}
+                              />
+                              <FieldIssues check={settingsCheck} field={`sweep.${axis}.${f}`} />
+                            </div>
+                          ))}
+                        </div>
+                        <div className={"text-xs " + (count ? cls.muted : "text-red-500")}>
+                          {count ? `${count} values${count === MAX_SWEEP_STEPS ? " (capped)" : ""}` : "Needs a step above 0 and To ≥ From"}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+              <div className="space-y-2">
+                <div className="flex flex-col">
+                  <label className={"text-xs " + cls.muted}>
+                    Metric <InfoIcon text="Measured on the full upgrade. P(success within budget) uses the budget chosen below." />
+                  </label>
+                  <select value={sweepMetric} onChange={(e) => setSweepMetric(e.target.value)} className={cls.input}>
+                    {Object.entries(SWEEP_METRICS).map(([k, m]) => (
+                      <option key={k} value={k} disabled={m.needsBudget && !budget}>
+                        {m.label}
+                        {m.needsBudget && !budget ? " (set a budget)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex flex-col">
+                  <label className={"text-xs " + cls.muted}>
+                    Trials per point <InfoIcon text="Every point reuses the random seed, so neighbouring cells differ only by their settings." />
+                  </label>
+                  <input
+                    type="number"
+                    min={100}
+                    value={shownNumber(sweepTrials)}
+                    onChange={(e) => setSweepTrials(numberInput(e))}
+                    className={cls.input}
+                  />
+                  <FieldIssues check={settingsCheck} field="sweep.trials" />
+                </div>
+              </div>
+            </div>
+          )}
+
+          {mode === "seek" && (
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+              <div className="flex flex-col col-span-2">
+                <label className={"text-xs " + cls.muted}>Solve for</label>
+                <select
+                  value={seek.param}
+                  onChange={(e) => {
+                    const { from, to } = SWEEP_PARAMS[e.target.value].range;
+                    updateSeek({ param: e.target.value, lo: from, hi: to });
+                  }}
+                  className={cls.input}
+                >
+                  {Object.entries(SWEEP_PARAMS).map(([k, p]) => (
+                    <option key={k} value={k}>
+                      {p.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Lower bound</label>
+                <input type="number" step="any" value={shownNumber(seek.lo)} onChange={(e) => updateSeek({ lo: numberInput(e) })} className={cls.input} />
+                <FieldIssues check={settingsCheck} field="seek.lo" />
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Upper bound</label>
+                <input type="number" step="any" value={shownNumber(seek.hi)} onChange={(e) => updateSeek({ hi: numberInput(e) })} className={cls.input} />
+                <FieldIssues check={settingsCheck} field="seek.hi" />
+              </div>
+              <div className="flex flex-col col-span-2">
+                <label className={"text-xs " + cls.muted}>
+                  Target metric <InfoIcon text="Full upgrade. Costs must come in at or under the target; P(success) at or above it." />
+                </label>
+                <select value={seek.metric} onChange={(e) => updateSeek({ metric: e.target.value })} className={cls.input}>
+                  {Object.entries(SEEK_METRICS).map(([k, m]) => (
+                    <option key={k} value={k} disabled={m.needsBudget && !budget}>
+                      {m.label}
+                      {m.needsBudget && !budget ? " (set a budget)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>Target ({SEEK_METRICS[seek.metric].lowerIsBetter ? "≤" : "≥"})</label>
+                <input
+                  type="number"
+                  step="any"
+                  value={shownNumber(seek.target)}
+                  onChange={(e) => updateSeek({ target: numberInput(e) })}
+                  className={cls.input}
+                />
+                <FieldIssues check={settingsCheck} field="seek.target" />
+              </div>
+              <div className="flex flex-col">
+                <label className={"text-xs " + cls.muted}>
+                  Trials per evaluation <InfoIcon text="Every evaluation reuses the random seed, so the metric changes smoothly with the setting." />
+                </label>
+                <input
+                  type="number"
+                  min={100}
+                  value={shownNumber(seek.trials)}
+                  onChange={(e) => updateSeek({ trials: numberInput(e) })}
+                  className={cls.input}
+                />
+                <FieldIssues check={settingsCheck} field="seek.trials" />
+              </div>
+            </div>
+          )}
+        </section>
+
+        <section className={cls.card + " grid md:grid-cols-3 gap-4 items-end"}>
+          <div className="flex flex-col">
+            <label className={"text-xs " + cls.muted}>
+              Monte Carlo trials <InfoIcon text="We sample many random runs to estimate averages and percentiles." />
+            </label>
+            <input
+              type="number"
+              min={100}
+              max={percentiles === "sketch" && (mode === "single" || mode === "live") ? SKETCH_MAX_TRIALS : MAX_TRIALS}
+              value={shownNumber(trials)}
+              disabled={autoTrials.on && (mode === "single" || mode === "live")}
+              onChange={(e) => setTrials(numberInput(e))}
+              className={cls.input}
+            />
+            <FieldIssues check={inputCheck} field="trials" />
+          </div>
+          {(mode === "single" || mode === "live") && (
+            <div className="flex flex-col">
+              <label className={"text-xs " + cls.muted}>
+                Auto trials{" "}
+                <InfoIcon
+                  text={`Instead of a fixed count, run a ${formatNumber(AUTO_PILOT_TRIALS)}‑trial pilot, then as many trials as it takes (up to ${formatNumber(percentiles === "sketch" ? SKETCH_MAX_TRIALS : AUTO_MAX_TRIALS)}) for the 95% CI on mean full‑upgrade attempts to be this tight.`}
+                />
+              </label>
+              <select
+                value={autoTrials.on ? autoTrials.precision : "off"}
+                onChange={(e) =>
+                  setAutoTrials(e.target.value === "off" ? { ...autoTrials, on: false } : { on: true, precision: Number(e.target.value) })
+                }
+                className={cls.input}
+              >
+                <option value="off">Off (fixed trials)</option>
+                {AUTO_PRECISIONS.map((p) => (
+                  <option key={p} value={p}>
+                    ±{p * 100}% of the mean
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {(mode === "single" || mode === "live") && (
+            <div className="flex flex-col">
+              <label className={"text-xs " + cls.muted}>
+                Percentiles{" "}
+                <InfoIcon
+                  text={`Exact keeps every run and sorts them (up to ${formatNumber(MAX_TRIALS)} trials). Sketch keeps a fixed‑size summary instead, so trials can go to ${formatNumber(SKETCH_MAX_TRIALS)}: means and SDs stay exact, percentiles land within ±${SKETCH_ALPHA * 100}% of the exact value.`}
+                />
+              </label>
+              <select value={percentiles} onChange={(e) => setPercentiles(e.target.value)} className={cls.input}>
+                {Object.entries(PERCENTILE_MODES).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="flex flex-col">
+            <label className={"text-xs " + cls.muted}>
+              Random seed <InfoIcon text="Same seed → same pseudo‑random sequence → reproducible results." />
+            </label>
+            <input type="number" value={shownNumber(seed)} onChange={(e) => setSeed(numberInput(e))} className={cls.input} />
+            <FieldIssues check={settingsCheck} field="seed" />
+          </div>
+          <div className="flex flex-col">
+            <label className={"text-xs " + cls.muted}>
+              Attempt cap per run{" "}
+              <InfoIcon text="A run that reaches this many attempts stops and is reported as did not finish, so settings that (almost) never finish cannot hang the page." />
+            </label>
+            <input
+              type="number"
+              min={1}
+              value={shownNumber(maxRunAttempts)}
+              onChange={(e) => setMaxRunAttempts(numberInput(e))}
+              className={cls.input}
+            />
+            <FieldIssues check={inputCheck} field="maxRunAttempts" />
+          </div>
+          <div className="flex flex-col">
+            <label className={"text-xs " + cls.muted}>
+              Random generator{" "}
+              <InfoIcon text="Source of the pseudo‑random sequence. Legacy LCG reproduces results from older versions (links and files saved before the choice existed use it); it is weaker and fails the RNG self‑check under Diagnostics." />
+            </label>
+            <select value={rng} onChange={(e) => setRng(e.target.value)} className={cls.input}>
+              {Object.entries(RNG_KINDS).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-col">
+            <label className={"text-xs " + cls.muted}>
+              Workers{" "}
+              <InfoIcon text="Background threads sharing the trials. Each gets its own seed derived from the random seed, so results are identical for the same seed and worker count." />
+            </label>
+            <select value={workers} onChange={(e) => setWorkers(Number(e.target.value))} className={cls.input}>
+              {Array.from({ length: MAX_WORKERS }, (_, i) => i + 1).map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-col">
+            <label className={"text-xs " + cls.muted}>
+              Budget{" "}
+              <InfoIcon text="Reports the chance of finishing within this many attempts or this much gold, and where runs stand when it runs out." />
+            </label>
+            <select value={budgetKind} onChange={(e) => setBudgetKind(e.target.value)} className={cls.input}>
+              <option value="none">No budget</option>
+              <option value="attempts">Attempts</option>
+              <option value="gold">Gold (priced total)</option>
+            </select>
+          </div>
+          {budgetKind !== "none" && (
+            <div className="flex flex-col">
+              <label className={"text-xs " + cls.muted}>Budget amount</label>
+              <input
+                type="number"
+                min={0}
+                value={shownNumber(budgetAmount)}
+                onChange={(e) => setBudgetAmount(numberInput(e))}
+                className={cls.input}
               />
+              <FieldIssues check={inputCheck} field="budget.amount" />
+            </div>
+          )}
+          <div className="flex gap-3 md:justify-end">
+            {running ? (
+              <button onClick={cancelRun} className={cls.btnPrimary}>
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={
+                  { path: runPathSimulation, sweep: runSweep, seek: runSeek, replay: recordReplay, live: runLiveSession }[mode] || runSimulation
+                }
+                className={cls.btnPrimary}
+              >
+                Run Simulation
+              </button>
+            )}
+            <button onClick={() => applyScenario({ ...DEFAULT_SCENARIO, mode })} className={cls.btnSecondary}>
+              Reset
+            </button>
+          </div>
+          {runError && <p className="md:col-span-3 text-sm text-red-500">{runError}</p>}
+          {!runError && (settingsCheck.blocked || (mode === "path" ? pathCheck : inputCheck).blocked) && (
+            <p className="md:col-span-3 text-sm text-red-500">
+              Cannot run yet:{" "}
+              {[settingsCheck, mode === "path" ? pathCheck : inputCheck]
+                .filter((c) => c.blocked)
+                .map((c) => blockingText(c))
+                .join("; ")}
+            </p>
+          )}
+          {running && (
+            <div className="md:col-span-3">
+              <div className={dark ? "h-2 rounded-full bg-neutral-700" : "h-2 rounded-full bg-gray-200"}>
+                <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${(100 * running.done) / running.total}%` }} />
+              </div>
+              <p className={"mt-1 text-xs " + cls.muted}>
+                {formatNumber(running.done)} / {formatNumber(running.total)} {running.unit || "runs"}
+              </p>
+            </div>
+          )}
+        </section>
+
+        {mode === "path" && pathResults && (
+          <section className="space-y-6">
+            {pathResults.partial && (
+              <p className={"text-sm " + cls.muted}>
+                {pathResults.partial.cancelled ? "Cancelled — partial results" : "Running — partial results"} from{" "}
+                {formatNumber(pathResults.partial.done)} of {formatNumber(pathResults.partial.total)} runs.
+              </p>
+            )}
+            {pathResults.unfinished && (
+              <p className="text-sm text-red-500">
+                Did not finish: {formatNumber(pathResults.unfinished.runs)} runs had a level hit the {formatNumber(pathResults.unfinished.cap)}
+                ‑attempt cap. They count with what they spent so far, so the figures below understate the true cost.
+              </p>
+            )}
+            <div className="grid md:grid-cols-2 gap-6">
+              <SummaryTable
+                dark={dark}
+                title={`Path +${pathResults.from} → +${pathResults.to} — Monte Carlo`}
+                titleInfo="Totals for the whole climb; every level is simulated as a full upgrade with its own settings."
+                rows={monteCarloRows(pathResults.summary)}
+              />
+              {pathResults.worst && (
+                <SummaryTable
+                  dark={dark}
+                  title={`Path +${pathResults.from} → +${pathResults.to} — Worst Case (Full Pity)`}
+                  titleInfo="Sum of every level's worst case."
+                  rows={worstCaseRows(pathResults.worst, pathResults.goldPerItem, pathResults.withProtection)}
+                />
+              )}
+            </div>
 
+            {pathResults.budget && (
               <SummaryTable
                 dark={dark}
-                title={`Upgrade +${fromLevel} → +${toLevel} — Worst Case (Full Pity)`}
-                titleInfo="Includes repeated rebuilds and final pity that persists."
+                title={`Budget: ${budgetLabel(pathResults.budget)}`}
+                titleInfo="Chance of finishing the whole climb within budget, and the level runs stop at when it runs out."
                 rows={[
-                  { Metric: "Attempts", Value: { value: fmtWorstVal(results.wcFull.attempts), info: "Infinite if star pity resets each fail." } },
-                  {
-                    Metric: "Gold",
-                    Value: {
-                      value: Number.isFinite(results.wcFull.gold) ? formatGold(results.wcFull.gold) : "Infinite",
-                      info: "Attempts × gold per attempt.",
-                    },
-                  },
+                  { Level: `Reach +${pathResults.to}`, "Share of Runs": `${(pathResults.budget.pSuccess * 100).toFixed(2)}%` },
+                  ...pathResults.budget.reachedShare.map((x, j) => ({
+                    Level: `Stuck at +${pathResults.from + j}`,
+                    "Share of Runs": `${(x * 100).toFixed(2)}%`,
+                  })),
                 ]}
               />
-            </div>
+            )}
+
+            {pathResults.resourceRows.length > 2 && (
+              <SummaryTable
+                dark={dark}
+                title="Resources — Whole Path"
+                titleInfo="Every resource consumed across the climb, plus the total priced in gold. Each level's gold column overrides the gold cost."
+                rows={pathResults.resourceRows}
+              />
+            )}
+
+            {pathResults.outcomeRows && (
+              <SummaryTable
+                dark={dark}
+                title="Final Failure Outcomes — Whole Path"
+                titleInfo="How often failed finals stayed, dropped or broke the item, summed over every level."
+                rows={pathResults.outcomeRows}
+              />
+            )}
+
+            <SummaryTable
+              dark={dark}
+              title="Per‑Level Breakdown"
+              titleInfo="Each level's contribution to the climb. Share is that level's mean gold over the total mean gold."
+              rows={pathResults.levels.map((l) => ({
+                Level: `+${l.level} → +${l.level + 1}`,
+                Stars: l.numStars,
+                "Mean Attempts": formatNumber(Math.round(l.summary.meanAttempts)),
+                "P90 Attempts": formatNumber(Math.round(l.summary.p90Attempts)),
+                "Mean Gold": formatGold(l.summary.meanGold),
+                "P90 Gold": formatGold(l.summary.p90Gold),
+                Share: pathResults.summary.meanGold > 0 ? `${((l.summary.meanGold / pathResults.summary.meanGold) * 100).toFixed(1)}%` : "—",
+                "Worst Case": l.worst ? fmtWorstVal(l.worst.attempts) : "…",
+              }))}
+            />
 
-            {/* Charts */}
             <div className="grid md:grid-cols-2 gap-6">
               <div className={cls.card}>
                 <h3 className="text-xl font-semibold mb-3">
-                  Attempts Distribution — Build Stars <InfoIcon text="Histogram of attempts across Monte Carlo runs." />
+                  Cumulative Gold by Level <InfoIcon text="Gold spent from +L up to each reached level: mean and 90th percentile." />
                 </h3>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={results.starsHistogram}>
+                    <LineChart data={pathResults.curve}>
                       <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
-                      <XAxis dataKey="attempts" tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
-                      <YAxis tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
-                      <Tooltip formatter={(value) => [value, "runs"]} labelFormatter={(l) => `Attempts ≥ ${l}`} />
-                      <Bar dataKey="runs" fill={cls.barFill} />
-                    </BarChart>
+                      <XAxis dataKey="level" tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
+                      <YAxis tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} tickFormatter={(v) => formatNumber(v)} width={90} />
+                      <Tooltip formatter={(value, name) => [formatGold(value), name]} />
+                      <Legend />
+                      <Line type="monotone" dataKey="meanGold" name="Mean" stroke={cls.lineA} dot />
+                      <Line type="monotone" dataKey="p90Gold" name="P90" stroke={cls.lineB} dot />
+                    </LineChart>
                   </ResponsiveContainer>
                 </div>
               </div>
 
               <div className={cls.card}>
                 <h3 className="text-xl font-semibold mb-3">
-                  Attempts Distribution — Final Upgrade <InfoIcon text="Histogram of attempts across Monte Carlo runs." />
+                  Attempts Distribution — Whole Path <InfoIcon text="Histogram of total attempts across Monte Carlo runs." />
                 </h3>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={results.fullHistogram}>
+                    <BarChart data={pathResults.histogram}>
                       <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
                       <XAxis dataKey="attempts" tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
                       <YAxis tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
@@ -849,6 +3569,323 @@ export default function EnhancementSimulatorApp() {
                 </div>
               </div>
             </div>
+          </section>
+        )}
+
+        {(mode === "single" || mode === "live") && results && !results.live === (mode === "single") && (
+          <section className="space-y-6">
+            {results.live && (
+              <div className="grid md:grid-cols-2 gap-6">
+                <SummaryTable
+                  dark={dark}
+                  title="Projected Totals"
+                  titleInfo="Spent so far plus the simulated rest of the upgrade from the session's current state."
+                  rows={[
+                    ["Mean", "meanAttempts", "meanGold"],
+                    ["P50 (Median)", "medianAttempts", "medianGold"],
+                    ["P90", "p90Attempts", "p90Gold"],
+                    ["P99", "p99Attempts", "p99Gold"],
+                  ].map(([label, a, g]) => ({
+                    Metric: label,
+                    Attempts: formatNumber(Math.round(results.live.attempts + results.fullSummary[a])),
+                    Gold: formatGold(results.live.gold + results.fullSummary[g]),
+                  }))}
+                />
+                <div className={cls.card}>
+                  <p className={dark ? "text-neutral-200" : "text-gray-700"}>
+                    Tables below cover only what is left: from {results.params.startState.stars} star
+                    {results.params.startState.stars === 1 ? "" : "s"} with final pity {results.params.startState.finalPity}, after{" "}
+                    {formatNumber(results.live.attempts)} attempts and {formatGold(results.live.gold)} spent.
+                  </p>
+                </div>
+              </div>
+            )}
+            {results.auto && (
+              <p className={"text-sm " + (results.auto.reached ? cls.muted : "text-red-500")}>
+                Auto trials: {formatNumber(results.auto.trials)} runs
+                {results.auto.reached
+                  ? ` put the mean full‑upgrade attempts within ±${results.auto.precision * 100}% (95% CI).`
+                  : ` (the cap) fell short of ±${results.auto.precision * 100}% on the mean full‑upgrade attempts.`}
+              </p>
+            )}
+            {results.partial && (
+              <p className={"text-sm " + cls.muted}>
+                {results.partial.cancelled ? "Cancelled — partial results" : "Running — partial results"} from {formatNumber(results.partial.done)} of{" "}
+                {formatNumber(results.partial.total)} runs.
+              </p>
+            )}
+            {results.sketch && (
+              <p className={"text-sm " + cls.muted}>
+                Percentiles from a quantile sketch: each is within ±{results.sketch.error * 100}% of the exact‑sort value; means and SDs are exact.
+                The largest sketch holds {formatNumber(results.sketch.buckets)} buckets however many trials run. Percentile CIs, the convergence chart
+                {results.params.budget ? " and where out‑of‑budget runs stood" : ""} need every run and are left out.
+              </p>
+            )}
+            {results.unfinished && (
+              <p className="text-sm text-red-500">
+                Did not finish: {formatNumber(results.unfinished.stars)} build and {formatNumber(results.unfinished.full)} full‑upgrade runs hit the{" "}
+                {formatNumber(results.unfinished.cap)}‑attempt cap and were stopped. They count with what they spent so far, so the figures below
+                understate the true cost.
+              </p>
+            )}
+            {results.capWarning && <p className="text-sm text-amber-500">{results.capWarning.message}</p>}
+            {/* Summaries */}
+            <div className="grid md:grid-cols-2 gap-6">
+              <SummaryTable
+                dark={dark}
+                title={`Build ${results.params.numStars} Stars — Monte Carlo`}
+                titleInfo="Averages and percentiles from simulation. SE is the standard error: √n‑scaled for the mean, from a bootstrap (runs resampled 200 times) for percentiles; the 95% CI is where the true value likely lies."
+                rows={monteCarloRows(results.starsSummary, results.partial ? undefined : (results.precision?.stars ?? null))}
+              />
+
+              <SummaryTable
+                dark={dark}
+                title={`Upgrade +${fromLevel} → +${toLevel} — Monte Carlo`}
+                titleInfo="Includes rebuilding stars between failed finals."
+                rows={monteCarloRows(results.fullSummary, results.partial ? undefined : (results.precision?.full ?? null))}
+              />
+            </div>
+
+            {results.budget && (
+              <div className="grid md:grid-cols-2 gap-6">
+                <SummaryTable
+                  dark={dark}
+                  title={`Budget: ${budgetLabel(results.budget)}`}
+                  titleInfo="Share of runs that finish without needing more than the budget."
+                  rows={[
+                    {
+                      Process: `Build ${results.params.numStars} Stars`,
+                      "P(Success)": `${(results.budget.stars.pSuccess * 100).toFixed(2)}%`,
+                      "Out of Budget": formatNumber(results.budget.stars.stuck),
+                    },
+                    {
+                      Process: `Upgrade +${fromLevel} → +${toLevel}`,
+                      "P(Success)": `${(results.budget.full.pSuccess * 100).toFixed(2)}%`,
+                      "Out of Budget": formatNumber(results.budget.full.stuck),
+                    },
+                  ]}
+                />
+                {!results.sketch && (
+                  <SummaryTable
+                    dark={dark}
+                    title="Where Runs Stand When the Budget Runs Out"
+                    titleInfo="Among runs that could not afford their next attempt: stars held and pity counters banked at that moment."
+                    rows={budgetRows(results.budget.stars, results.budget.full, results.params.numStars)}
+                  />
+                )}
+              </div>
+            )}
+
+            {results.fullResourceRows.length > 2 && (
+              <div className="grid md:grid-cols-2 gap-6">
+                <SummaryTable
+                  dark={dark}
+                  title={`Build ${results.params.numStars} Stars — Resources`}
+                  titleInfo="Every resource consumed per run, plus the total priced in gold."
+                  rows={results.starsResourceRows}
+                />
+                <SummaryTable
+                  dark={dark}
+                  title={`Upgrade +${fromLevel} → +${toLevel} — Resources`}
+                  titleInfo="Every resource consumed per run (including re‑climbs and replacements), plus the total priced in gold."
+                  rows={results.fullResourceRows}
+                />
+              </div>
+            )}
+
+            {results.outcomeRows && (
+              <SummaryTable
+                dark={dark}
+                title="Final Failure Outcomes"
+                titleInfo="How often failed finals stayed, dropped or broke the item, counted across re‑climbs too."
+                rows={results.outcomeRows}
+              />
+            )}
+
+            {results.protectionComparison && (
+              <SummaryTable
+                dark={dark}
+                title={`Upgrade +${fromLevel} → +${toLevel} — Protect vs. Don't Protect`}
+                titleInfo="The same number of trials from the same seed, once with the protection settings and once without."
+                rows={results.protectionComparison}
+              />
+            )}
+
+            {/* Exact vs. simulated */}
+            {results.exactStars && (
+              <div className="grid md:grid-cols-2 gap-6">
+                <SummaryTable
+                  dark={dark}
+                  title={`Build ${results.params.numStars} Stars — Exact vs. Simulated`}
+                  titleInfo="Exact values come from the absorbing Markov chain over (star, pity counters); simulated values from the Monte Carlo above."
+                  rows={exactComparisonRows(results.exactStars, results.starsSummary, results.params)}
+                />
+                <SummaryTable
+                  dark={dark}
+                  title={`Upgrade +${fromLevel} → +${toLevel} — Exact vs. Simulated`}
+                  titleInfo="Exact chain also tracks the final pity counter. Shows — when the state space is too large to solve."
+                  rows={exactComparisonRows(results.exactFull, results.fullSummary, results.params)}
+                />
+              </div>
+            )}
+
+            {/* Per‑star attempts */}
+            <div className="grid md:grid-cols-2 gap-6">
+              <SummaryTable
+                dark={dark}
+                title="Per‑Star Attempts — Build Phase"
+                titleInfo="Number of times each specific star was attempted until all stars were built. Earlier stars tend to be tried more because fails send progress back (see On failure)."
+                rows={results.starsPerStarRows}
+              />
+              <SummaryTable
+                dark={dark}
+                title="Per‑Star Attempts — Full Upgrade"
+                titleInfo="Across the entire run to the final upgrade (including rebuilds between failed finals)."
+                rows={results.fullPerStarRows}
+              />
+            </div>
+
+            {/* Per‑star pity & rates */}
+            <div className="grid md:grid-cols-2 gap-6">
+              <SummaryTable
+                dark={dark}
+                title="Per‑Star Pity & Rates — Build Phase"
+                titleInfo="How each star's successes came about and what share of the gold it took, pooled over every run."
+                rows={results.starsDiagnosticRows}
+              />
+              <SummaryTable
+                dark={dark}
+                title="Per‑Star Pity & Rates — Full Upgrade"
+                titleInfo="As for the build phase, plus the gold spent rebuilding each star between failed finals. Re‑climbs of lower levels after a drop are not counted here."
+                rows={results.fullDiagnosticRows}
+              />
+            </div>
+
+            {/* Worst‑case */}
+            {results.wcStars && (
+              <div className="grid md:grid-cols-2 gap-6">
+                <SummaryTable
+                  dark={dark}
+                  title={`Build ${results.params.numStars} Stars — Worst Case (Full Pity)`}
+                  titleInfo="Adversarial luck: every try fails unless guaranteed by pity."
+                  rows={worstCaseRows(results.wcStars, results.params.protection.goldPerItem, hasProtection(results.params))}
+                />
+
+                <SummaryTable
+                  dark={dark}
+                  title={`Upgrade +${fromLevel} → +${toLevel} — Worst Case (Full Pity)`}
+                  titleInfo="Includes repeated rebuilds and final pity that persists. Failed finals take the costliest enabled failure outcome."
+                  rows={worstCaseRows(results.wcFull, results.params.protection.goldPerItem, hasProtection(results.params))}
+                />
+              </div>
+            )}
+
+            {/* Charts */}
+            <div className="flex flex-wrap items-center gap-3">
+              <h3 className="text-xl font-semibold mr-2">Distributions</h3>
+              {["attempts", "gold"].map((x) => (
+                <button key={x} onClick={() => setDistView({ ...distView, x })} className={cls.tab(distView.x === x)}>
+                  By {x}
+                </button>
+              ))}
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={distView.log} onChange={(e) => setDistView({ ...distView, log: e.target.checked })} />
+                Log scale
+              </label>
+              <InfoIcon text="Bin widths adapt to the spread of the runs (Freedman–Diaconis, rounded). Log scale shows rare tail runs: histogram counts on a log axis, and the CDF becomes the share of runs above each value." />
+            </div>
+            <div className="grid md:grid-cols-2 gap-6">
+              {[
+                ["stars", `Build ${results.params.numStars} Stars`],
+                ["full", `Upgrade +${fromLevel} → +${toLevel}`],
+              ].map(([process, title]) => {
+                const dist = results.distributions[process][distView.x];
+                return (
+                  <div key={process} className={cls.card}>
+                    <h3 className="text-xl font-semibold mb-3">
+                      {title} — Histogram{" "}
+                      <InfoIcon text={`Runs per bin of ${formatX(distView.x, dist.binSize)}${distView.x === "attempts" ? " attempts" : ""}.`} />
+                    </h3>
+                    <HistogramChart dist={dist} x={distView.x} log={distView.log} cls={cls} />
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className={cls.card}>
+              <div className="flex flex-wrap items-center gap-3 mb-3">
+                <h3 className="text-xl font-semibold mr-2">
+                  Cumulative Distribution{" "}
+                  <InfoIcon text="Share of runs finishing at or below each value (with Log scale: the share still going past it). Dashed lines mark P50, P90, P99 and the worst case." />
+                </h3>
+                <select value={distView.cdf} onChange={(e) => setDistView({ ...distView, cdf: e.target.value })} className={cls.inputCompact}>
+                  <option value="full">
+                    Upgrade +{fromLevel} → +{toLevel}
+                  </option>
+                  <option value="stars">Build {results.params.numStars} Stars</option>
+                </select>
+              </div>
+              {(() => {
+                const summary = distView.cdf === "full" ? results.fullSummary : results.starsSummary;
+                const worst = distView.cdf === "full" ? results.wcFull : results.wcStars;
+                const key = distView.x === "gold" ? "Gold" : "Attempts";
+                const marks = [
+                  { label: "P50", value: summary[`median${key}`] },
+                  { label: "P90", value: summary[`p90${key}`] },
+                  { label: "P99", value: summary[`p99${key}`] },
+                  ...(worst ? [{ label: "Worst", value: worst[distView.x] }] : []),
+                ];
+                return <CdfChart dist={results.distributions[distView.cdf][distView.x]} x={distView.x} log={distView.log} marks={marks} cls={cls} />;
+              })()}
+            </div>
+
+            {results.convergence && (
+              <div className={cls.card}>
+                <h3 className="text-xl font-semibold mb-3">
+                  Convergence — Mean Attempts, Final Upgrade{" "}
+                  <InfoIcon text="Running mean as trials accumulate, with its 95% band (±1.96 standard errors). A flat line inside a narrow band means more trials would change little." />
+                </h3>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={results.convergence}>
+                      <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
+                      <XAxis dataKey="trials" tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} tickFormatter={(v) => formatNumber(v)} />
+                      <YAxis
+                        tick={{ fill: cls.chartAxis }}
+                        stroke={cls.chartAxisStroke}
+                        domain={["auto", "auto"]}
+                        tickFormatter={(v) => formatNumber(Math.round(v))}
+                        width={70}
+                      />
+                      <Tooltip
+                        formatter={(value, name) => [formatNumber(Number(value.toFixed(1))), name]}
+                        labelFormatter={(l) => `${formatNumber(l)} trials`}
+                      />
+                      <Legend />
+                      <Line type="monotone" dataKey="mean" name="Mean" stroke={cls.lineA} dot={false} isAnimationActive={false} />
+                      <Line
+                        type="monotone"
+                        dataKey="lo"
+                        name="95% low"
+                        stroke={cls.lineB}
+                        strokeDasharray="4 4"
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="hi"
+                        name="95% high"
+                        stroke={cls.lineB}
+                        strokeDasharray="4 4"
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
 
             {/* Diagnostics */}
             <div className={cls.card}>
@@ -857,57 +3894,7 @@ export default function EnhancementSimulatorApp() {
                 <InfoIcon text="Quick sanity checks to verify core logic." />
               </div>
               <button
-                onClick={() => {
-                  const out = [];
-
-                  const gold = 100;
-
-                  // Test 1: p=1 everywhere
-                  {
-                    const params = {
-                      goldPerAttempt: gold,
-                      starProbs: [1, 1, 1],
-                      finalProb: 1,
-                      starPityThreshold: 6,
-                      finalPityThreshold: 6,
-                      starPityResetsOnAnyFail: false,
-                      numStars: 3,
-                    };
-                    const rng = createLCG(1);
-                    const s = simulateStarsOnly(params, rng);
-                    const f = simulateFullRun(params, rng);
-                    const perStarOk =
-                      JSON.stringify(s.starAttempts) === JSON.stringify([1, 1, 1]) && JSON.stringify(f.starAttempts) === JSON.stringify([1, 1, 1]);
-                    out.push({
-                      name: "p=1 deterministic (3 stars)",
-                      pass: s.attempts === 3 && f.attempts === 4 && perStarOk,
-                      detail: `stars=${s.attempts} (exp 3), full=${f.attempts} (exp 4), perStarOK=${perStarOk}`,
-                    });
-                  }
-
-                  // Test 2: p=0 equals worst‑case (2 stars, pity=2)
-                  {
-                    const params = {
-                      goldPerAttempt: gold,
-                      starProbs: [0, 0],
-                      finalProb: 0,
-                      starPityThreshold: 2,
-                      finalPityThreshold: 2,
-                      starPityResetsOnAnyFail: false,
-                      numStars: 2,
-                    };
-                    const rng = createLCG(42);
-                    const f = simulateFullRun(params, rng);
-                    const wc = worstCaseFull(params);
-                    out.push({
-                      name: "p=0 equals worst‑case (2 stars)",
-                      pass: f.attempts === wc.attempts,
-                      detail: `full=${f.attempts}, worst=${wc.attempts}`,
-                    });
-                  }
-
-                  setDiagnostics(out);
-                }}
+                onClick={() => setDiagnostics(diagnosticChecks())}
                 className={
                   dark
                     ? "px-4 py-2 rounded-xl bg-neutral-200 text-neutral-900 text-sm hover:bg-white"
@@ -915,7 +3902,23 @@ export default function EnhancementSimulatorApp() {
                 }
               >
                 Run Diagnostics
+              </button>{" "}
+              <button
+                onClick={() =>
+                  setDiagnostics([
+                    ...rngChecks(rng, Number(seed) || 1).map((c) => ({ ...c, name: `${RNG_KINDS[rng]}: ${c.name}` })),
+                    ...rateFrequencyChecks(results.params, { seed: Number(seed) || 1, rng }),
+                  ])
+                }
+                className={
+                  dark
+                    ? "px-4 py-2 rounded-xl bg-neutral-200 text-neutral-900 text-sm hover:bg-white"
+                    : "px-4 py-2 rounded-xl bg-gray-900 text-white text-sm hover:bg-gray-800"
+                }
+              >
+                RNG Self‑Check
               </button>
+              <InfoIcon text="Uniformity tests on 200,000 draws of the chosen generator, then 500 simulated runs of these settings comparing each star's and the final's successes with the sum of the rates those attempts had. Limits are set near p = 0.001." />
               <ul className="mt-3 space-y-2 text-sm">
                 {diagnostics.map((d, i) => (
                   <li key={i} className={d.pass ? "text-green-600" : "text-red-600"}>
@@ -928,7 +3931,223 @@ export default function EnhancementSimulatorApp() {
           </section>
         )}
 
-        {!results && (
+        {mode === "sweep" && sweepResults && (
+          <section className={cls.card + " space-y-3"}>
+            <h3 className="text-xl font-semibold">
+              {SWEEP_METRICS[sweepResults.metric].label} by {SWEEP_PARAMS[sweepResults.x].label}
+              {sweepResults.y && ` × ${SWEEP_PARAMS[sweepResults.y].label}`}{" "}
+              <InfoIcon text="Click a point or cell to load that configuration into the form as a single step." />
+            </h3>
+            {(() => {
+              const { values, xs, ys, x, y, metric } = sweepResults;
+              const done = values.filter((v) => v !== null);
+              if (!done.length) return <p className={"text-sm " + cls.muted}>Computing…</p>;
+              const min = Math.min(...done);
+              const max = Math.max(...done);
+              const best = values.indexOf(SWEEP_METRICS[metric].lowerIsBetter ? min : max);
+              const describe = (i) =>
+                `${SWEEP_PARAMS[x].label} ${xs[i % xs.length]}` + (y ? `, ${SWEEP_PARAMS[y].label} ${ys[Math.floor(i / xs.length)]}` : "");
+              return (
+                <p className={"text-sm " + cls.muted}>
+                  Best so far: {describe(best)} → {formatSweepValue(metric, values[best])}
+                </p>
+              );
+            })()}
+            {sweepResults.y === null ? (
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart
+                    data={sweepResults.xs.map((x, i) => ({ x, value: sweepResults.values[i] }))}
+                    onClick={(e) => e && e.activeTooltipIndex !== undefined && loadSweepCell(e.activeTooltipIndex)}
+                  >
+                    <CartesianGrid stroke={cls.chartGrid} strokeDasharray="3 3" />
+                    <XAxis dataKey="x" tick={{ fill: cls.chartAxis }} stroke={cls.chartAxisStroke} />
+                    <YAxis
+                      tick={{ fill: cls.chartAxis }}
+                      stroke={cls.chartAxisStroke}
+                      tickFormatter={(v) => formatSweepValue(sweepResults.metric, v, true)}
+                      width={80}
+                    />
+                    <Tooltip
+                      formatter={(value) => [formatSweepValue(sweepResults.metric, value), SWEEP_METRICS[sweepResults.metric].label]}
+                      labelFormatter={(l) => `${SWEEP_PARAMS[sweepResults.x].label} ${l}`}
+                    />
+                    <Line type="monotone" dataKey="value" stroke={cls.lineA} dot connectNulls={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                {(() => {
+                  const { values, xs, ys, metric } = sweepResults;
+                  const done = values.filter((v) => v !== null);
+                  const min = Math.min(...done);
+                  const max = Math.max(...done);
+                  return (
+                    <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+                      <thead>
+                        <tr>
+                          <th className={"px-2 text-right " + cls.muted}>
+                            {SWEEP_PARAMS[sweepResults.y].label} ↓ / {SWEEP_PARAMS[sweepResults.x].label} →
+                          </th>
+                          {xs.map((x) => (
+                            <th key={x} className={"px-2 font-medium " + cls.muted}>
+                              {x}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {ys.map((yv, yi) => (
+                          <tr key={yv}>
+                            <th className={"px-2 text-right font-medium " + cls.muted}>{yv}</th>
+                            {xs.map((xv, xi) => {
+                              const i = yi * xs.length + xi;
+                              return (
+                                <td
+                                  key={xv}
+                                  onClick={() => loadSweepCell(i)}
+                                  title={formatSweepValue(metric, values[i])}
+                                  className="px-2 py-1.5 text-center rounded cursor-pointer whitespace-nowrap hover:ring-2 hover:ring-indigo-500"
+                                  style={{ background: heatColor(metric, values[i], min, max, dark) }}
+                                >
+                                  {formatSweepValue(metric, values[i], true)}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  );
+                })()}
+              </div>
+            )}
+          </section>
+        )}
+
+        {mode === "seek" && seekResults && (
+          <section className="space-y-6">
+            {(() => {
+              const { job, steps, result } = seekResults;
+              const def = SWEEP_PARAMS[job.param];
+              const m = SEEK_METRICS[job.metric];
+              const fmtParam = (v) => (def.integer ? String(v) : v.toFixed(4));
+              const meets = (v) => (m.lowerIsBetter ? v <= job.target : v >= job.target);
+              const goal = `${m.label} ${m.lowerIsBetter ? "≤" : "≥"} ${formatSweepValue(job.metric, job.target)}`;
+              return (
+                <>
+                  <div className={cls.card + " space-y-2"}>
+                    <h3 className="text-xl font-semibold">
+                      Goal Seek — {def.label} for {goal}
+                    </h3>
+                    {!result && <p className={cls.muted}>Searching…</p>}
+                    {result && !result.ok && <p className="text-red-500">{result.reason}</p>}
+                    {result && result.ok && (
+                      <div className="flex flex-wrap items-center gap-3">
+                        <p>
+                          {def.label} = <span className="font-semibold">{fmtParam(result.value)}</span> gives {m.label.toLowerCase()}{" "}
+                          <span className="font-semibold">{formatSweepValue(job.metric, steps.find((s) => s.value === result.value)?.metric)}</span>.
+                        </p>
+                        <button
+                          onClick={() => applyScenario({ ...def.apply(job.scenario, result.value), mode: "single" })}
+                          className={cls.tab(false)}
+                        >
+                          Load into form
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  {result && result.ok && (
+                    <div className="grid md:grid-cols-2 gap-6">
+                      <SummaryTable
+                        dark={dark}
+                        title={`${def.label} ${fmtParam(result.value)} — Monte Carlo`}
+                        titleInfo="Full upgrade at the solved value, from the same seed and trial count the search used."
+                        rows={monteCarloRows(result.summary)}
+                      />
+                      <SummaryTable
+                        dark={dark}
+                        title={`${def.label} ${fmtParam(result.value)} — Worst Case`}
+                        titleInfo="Deterministic worst case with pity at the solved value."
+                        rows={[
+                          { Metric: "Attempts", Value: fmtWorstVal(result.summary.worst.attempts) },
+                          { Metric: "Gold", Value: formatSweepValue("worstGold", result.summary.worst.gold) },
+                          ...(result.summary.pSuccess === null
+                            ? []
+                            : [{ Metric: "P(success within budget)", Value: `${(result.summary.pSuccess * 100).toFixed(2)}%` }]),
+                        ]}
+                      />
+                    </div>
+                  )}
+                  {steps.length > 0 && (
+                    <SummaryTable
+                      dark={dark}
+                      title="Search Steps"
+                      titleInfo="Both bounds first, then bisection toward the crossing."
+                      rows={steps.map((st, i) => ({
+                        Step: i + 1,
+                        [def.label]: fmtParam(st.value),
+                        [m.label]: formatSweepValue(job.metric, st.metric),
+                        "Meets target": meets(st.metric) ? "yes" : "no",
+                      }))}
+                    />
+                  )}
+                </>
+              );
+            })()}
+          </section>
+        )}
+
+        {mode === "replay" && replay && <ReplayPanel key={replay.id} trace={replay} cls={cls} dark={dark} />}
+
+        {mode === "replay" && !replay && (
+          <div className={cls.card}>
+            <p className={dark ? "text-neutral-200" : "text-gray-700"}>
+              Pick a seed and click <span className="font-semibold">Run Simulation</span> to record one full run with the current settings, then step
+              through it attempt by attempt.
+            </p>
+          </div>
+        )}
+
+        {mode === "seek" && !seekResults && (
+          <div className={cls.card}>
+            <p className={dark ? "text-neutral-200" : "text-gray-700"}>
+              Pick the setting to solve for, its bounds and a target, then click <span className="font-semibold">Run Simulation</span>. The search
+              assumes the metric only moves one way between the bounds.
+            </p>
+          </div>
+        )}
+
+        {mode === "sweep" && !sweepResults && (
+          <div className={cls.card}>
+            <p className={dark ? "text-neutral-200" : "text-gray-700"}>
+              Pick one or two settings with a range and step, choose a metric, then click <span className="font-semibold">Run Simulation</span> to
+              chart the metric across the grid. Click any point or cell to load it into the form.
+            </p>
+          </div>
+        )}
+
+        {mode === "path" && !pathResults && (
+          <div className={cls.card}>
+            <p className={dark ? "text-neutral-200" : "text-gray-700"}>
+              Set <span className="font-semibold">From Level</span> and a <span className="font-semibold">Target level</span>, adjust each level in
+              the table, then click <span className="font-semibold">Run Simulation</span> to see totals, a per‑level breakdown and the cumulative cost
+              curve.
+            </p>
+          </div>
+        )}
+
+        {mode === "live" && !(results && results.live) && (
+          <div className={cls.card}>
+            <p className={dark ? "text-neutral-200" : "text-gray-700"}>
+              Enter where your upgrade stands (or record attempts with the buttons as you go), then click{" "}
+              <span className="font-semibold">Run Simulation</span> to see the cost of the rest of it from exactly that state.
+            </p>
+          </div>
+        )}
+
+        {mode === "single" && !(results && !results.live) && (
           <div className={cls.card}>
             <p className={dark ? "text-neutral-200" : "text-gray-700"}>
               Set <span className="font-semibold">From Level</span> and <span className="font-semibold">Stars required</span>, then click{" "}
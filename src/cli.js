@@ -0,0 +1,291 @@
+// ------------------------------------------------------------
+// Command‑line simulator (see bin/enhance-sim.js)
+// ------------------------------------------------------------
+// Runs the single‑upgrade Monte Carlo from a scenario file (as downloaded from
+// the app) and/or flags mirroring the UI inputs, and prints the summary,
+// per‑star table and worst case as text, JSON or CSV.
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  MAX_STARS,
+  MAX_RUN_ATTEMPTS,
+  RNG_KINDS,
+  PERCENTILE_MODES,
+  SKETCH_ALPHA,
+  suggestedStarsForLevel,
+  runTrials,
+  summarizeTrials,
+  worstCaseStarsOnly,
+  worstCaseFull,
+} from "./engine.js";
+import { DEFAULT_SCENARIO, normalizeScenario, scenarioParams } from "./scenario.js";
+import { normalizeProfile, profileScenario } from "./presets.js";
+import { blockingText, capWarning, checkParams } from "./validation.js";
+
+export const USAGE = `Usage: enhance-sim [options]
+
+  --scenario <file>     Scenario JSON (Download JSON in the app); flags below override it
+  --from <level>        Upgrade +L → +(L+1); without --stars uses the suggested star count
+  --profile <file>      Preset profile JSON (Export JSON in the app): stars, rates, pity and
+                        gold costs for the level come from its band; flags below override them
+  --stars <n>           Stars required (1–10)
+  --star-rates <r,...>  Star success rates as fractions; one value applies to every star
+  --final-rate <r>      Final upgrade success rate
+  --star-pity <n>       Failures before a star is guaranteed
+  --final-pity <n>      Failures before the final is guaranteed
+  --reset-on-fail       Any star failure resets every star's pity
+  --trials <n>          Monte Carlo runs
+  --seed <n>            Random seed
+  --rng <name>          Random generator: ${Object.keys(RNG_KINDS).join(", ")} (lcg reproduces older versions)
+  --percentiles <mode>  exact (default) or sketch: fixed memory for millions of trials, within ±${SKETCH_ALPHA * 100}%
+  --workers <n>         Shard count; matches the app's Workers setting for identical results
+  --max-attempts <n>    Attempts after which a run stops and counts as did not finish (default ${MAX_RUN_ATTEMPTS})
+  --format <fmt>        text (default), json or csv
+  -h, --help            Show this help
+
+Unbounded worst cases print as "Infinity" (null in JSON).`;
+
+const OPTIONS = {
+  scenario: { type: "string" },
+  profile: { type: "string" },
+  from: { type: "string" },
+  stars: { type: "string" },
+  "star-rates": { type: "string" },
+  "final-rate": { type: "string" },
+  "star-pity": { type: "string" },
+  "final-pity": { type: "string" },
+  "reset-on-fail": { type: "boolean" },
+  trials: { type: "string" },
+  seed: { type: "string" },
+  rng: { type: "string" },
+  percentiles: { type: "string" },
+  workers: { type: "string" },
+  "max-attempts": { type: "string" },
+  format: { type: "string", default: "text" },
+  help: { type: "boolean", short: "h" },
+};
+
+const SUMMARY_LABELS = {
+  meanAttempts: "Mean Attempts",
+  sdAttempts: "SD Attempts",
+  medianAttempts: "P50 (Median) Attempts",
+  p90Attempts: "P90 Attempts",
+  p99Attempts: "P99 Attempts",
+  meanGold: "Mean Gold",
+  medianGold: "P50 (Median) Gold",
+  p90Gold: "P90 Gold",
+  p99Gold: "P99 Gold",
+  meanItems: "Mean Protection Items",
+  p90Items: "P90 Protection Items",
+  p99Items: "P99 Protection Items",
+  meanCombined: "Mean Combined Cost",
+  p90Combined: "P90 Combined Cost",
+  p99Combined: "P99 Combined Cost",
+};
+
+// Scenario from the file (or defaults) with flag overrides applied; throws on bad input
+export function scenarioFromArgs(values) {
+  const base = values.scenario ? JSON.parse(readFileSync(values.scenario, "utf8")) : DEFAULT_SCENARIO;
+  let sc = { ...normalizeScenario(base) };
+  const num = (flag) => {
+    const v = Number(values[flag]);
+    if (values[flag].trim() === "" || Number.isNaN(v)) throw new Error(`--${flag} expects a number, got "${values[flag]}"`);
+    return v;
+  };
+
+  if (values.from !== undefined) {
+    sc.fromLevel = num("from");
+    if (values.stars === undefined && values.profile === undefined) sc.starsRequired = suggestedStarsForLevel(sc.fromLevel);
+  }
+  if (values.profile !== undefined) sc = { ...profileScenario(sc, normalizeProfile(JSON.parse(readFileSync(values.profile, "utf8")))) };
+  if (values.stars !== undefined) {
+    sc.starsRequired = num("stars");
+    if (!Number.isInteger(sc.starsRequired) || sc.starsRequired < 1 || sc.starsRequired > MAX_STARS) {
+      throw new Error(`--stars must be a whole number from 1 to ${MAX_STARS}`);
+    }
+  }
+  if (values["star-rates"] !== undefined) {
+    const rates = values["star-rates"].split(",").map((r) => Number(r));
+    if (rates.some(Number.isNaN)) throw new Error(`--star-rates expects comma‑separated numbers, got "${values["star-rates"]}"`);
+    if (rates.length > 1 && rates.length !== sc.starsRequired) {
+      throw new Error(`--star-rates lists ${rates.length} rates for ${sc.starsRequired} stars`);
+    }
+    sc.starProbs = rates.length === 1 ? Array(sc.starsRequired).fill(rates[0]) : rates;
+  }
+  if (values["final-rate"] !== undefined) sc.finalProb = num("final-rate");
+  if (values["star-pity"] !== undefined) {
+    // every star, so a scenario with per‑star thresholds follows the flag too
+    sc.starPityThreshold = num("star-pity");
+    sc.pity = { ...sc.pity, starThresholds: sc.pity.starThresholds.map(() => sc.starPityThreshold) };
+  }
+  if (values["final-pity"] !== undefined) sc.finalPityThreshold = num("final-pity");
+  if (values["reset-on-fail"]) sc.starPityResetsOnAnyFail = true;
+  if (values.trials !== undefined) sc.trials = num("trials");
+  if (values.seed !== undefined) sc.seed = num("seed");
+  if (values.rng !== undefined) {
+    if (!RNG_KINDS[values.rng]) throw new Error(`--rng must be one of ${Object.keys(RNG_KINDS).join(", ")}, got "${values.rng}"`);
+    sc.rng = values.rng;
+  }
+  if (values.percentiles !== undefined) {
+    if (!PERCENTILE_MODES[values.percentiles]) throw new Error(`--percentiles must be exact or sketch, got "${values.percentiles}"`);
+    sc.percentiles = values.percentiles;
+  }
+  if (values.workers !== undefined) sc.workers = num("workers");
+  if (values["max-attempts"] !== undefined) sc.maxRunAttempts = num("max-attempts");
+  // re‑normalize so star rates and costs follow a changed star count
+  return normalizeScenario(sc);
+}
+
+// Everything the report formats print, as plain numbers
+export function simulateScenario(sc) {
+  const params = scenarioParams(sc);
+  const check = checkParams(params);
+  if (check.blocked) throw new Error(blockingText(check, "\n"));
+  const trials = Math.floor(Number(sc.trials));
+  if (!(trials >= 1)) throw new Error("trials must be at least 1");
+  const workers = Math.max(1, Math.floor(Number(sc.workers) || 1));
+
+  const sketch = sc.percentiles === "sketch" ? SKETCH_ALPHA : null;
+  const summary = summarizeTrials(params, runTrials(params, { trials, seed: Number(sc.seed), shards: workers, rng: sc.rng, sketch }));
+  const worst = (wc) => ({
+    attempts: wc.attempts,
+    gold: wc.gold,
+    protectionUsed: wc.protectionUsed,
+    resources: wc.resources,
+    ...(wc.tooLarge && { tooLarge: true }),
+  });
+  const wcFull = worstCaseFull(params);
+  const warnings = [...check.warnings, capWarning(params, wcFull)].filter(Boolean);
+  return {
+    scenario: {
+      fromLevel: params.level,
+      toLevel: params.level + 1,
+      numStars: params.numStars,
+      trials,
+      seed: Number(sc.seed),
+      rng: sc.rng,
+      workers,
+      ...(sketch && { percentileError: sketch }),
+      ...((summary.unfinished.stars || summary.unfinished.full) && { maxRunAttempts: params.maxRunAttempts, unfinished: summary.unfinished }),
+    },
+    ...(warnings.length && { warnings: warnings.map((w) => w.message) }),
+    monteCarlo: { stars: summary.stars, full: summary.full },
+    perStar: { stars: summary.starsPerStar, full: summary.fullPerStar },
+    worstCase: { stars: worst(worstCaseStarsOnly(params)), full: worst(wcFull) },
+  };
+}
+
+function fmt(n, digits = 0) {
+  if (!Number.isFinite(n)) return "Infinity";
+  return n.toLocaleString("en-US", { maximumFractionDigits: digits });
+}
+
+function textTable(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map((r) => String(r[c]).length)));
+  return rows.map((r) => r.map((cell, c) => (c === 0 ? String(cell).padEnd(widths[c]) : String(cell).padStart(widths[c]))).join("  ")).join("\n");
+}
+
+export function formatText(report) {
+  const { scenario: s, monteCarlo, perStar, worstCase } = report;
+  const build = `Build ${s.numStars} Stars`;
+  const full = `Upgrade +${s.fromLevel} → +${s.toLevel}`;
+  const out = [
+    `${full} · ${s.numStars} stars · ${fmt(s.trials)} trials · seed ${s.seed} · ${RNG_KINDS[s.rng]}${s.workers > 1 ? ` · ${s.workers} workers` : ""}`,
+    "",
+  ];
+  if (s.percentileError) out.splice(1, 0, `Percentiles from a sketch: within ±${s.percentileError * 100}% of exact; means and SDs are exact.`);
+  if (s.unfinished) {
+    out.splice(
+      1,
+      0,
+      `Did not finish (hit the ${fmt(s.maxRunAttempts)}‑attempt cap): ${fmt(s.unfinished.stars)} build and ${fmt(s.unfinished.full)} full‑upgrade runs; their partial costs are included.`
+    );
+  }
+  for (const w of report.warnings || []) out.splice(1, 0, `Warning: ${w}`);
+
+  out.push(
+    "Monte Carlo",
+    textTable([
+      ["Metric", build, full],
+      ...Object.keys(monteCarlo.full).map((k) => [SUMMARY_LABELS[k] || k, fmt(monteCarlo.stars[k]), fmt(monteCarlo.full[k])]),
+    ]),
+    ""
+  );
+  for (const [key, title] of [
+    ["stars", "Per‑Star Attempts — Build Phase"],
+    ["full", "Per‑Star Attempts — Full Upgrade"],
+  ]) {
+    out.push(
+      title,
+      textTable([
+        ["Star", "Mean", "P50", "P90", "P99"],
+        ...perStar[key].map((r) => [`Star ${r.star}`, fmt(r.mean, 2), fmt(r.p50), fmt(r.p90), fmt(r.p99)]),
+      ]),
+      ""
+    );
+  }
+  const resourceNames = Object.keys(worstCase.full.resources);
+  const wc = (p, v, digits) => (worstCase[p].tooLarge ? "too large" : fmt(v, digits));
+  out.push(
+    "Worst Case (Full Pity)",
+    textTable([
+      ["Metric", build, full],
+      ["Attempts", wc("stars", worstCase.stars.attempts), wc("full", worstCase.full.attempts)],
+      ["Gold", wc("stars", worstCase.stars.gold), wc("full", worstCase.full.gold)],
+      ["Protection Items", wc("stars", worstCase.stars.protectionUsed), wc("full", worstCase.full.protectionUsed)],
+      ...(resourceNames.length > 1
+        ? resourceNames.map((n) => [`${n} used`, wc("stars", worstCase.stars.resources[n] ?? 0, 2), wc("full", worstCase.full.resources[n], 2)])
+        : []),
+    ])
+  );
+  return out.join("\n") + "\n";
+}
+
+export function formatJson(report) {
+  return JSON.stringify(report, (_, v) => (typeof v === "number" && !Number.isFinite(v) ? null : v), 2) + "\n";
+}
+
+// Long format (one value per line) so spreadsheets can pivot freely
+export function formatCsv(report) {
+  const lines = [["section", "process", "star", "metric", "value"]];
+  const processName = { stars: "build", full: "full" };
+  for (const p of ["stars", "full"]) {
+    for (const [k, v] of Object.entries(report.monteCarlo[p])) lines.push(["monte_carlo", processName[p], "", k, v]);
+  }
+  for (const p of ["stars", "full"]) {
+    for (const row of report.perStar[p]) {
+      for (const k of ["mean", "p50", "p90", "p99"]) lines.push(["per_star", processName[p], row.star, k, row[k]]);
+    }
+  }
+  for (const p of ["stars", "full"]) {
+    const wc = report.worstCase[p];
+    if (wc.tooLarge) {
+      lines.push(["worst_case", processName[p], "", "tooLarge", true]);
+      continue;
+    }
+    lines.push(["worst_case", processName[p], "", "attempts", wc.attempts]);
+    lines.push(["worst_case", processName[p], "", "gold", wc.gold]);
+    lines.push(["worst_case", processName[p], "", "protectionUsed", wc.protectionUsed]);
+    for (const [name, amount] of Object.entries(wc.resources)) lines.push(["worst_case", processName[p], "", `resource:${name}`, amount]);
+  }
+  const cell = (v) => {
+    const str = String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return lines.map((l) => l.map(cell).join(",")).join("\n") + "\n";
+}
+
+const FORMATTERS = { text: formatText, json: formatJson, csv: formatCsv };
+
+// Returns { code, stdout, stderr } instead of touching the process, for tests
+export function main(argv) {
+  try {
+    const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+    if (values.help) return { code: 0, stdout: USAGE + "\n", stderr: "" };
+    const format = FORMATTERS[values.format];
+    if (!format) throw new Error(`--format must be text, json or csv, got "${values.format}"`);
+    return { code: 0, stdout: format(simulateScenario(scenarioFromArgs(values))), stderr: "" };
+  } catch (err) {
+    return { code: 1, stdout: "", stderr: `enhance-sim: ${err.message}\n\n${USAGE}\n` };
+  }
+}
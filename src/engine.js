@@ -0,0 +1,2461 @@
+// ------------------------------------------------------------
+// Enhancement Engine — simulators, worst case and exact solver
+// ------------------------------------------------------------
+// Pure functions with no React or DOM access, shared by the app and the
+// simulation worker.
+// ------------------------------------------------------------
+
+// Built‑in suggested star rule, and the bands of the Default preset profile
+// (presets.js holds editable profiles):
+//  - L ≤ 15 → 3 stars (e.g., 15→16)
+//  - L ≥ 20 → 5 stars (e.g., 20→21)
+//  - otherwise → 4 stars (e.g., 18→19)
+export function suggestedStarsForLevel(L) {
+  if (L <= 15) return 3;
+  if (L >= 20) return 5;
+  return 4;
+}
+
+// ------------------------------------------------------------
+// Seeded RNGs
+// ------------------------------------------------------------
+// Every generator returns rand() → [0, 1) from a 32‑bit seed. The legacy LCG is
+// kept bit for bit so older scenarios reproduce: its low bits are weak, its
+// period is 2^32, and dividing by 0xffffffff lets it return exactly 1.
+export const RNG_KINDS = {
+  xoshiro128ss: "xoshiro128**",
+  pcg32: "PCG32",
+  mulberry32: "Mulberry32",
+  lcg: "Legacy LCG",
+};
+export const DEFAULT_RNG = "xoshiro128ss";
+
+export function createLCG(seed) {
+  let state = seed >>> 0 || 1;
+  return function rand() {
+    state = (1664525 * state + 1013904223) >>> 0; // Numerical Recipes
+    return state / 0xffffffff;
+  };
+}
+
+const TWO_32 = 4294967296;
+
+export function createMulberry32(seed) {
+  let a = seed >>> 0;
+  return function rand() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / TWO_32;
+  };
+}
+
+// xoshiro128** with its 128‑bit state filled from the seed by SplitMix32
+export function createXoshiro128ss(seed) {
+  let x = seed >>> 0;
+  const splitMix = () => {
+    x = (x + 0x9e3779b9) | 0;
+    let z = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+  return xoshiro128ss([splitMix(), splitMix(), splitMix(), splitMix()]);
+}
+
+function xoshiro128ss(state) {
+  let [s0, s1, s2, s3] = state;
+  const rotl = (v, k) => (v << k) | (v >>> (32 - k));
+  return function rand() {
+    const out = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+    const t = s1 << 9;
+    s2 ^= s0;
+    s3 ^= s1;
+    s1 ^= s2;
+    s0 ^= s3;
+    s2 ^= t;
+    s3 = rotl(s3, 11);
+    return out / TWO_32;
+  };
+}
+
+// Unsigned 32 × 32 → 64‑bit product as [hi, lo]
+function mul32(a, b) {
+  const a0 = a & 0xffff;
+  const a1 = a >>> 16;
+  const b0 = b & 0xffff;
+  const b1 = b >>> 16;
+  const p00 = a0 * b0;
+  const p01 = a0 * b1;
+  const p10 = a1 * b0;
+  const mid = (p00 >>> 16) + (p01 & 0xffff) + (p10 & 0xffff);
+  return [(a1 * b1 + (p01 >>> 16) + (p10 >>> 16) + Math.floor(mid / 0x10000)) >>> 0, (((mid & 0xffff) << 16) | (p00 & 0xffff)) >>> 0];
+}
+
+// PCG32 (XSH RR): 64‑bit LCG state kept as two 32‑bit halves, seeded the way
+// pcg32_srandom(seed, stream) does. Returns raw uint32 outputs.
+export function pcg32Uint32(seed, stream = 0x2c2dbbd5) {
+  const MUL_HI = 0x5851f42d;
+  const MUL_LO = 0x4c957f2d;
+  // inc = (stream << 1) | 1, as a 64‑bit value
+  const incHi = (stream >>> 31) >>> 0;
+  const incLo = ((stream << 1) | 1) >>> 0;
+  let hi = 0;
+  let lo = 0;
+  const step = () => {
+    const [pHi, pLo] = mul32(lo, MUL_LO);
+    const cross = Math.imul(hi, MUL_LO) + Math.imul(lo, MUL_HI);
+    const sumLo = pLo + incLo;
+    lo = sumLo >>> 0;
+    hi = (pHi + cross + incHi + (sumLo > 0xffffffff ? 1 : 0)) >>> 0;
+  };
+  step();
+  const sumLo = lo + (seed >>> 0);
+  lo = sumLo >>> 0;
+  hi = (hi + (sumLo > 0xffffffff ? 1 : 0)) >>> 0;
+  step();
+  return function next() {
+    const oldHi = hi;
+    const oldLo = lo;
+    step();
+    const xLo = oldLo ^ ((oldLo >>> 18) | (oldHi << 14));
+    const xHi = oldHi ^ (oldHi >>> 18);
+    const xorshifted = ((xLo >>> 27) | (xHi << 5)) >>> 0;
+    const rot = oldHi >>> 27;
+    return ((xorshifted >>> rot) | (xorshifted << (-rot & 31))) >>> 0;
+  };
+}
+
+export function createPCG32(seed) {
+  const next = pcg32Uint32(seed);
+  return () => next() / TWO_32;
+}
+
+const RNG_FACTORIES = { xoshiro128ss: createXoshiro128ss, pcg32: createPCG32, mulberry32: createMulberry32, lcg: createLCG };
+
+// rand() for a seed and one of RNG_KINDS (missing = DEFAULT_RNG)
+export function createRng(seed, kind = DEFAULT_RNG) {
+  const factory = RNG_FACTORIES[kind];
+  if (!factory) throw new Error(`unknown RNG "${kind}"`);
+  return factory(seed);
+}
+
+// Percentile helper
+export function percentile(sortedArr, p) {
+  if (!sortedArr.length) return 0;
+  const pos = (sortedArr.length - 1) * p;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  if (sortedArr[base + 1] !== undefined) {
+    return sortedArr[base] + rest * (sortedArr[base + 1] - sortedArr[base]);
+  }
+  return sortedArr[base];
+}
+
+// Sample standard deviation helper
+function stdDev(arr, mean) {
+  if (arr.length < 2) return 0;
+  let sq = 0;
+  for (const v of arr) sq += (v - mean) * (v - mean);
+  return Math.sqrt(sq / (arr.length - 1));
+}
+
+// Mean / SD / percentiles of per‑run attempts and gold. With protection item
+// counts, also items and the combined cost (gold + items × goldPerItem).
+export function summarizeRuns(attemptsArr, goldArr, itemsArr, goldPerItem = 0) {
+  const sA = [...attemptsArr].sort((a, b) => a - b);
+  const sG = [...goldArr].sort((a, b) => a - b);
+  const meanAttempts = attemptsArr.reduce((a, b) => a + b, 0) / attemptsArr.length;
+  const protectionStats = {};
+  if (itemsArr) {
+    const sI = [...itemsArr].sort((a, b) => a - b);
+    const sC = goldArr.map((g, i) => g + itemsArr[i] * goldPerItem).sort((a, b) => a - b);
+    Object.assign(protectionStats, {
+      meanItems: itemsArr.reduce((a, b) => a + b, 0) / itemsArr.length,
+      p90Items: percentile(sI, 0.9),
+      p99Items: percentile(sI, 0.99),
+      meanCombined: sC.reduce((a, b) => a + b, 0) / sC.length,
+      p90Combined: percentile(sC, 0.9),
+      p99Combined: percentile(sC, 0.99),
+    });
+  }
+  return {
+    ...protectionStats,
+    meanAttempts,
+    sdAttempts: stdDev(attemptsArr, meanAttempts),
+    medianAttempts: percentile(sA, 0.5),
+    p90Attempts: percentile(sA, 0.9),
+    p99Attempts: percentile(sA, 0.99),
+    meanGold: goldArr.reduce((a, b) => a + b, 0) / goldArr.length,
+    medianGold: percentile(sG, 0.5),
+    p90Gold: percentile(sG, 0.9),
+    p99Gold: percentile(sG, 0.99),
+  };
+}
+
+// Mean and percentiles of attempts spent on each star (one array of runs per star)
+export function perStarStats(perStarArrs) {
+  return perStarArrs.map((arr = [], i) => {
+    const sorted = [...arr].sort((a, b) => a - b);
+    return {
+      star: i + 1,
+      mean: arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0,
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      p99: percentile(sorted, 0.99),
+    };
+  });
+}
+
+// What drives each star's cost, from a run set's total attempts per star, star
+// tally (see emptyStarTally) and total gold. Rates are shares of attempts: observed
+// counts pity successes, rolled leaves them out and sits next to expected, the
+// configured rate averaged over the same rolled attempts. Gold shares are of
+// all gold spent, rebuild the part spent on the star after a failed final.
+export function starDiagnostics(params, starTotals, tally, totalGold) {
+  const { priced } = costPlan(params);
+  const ratio = (a, b) => (b > 0 ? a / b : null);
+  return starTotals.map((attempts, i) => {
+    const successes = tally.successes[i];
+    const rolledSuccesses = successes - tally.guaranteed[i];
+    return {
+      star: i + 1,
+      attempts,
+      successes,
+      guaranteed: tally.guaranteed[i],
+      guaranteedShare: ratio(tally.guaranteed[i], successes),
+      meanPityAtSuccess: ratio(tally.pityAtSuccess[i], successes),
+      observedRate: ratio(successes, attempts),
+      rolledRate: ratio(rolledSuccesses, tally.rolled[i]),
+      expectedRate: ratio(tally.rateSum[i], tally.rolled[i]),
+      goldShare: ratio(attempts * priced[i], totalGold),
+      rebuildGoldShare: ratio(tally.rebuilds[i] * priced[i], totalGold),
+    };
+  });
+}
+
+// Runs per bin as [{ [key]: bin start, runs }]. fillGaps adds the empty bins
+// between occupied ones so a numeric axis shows the gaps.
+export function makeHistogram(arr, binSize, { key = "attempts", fillGaps = false } = {}) {
+  const map = new Map();
+  for (const v of arr) {
+    const bin = Math.floor(v / binSize) * binSize;
+    map.set(bin, (map.get(bin) || 0) + 1);
+  }
+  if (fillGaps && map.size) {
+    const bins = Array.from(map.keys());
+    const first = Math.round(Math.min(...bins) / binSize);
+    const last = Math.round(Math.max(...bins) / binSize);
+    for (let k = first + 1; k < last; k++) if (!map.has(k * binSize)) map.set(k * binSize, 0);
+  }
+  return Array.from(map.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([k, v]) => ({ [key]: k, runs: v }));
+}
+
+// Smallest 1/2/5 × 10^k step at least x (whole numbers only when integer)
+function niceStep(x, integer) {
+  const mag = 10 ** Math.floor(Math.log10(x));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= x * (1 - 1e-9) && (!integer || Number.isInteger(s)));
+  return integer ? Math.max(1, step ?? 10 * mag) : step;
+}
+
+// Freedman–Diaconis bin width (2 · IQR · n^(-1/3)) for sorted values, widened
+// so the full range takes at most maxBins bins and rounded to a round step
+export function binSizeFor(sorted, { maxBins = 80, integer = true } = {}) {
+  const n = sorted.length;
+  const range = n ? sorted[n - 1] - sorted[0] : 0;
+  return fdBinSize(n, range, percentile(sorted, 0.75) - percentile(sorted, 0.25), { maxBins, integer });
+}
+
+function fdBinSize(n, range, iqr, { maxBins = 80, integer = true } = {}) {
+  if (!(range > 0)) return 1;
+  const fd = (2 * iqr) / Math.cbrt(n);
+  return niceStep(Math.max(fd, range / maxBins), integer);
+}
+
+// Empirical CDF of sorted values at up to `points` evenly spaced ranks:
+// [{ x, p: share of runs ≤ x, tail: share above x (null once none are) }]
+export function cdfPoints(sorted, points = 200) {
+  const n = sorted.length;
+  const out = [];
+  let last = -1;
+  for (let j = 0; j <= points && n; j++) {
+    let idx = Math.round((j * (n - 1)) / points);
+    if (idx <= last) continue;
+    while (idx + 1 < n && sorted[idx + 1] === sorted[idx]) idx++; // ties: count every run at this value
+    last = idx;
+    out.push({ x: sorted[idx], p: (idx + 1) / n, tail: idx + 1 < n ? (n - idx - 1) / n : null });
+  }
+  return out;
+}
+
+// Histogram (gaps filled; adaptive bins unless binSize is given) plus CDF for
+// one series of per‑run values
+export function distributionOf(values, key = "attempts", binSize = null) {
+  const sorted = [...values].sort((a, b) => a - b);
+  binSize = binSize || binSizeFor(sorted, { integer: key === "attempts" });
+  return { binSize, histogram: makeHistogram(sorted, binSize, { key, fillGaps: true }), cdf: cdfPoints(sorted) };
+}
+
+// ------------------------------------------------------------
+// Streaming Statistics
+// ------------------------------------------------------------
+// Fixed‑memory stand‑in for a per‑run array: count, mean and variance by
+// Welford's update plus a log‑bucketed quantile sketch (DDSketch). Bucket i
+// holds values in (γ^(i−1), γ^i] with γ = (1+α)/(1−α), so one value stands for
+// all of them within ±α (relative) and sketchQuantile stays within ±α of
+// percentile() on the sorted runs. Size grows with log(max/min), not with the
+// run count: about 2,800 buckets from 1 to 10¹² at α = 0.5%. Sketches are plain
+// objects, so they survive postMessage; values must be non‑negative.
+export const SKETCH_ALPHA = 0.005;
+
+// How a run set gets its percentiles: sort every run, or sketch them
+export const PERCENTILE_MODES = { exact: "Exact (sort every run)", sketch: "Sketch (fixed memory)" };
+
+export function emptySketch(alpha = SKETCH_ALPHA) {
+  return { alpha, lnGamma: Math.log((1 + alpha) / (1 - alpha)), n: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity, zeros: 0, bins: {} };
+}
+
+export function sketchAdd(sk, v) {
+  sk.n += 1;
+  const delta = v - sk.mean;
+  sk.mean += delta / sk.n;
+  sk.m2 += delta * (v - sk.mean);
+  if (v < sk.min) sk.min = v;
+  if (v > sk.max) sk.max = v;
+  if (v > 0) {
+    const i = Math.ceil(Math.log(v) / sk.lnGamma);
+    sk.bins[i] = (sk.bins[i] || 0) + 1;
+  } else sk.zeros += 1;
+}
+
+// Adds `from` into `into` (same alpha); moments combine by Chan's formula
+export function mergeSketch(into, from) {
+  if (!from.n) return into;
+  const n = into.n + from.n;
+  const delta = from.mean - into.mean;
+  into.m2 += from.m2 + (delta * delta * into.n * from.n) / n;
+  into.mean += (delta * from.n) / n;
+  into.n = n;
+  into.min = Math.min(into.min, from.min);
+  into.max = Math.max(into.max, from.max);
+  into.zeros += from.zeros;
+  for (const i in from.bins) into.bins[i] = (into.bins[i] || 0) + from.bins[i];
+  return into;
+}
+
+export function sketchSd(sk) {
+  return sk.n < 2 ? 0 : Math.sqrt(sk.m2 / (sk.n - 1));
+}
+
+// Buckets in value order as { lo, hi, count }, clipped to the values seen;
+// zeros come first as a bucket of their own
+function sketchBuckets(sk) {
+  const out = sk.zeros ? [{ lo: 0, hi: 0, count: sk.zeros }] : [];
+  const idx = Object.keys(sk.bins)
+    .map(Number)
+    .sort((a, b) => a - b);
+  for (const i of idx) {
+    const lo = Math.max(sk.min, Math.exp((i - 1) * sk.lnGamma));
+    out.push({ lo, hi: Math.max(lo, Math.min(sk.max, Math.exp(i * sk.lnGamma))), count: sk.bins[i] });
+  }
+  return out;
+}
+
+// Estimate of the k‑th smallest run (0‑based); the smallest and largest are exact
+function sketchRank(sk, buckets, k) {
+  if (k <= 0) return sk.min;
+  if (k >= sk.n - 1) return sk.max;
+  let seen = 0;
+  for (const b of buckets) {
+    seen += b.count;
+    if (seen > k) return b.hi === 0 ? 0 : (2 * b.lo * b.hi) / (b.lo + b.hi); // within ±α of both edges
+  }
+  return sk.max;
+}
+
+// Same interpolation as percentile(), from the sketch
+export function sketchQuantile(sk, p, buckets = sketchBuckets(sk)) {
+  if (!sk.n) return 0;
+  const pos = (sk.n - 1) * p;
+  const base = Math.floor(pos);
+  const a = sketchRank(sk, buckets, base);
+  return pos === base ? a : a + (pos - base) * (sketchRank(sk, buckets, base + 1) - a);
+}
+
+// Mean with its standard error and 95% interval, as monteCarloError reports it
+export function sketchMeanError(sk) {
+  const se = sk.n ? sketchSd(sk) / Math.sqrt(sk.n) : 0;
+  return { se, lo: sk.mean - Z95 * se, hi: sk.mean + Z95 * se };
+}
+
+// distributionOf for a sketch. A bucket's runs are spread evenly over its
+// range (its whole numbers for attempts), so bins narrower than a bucket get a
+// share rather than all or nothing. CDF points sit on bucket edges, where the
+// share of runs at or below is exact.
+export function sketchDistribution(sk, key = "attempts", binSize = null, points = 200) {
+  const integer = key === "attempts";
+  const buckets = sketchBuckets(sk);
+  const iqr = sketchQuantile(sk, 0.75, buckets) - sketchQuantile(sk, 0.25, buckets);
+  binSize = binSize || fdBinSize(sk.n, sk.max - sk.min, iqr, { integer });
+
+  const runs = new Map();
+  const addRuns = (bin, r) => runs.set(bin, (runs.get(bin) || 0) + r);
+  for (const b of buckets) {
+    // spread over [from, to); a point when the bucket holds a single value
+    const from = integer ? Math.max(Math.ceil(b.lo), Math.floor(b.lo) + (b.lo > sk.min ? 1 : 0)) : b.lo;
+    const to = integer ? Math.max(from + 1, Math.floor(b.hi) + 1) : b.hi;
+    const first = Math.floor(from / binSize);
+    const last = Math.max(first, Math.ceil(to / binSize) - 1);
+    if (!integer && to === from) {
+      addRuns(first * binSize, b.count);
+      continue;
+    }
+    for (let k = first; k <= last; k++) {
+      const overlap = Math.min(to, (k + 1) * binSize) - Math.max(from, k * binSize);
+      if (overlap > 0) addRuns(k * binSize, (b.count * overlap) / (to - from));
+    }
+  }
+  const bins = [...runs.keys()];
+  if (bins.length) {
+    const lastBin = Math.round(Math.max(...bins) / binSize);
+    for (let k = Math.round(Math.min(...bins) / binSize) + 1; k < lastBin; k++) if (!runs.has(k * binSize)) runs.set(k * binSize, 0);
+  }
+  const histogram = [...runs.entries()].sort((a, b) => a[0] - b[0]).map(([k, v]) => ({ [key]: k, runs: v }));
+
+  const cdf = [];
+  let seen = 0;
+  let next = 0;
+  buckets.forEach((b, j) => {
+    seen += b.count;
+    if (seen / sk.n < next && j < buckets.length - 1) return;
+    cdf.push({ x: integer ? Math.floor(b.hi) : b.hi, p: seen / sk.n, tail: seen < sk.n ? (sk.n - seen) / sk.n : null });
+    next = seen / sk.n + 1 / points;
+  });
+  return { binSize, histogram, cdf };
+}
+
+// ------------------------------------------------------------
+// Final‑Failure Outcomes
+// ------------------------------------------------------------
+// params.finalFailOutcomes lists what a failed final can do besides wiping
+// stars: { kind: "drop", prob, levels } or { kind: "break", prob, replacementCost }.
+// Whatever probability is left over means "stay" at +L. A broken item is
+// replaced at +L for replacementCost gold; a dropped item re‑climbs the lost
+// levels, each with fresh pity, using levelParams(level) for its settings.
+export const OUTCOME_KINDS = ["stay", "drop", "break"];
+
+export function hasRiskyOutcomes(params) {
+  return (params.finalFailOutcomes || []).some((o) => o.kind !== "stay" && o.prob > 0);
+}
+
+function rollFinalFailOutcome(params, rand) {
+  // Only draw when a non‑stay outcome is possible, so plain configs keep the same RNG stream.
+  if (!hasRiskyOutcomes(params)) return { kind: "stay" };
+  const r = rand();
+  let acc = 0;
+  for (const o of params.finalFailOutcomes) {
+    acc += o.prob;
+    if (r < acc) return o;
+  }
+  return { kind: "stay" };
+}
+
+export function emptyOutcomeCounts() {
+  return { stay: 0, drop: 0, break: 0 };
+}
+
+// Single‑step mode: lower levels re‑use the same settings (re‑climbs start fresh).
+// Derived params are memoized per source params and level so the WeakMap caches
+// keyed on them (pity rules, cost plan) survive every re‑climb.
+const reclimbParams = new WeakMap();
+function sameLevelParams(params) {
+  let byLevel = reclimbParams.get(params);
+  if (!byLevel) {
+    byLevel = new Map();
+    reclimbParams.set(params, byLevel);
+  }
+  return (level) => {
+    let derived = byLevel.get(level);
+    if (!derived) {
+      const { startState, ...fresh } = params;
+      derived = { ...fresh, level };
+      byLevel.set(level, derived);
+    }
+    return derived;
+  };
+}
+
+// ------------------------------------------------------------
+// Protection Items
+// ------------------------------------------------------------
+// params.protection = { fromStar, final, preventsWipe, preventsOutcome, itemsPerUse, goldPerItem }.
+// Star attempts for star index ≥ fromStar (1‑based, 0 = none) and/or final
+// attempts are protected; every protected attempt consumes itemsPerUse items.
+// A protected failure still counts toward pity, but keeps built stars
+// (preventsWipe) and/or skips the drop/break roll (preventsOutcome).
+function isStarProtected(params, i) {
+  const pr = params.protection;
+  return !!pr && pr.fromStar > 0 && i + 1 >= pr.fromStar;
+}
+
+function isFinalProtected(params) {
+  return !!params.protection && !!params.protection.final;
+}
+
+export function hasProtection(params) {
+  return isFinalProtected(params) || (!!params.protection && params.protection.fromStar > 0);
+}
+
+// Drop/break outcomes that can actually happen after protection is applied
+function finalOutcomesApply(params) {
+  return hasRiskyOutcomes(params) && !(isFinalProtected(params) && params.protection.preventsOutcome);
+}
+
+// ------------------------------------------------------------
+// Star‑Failure Behavior
+// ------------------------------------------------------------
+// params.starFailure = { kind, checkpoint, keepProb } decides how many stars a
+// failed attempt leaves (missing = wipe). It applies to star fails and to the
+// star wipe after a failed final; wipe protection still keeps everything.
+//   wipe       — back to 0 stars
+//   dropOne    — lose one star
+//   checkpoint — fall back to `checkpoint` stars once that many are held, else 0
+//   keepChance — keep every star with probability keepProb, else wipe
+export const STAR_FAILURE_KINDS = ["wipe", "dropOne", "checkpoint", "keepChance"];
+
+// Stars held after failing while holding `held`. Without `rand` (worst case)
+// a chance to keep stars never comes through unless it is certain.
+function starsAfterFail(params, held, rand) {
+  const f = params.starFailure;
+  if (!f || f.kind === "wipe") return 0;
+  if (f.kind === "dropOne") return Math.max(0, held - 1);
+  if (f.kind === "checkpoint") return held >= f.checkpoint ? f.checkpoint : 0;
+  const keep = rand ? rand() < f.keepProb : f.keepProb >= 1;
+  return keep ? held : 0;
+}
+
+// ------------------------------------------------------------
+// Pity Models
+// ------------------------------------------------------------
+// params.pityModel = { kind, softStart, softStep, softCap, hardGuarantee } (missing = hard):
+//   hard   — after starPityThresholds[i] fails on star i (default starPityThreshold
+//            for every star) its next attempt is guaranteed.
+//   soft   — every fail past softStart adds softStep to that counter's rate, up to
+//            softCap. The thresholds still guarantee unless hardGuarantee is false;
+//            a rate that ramps all the way to 1 guarantees too.
+//   shared — one counter for all stars: any star fail adds to it, the next star
+//            attempt after starPityThreshold fails is guaranteed and any star
+//            success empties it.
+// The final always keeps its own counter (ramped as well under soft pity).
+export const PITY_MODELS = ["hard", "soft", "shared"];
+
+const pityRuleCache = new WeakMap();
+function pityRules(params) {
+  let rules = pityRuleCache.get(params);
+  if (rules) return rules;
+  const model = params.pityModel || { kind: "hard" };
+  const { numStars } = params;
+  const soft = model.kind === "soft";
+  const shared = model.kind === "shared";
+  const hard = !soft || model.hardGuarantee !== false;
+  const step = soft ? Number(model.softStep) || 0 : 0;
+  const start = soft ? Number(model.softStart) || 0 : 0;
+  const cap = soft ? Number(model.softCap) : 0;
+
+  const rate = (p, fails) => (step > 0 && fails > start ? Math.max(p, Math.min(cap, p + step * (fails - start))) : p);
+  // Fails after which the next attempt is certain (Infinity when none are enough)
+  const guaranteeAt = (p, threshold) => {
+    let at = hard ? threshold : Infinity;
+    if (step > 0 && cap >= 1 && p < 1) at = Math.min(at, start + Math.ceil((1 - p) / step - 1e-9));
+    return at;
+  };
+  // Highest counter value that still changes anything (exact solver state size)
+  const limit = (p, at) => (Number.isFinite(at) ? at : step > 0 && cap > p ? start + Math.ceil((cap - p) / step - 1e-9) : 0);
+
+  const thresholds = Array.from({ length: numStars }, (_, i) =>
+    shared || !params.starPityThresholds ? params.starPityThreshold : params.starPityThresholds[i]
+  );
+  const starAt = params.starProbs.map((p, i) => guaranteeAt(p, thresholds[i]));
+  const finalAt = guaranteeAt(params.finalProb, params.finalPityThreshold);
+  rules = {
+    shared,
+    slots: shared ? 1 : numStars,
+    slot: shared ? () => 0 : (i) => i,
+    starAt,
+    finalAt,
+    starLimit: params.starProbs.map((p, i) => limit(p, starAt[i])),
+    starRate: (i, fails) => rate(params.starProbs[i], fails),
+    finalRate: (fails) => rate(params.finalProb, fails),
+    // Counter each star's next attempt would use, for budget snapshots
+    byStar: (fails) => Array.from({ length: numStars }, (_, i) => fails[shared ? 0 : i]),
+  };
+  pityRuleCache.set(params, rules);
+  return rules;
+}
+
+// Attempts that can never succeed, so a run that needs them never ends:
+// { stars: [indexes], final }. A rate of 0 that no ramp lifts only succeeds
+// through a guarantee, which must be reachable: resetting every star counter
+// on any fail keeps them at 0, and a shared pool is emptied by the success on
+// the star below whenever a fail there always loses that star. Assumes valid params.
+export function unreachableSuccesses(params) {
+  const pity = pityRules(params);
+  const zeroRate = (rateAt) => rateAt(Number.MAX_SAFE_INTEGER) === 0; // ramps only rise
+  const stars = params.starProbs.flatMap((_, i) => {
+    const rateAt = (fails) => pity.starRate(i, fails);
+    const at = pity.starAt[i];
+    if (params.starPityResetsOnAnyFail) return rateAt(0) === 0 && at > 0 ? [i] : [];
+    if (!zeroRate(rateAt)) return [];
+    if (at === Infinity) return [i];
+    const kept = isStarProtected(params, i) && params.protection.preventsWipe ? i : starsAfterFail(params, i, () => 0); // luckiest fail
+    return pity.shared && i > 0 && at > 0 && kept < i ? [i] : [];
+  });
+  return { stars, final: zeroRate(pity.finalRate) && pity.finalAt === Infinity };
+}
+
+// ------------------------------------------------------------
+// Starting State
+// ------------------------------------------------------------
+// params.startState = { stars, starPity, finalPity } resumes an upgrade already
+// in progress (live session): the stars held, the star pity counters (one per
+// star, or a single count for a shared pool) and the final's counter. Every
+// simulator and calculator then reports what is still to come. Missing = a
+// fresh start.
+function startOf(params) {
+  const st = params.startState;
+  const slots = pityRules(params).slots;
+  return {
+    stars: st ? st.stars : 0,
+    starPity: Array.from({ length: slots }, (_, k) => (st && st.starPity[k]) || 0),
+    finalPity: st ? st.finalPity : 0,
+  };
+}
+
+// ------------------------------------------------------------
+// Cost Model (multi‑resource)
+// ------------------------------------------------------------
+// params.costs = { stars: [[{ resource, amount }, ...] per star], final: [{ resource, amount }, ...] }
+// params.exchangeRates = { [resource]: gold per unit }; gold itself is always 1
+// and resources without a rate are tracked but left out of the gold total.
+// Without params.costs every attempt costs params.goldPerAttempt gold.
+function uniformCosts(numStars, goldPerAttempt) {
+  const entry = () => [{ resource: "gold", amount: goldPerAttempt }];
+  return { stars: Array.from({ length: numStars }, entry), final: entry() };
+}
+
+export function goldRate(params, resource) {
+  if (resource === "gold") return 1;
+  return Number((params.exchangeRates || {})[resource]) || 0;
+}
+
+// Per attempt type (star 0..N-1, then the final at index N): amount vector + gold‑priced total.
+const costPlans = new WeakMap();
+function costPlan(params) {
+  let plan = costPlans.get(params);
+  if (plan) return plan;
+  const costs = params.costs || uniformCosts(params.numStars, params.goldPerAttempt || 0);
+  const lists = [];
+  for (let i = 0; i < params.numStars; i++) lists.push(costs.stars[Math.min(i, costs.stars.length - 1)] || []);
+  lists.push(costs.final || []);
+
+  const names = ["gold"];
+  for (const list of lists) for (const c of list) if (!names.includes(c.resource)) names.push(c.resource);
+  const vecs = lists.map((list) => {
+    const v = new Float64Array(names.length);
+    for (const c of list) v[names.indexOf(c.resource)] += c.amount;
+    return v;
+  });
+  const priced = vecs.map((v) => v.reduce((a, x, k) => a + x * goldRate(params, names[k]), 0));
+  plan = { names, vecs, priced };
+  costPlans.set(params, plan);
+  return plan;
+}
+
+function resourcesFromLedger(plan, spent) {
+  const out = {};
+  plan.names.forEach((name, k) => (out[name] = spent[k]));
+  return out;
+}
+
+// Gold‑priced cost shared by every attempt type, or null when they differ
+export function uniformAttemptPrice(params) {
+  const { priced } = costPlan(params);
+  return priced.every((x) => x === priced[0]) ? priced[0] : null;
+}
+
+export function addResources(into, from) {
+  for (const k in from) into[k] = (into[k] || 0) + from[k];
+  return into;
+}
+
+// Resource totals for a given number of attempts of each type
+function resourcesForCounts(plan, counts) {
+  const out = {};
+  plan.names.forEach((name, k) => {
+    out[name] = counts.reduce((a, n, i) => a + n * plan.vecs[i][k], 0);
+  });
+  return out;
+}
+
+// ------------------------------------------------------------
+// Budget Snapshots
+// ------------------------------------------------------------
+// params.budget = { kind: "attempts" | "gold", amount }. A run records where it
+// stood (stars held, pity counters) right before the first attempt it could
+// not afford; runs that finish within budget keep budgetState = null. A run
+// stopped at the attempt cap records where it stopped, so it never counts as
+// finished within budget.
+function overBudget(budget, attempts, gold, nextPrice) {
+  if (!budget) return false;
+  return budget.kind === "gold" ? gold + nextPrice > budget.amount : attempts + 1 > budget.amount;
+}
+
+// Per‑star counts a run keeps besides attempts, summed over runs by
+// runSingleShard (see starDiagnostics): successes, how many of those pity
+// guaranteed, the pity counter at each success, the configured rate summed over
+// rolled attempts, and attempts made rebuilding after a failed final.
+export function emptyStarTally(numStars) {
+  const zeros = () => Array(numStars).fill(0);
+  return { successes: zeros(), guaranteed: zeros(), pityAtSuccess: zeros(), rolled: zeros(), rateSum: zeros(), rebuilds: zeros() };
+}
+
+function tallyStar(tally, i, pityBefore, guaranteed, success, rate) {
+  if (guaranteed) tally.guaranteed[i] += 1;
+  else {
+    tally.rolled[i] += 1;
+    tally.rateSum[i] += rate;
+  }
+  if (success) {
+    tally.successes[i] += 1;
+    tally.pityAtSuccess[i] += pityBefore;
+  }
+}
+
+function addStarTally(into, from) {
+  for (const key of Object.keys(into)) from[key].forEach((v, i) => (into[key][i] += v));
+  return into;
+}
+
+// ------------------------------------------------------------
+// Core Simulators (generalized to N stars)
+// ------------------------------------------------------------
+// A run stops after params.maxRunAttempts attempts (default MAX_RUN_ATTEMPTS)
+// with unfinished: true and what it spent so far, so a configuration that
+// (almost) never finishes cannot hang the caller.
+export const MAX_RUN_ATTEMPTS = 100000;
+
+function runCap(params) {
+  return params.maxRunAttempts ?? MAX_RUN_ATTEMPTS;
+}
+
+// onEvent, when given, sees every attempt as it resolves (see traceFullRun).
+// `cap` is the attempts left to this run (re‑climbs share their parent's).
+export function simulateFullRun(params, rand, levelParams = sameLevelParams(params), onEvent = null, cap = runCap(params)) {
+  const { starPityResetsOnAnyFail, numStars, level = 0, protection, budget } = params;
+  const pity = pityRules(params);
+
+  let attempts = 0;
+  let gold = 0; // every resource priced in gold
+  let replacements = 0;
+  let protectionUsed = 0;
+  const outcomes = emptyOutcomeCounts();
+
+  const plan = costPlan(params);
+  const spent = new Float64Array(plan.names.length);
+  const nested = {}; // resources spent re‑climbing other levels
+  const pay = (k) => {
+    if (!budgetState && overBudget(budget, attempts, gold, plan.priced[k])) snapshot(false);
+    const v = plan.vecs[k];
+    for (let j = 0; j < v.length; j++) spent[j] += v[j];
+    gold += plan.priced[k];
+  };
+
+  let budgetState = null;
+  const snapshot = (reclimbing) => {
+    budgetState = { stars: currentStars, starPity: pity.byStar(starPityFails), finalPity: finalPityFails, reclimbing };
+  };
+
+  const start = startOf(params);
+  let starPityFails = start.starPity;
+  let finalPityFails = start.finalPity; // persists until success
+  let starAttempts = Array(numStars).fill(0);
+  const starTally = emptyStarTally(numStars);
+  let rebuilding = false; // star attempts after a failed final are rebuilds
+
+  const handleFailReset = () => {
+    if (starPityResetsOnAnyFail) {
+      starPityFails = Array(pity.slots).fill(0);
+    }
+  };
+
+  const finish = (unfinished) => {
+    if (unfinished && budget && !budgetState) snapshot(false);
+    const resources = addResources(resourcesFromLedger(plan, spent), nested);
+    return { attempts, gold, resources, starAttempts, starTally, outcomes, replacements, protectionUsed, budgetState, unfinished };
+  };
+
+  let currentStars = start.stars;
+  for (;;) {
+    // Build all stars (from wherever a protected final left them)
+    for (let i = currentStars; i < numStars; i++) {
+      if (attempts >= cap) return finish(true);
+      pay(i);
+      attempts += 1;
+      starAttempts[i] += 1; // count this star attempt
+      const guarded = isStarProtected(params, i);
+      if (guarded) protectionUsed += protection.itemsPerUse;
+      const k = pity.slot(i);
+      const pityBefore = starPityFails[k];
+      const guaranteed = pityBefore >= pity.starAt[i];
+      const roll = guaranteed ? null : rand();
+      const success = guaranteed || roll < pity.starRate(i, pityBefore);
+      tallyStar(starTally, i, pityBefore, guaranteed, success, guaranteed ? 0 : pity.starRate(i, pityBefore));
+      if (rebuilding) starTally.rebuilds[i] += 1;
+      if (success) {
+        currentStars += 1;
+        starPityFails[k] = 0; // reset pity for this star (or the shared pool)
+      } else {
+        starPityFails[k] += 1;
+        handleFailReset();
+        if (!(guarded && protection.preventsWipe)) currentStars = starsAfterFail(params, i, rand);
+      }
+      if (onEvent) {
+        onEvent({
+          level,
+          numStars,
+          star: i,
+          rate: pity.starRate(i, pityBefore),
+          roll,
+          guaranteed,
+          guarded,
+          success,
+          pity: pityBefore,
+          starsAfter: currentStars,
+          starPity: pity.byStar(starPityFails),
+          finalPity: finalPityFails,
+          outcome: null,
+          cost: plan.priced[i],
+        });
+      }
+      if (!success) i = currentStars - 1; // continue from the first star not held
+    }
+
+    // Attempt final upgrade
+    if (attempts >= cap) return finish(true);
+    pay(numStars);
+    attempts += 1;
+    const finalGuarded = isFinalProtected(params);
+    if (finalGuarded) protectionUsed += protection.itemsPerUse;
+    const finalBefore = finalPityFails;
+    const finalGuaranteed = finalBefore >= pity.finalAt;
+    const finalRoll = finalGuaranteed ? null : rand();
+    const finalSuccess = finalGuaranteed || finalRoll < pity.finalRate(finalBefore);
+    const finalEvent = (outcome, cost) =>
+      onEvent({
+        level,
+        numStars,
+        star: null,
+        rate: pity.finalRate(finalBefore),
+        roll: finalRoll,
+        guaranteed: finalGuaranteed,
+        guarded: finalGuarded,
+        success: finalSuccess,
+        pity: finalBefore,
+        starsAfter: currentStars,
+        starPity: pity.byStar(starPityFails),
+        finalPity: finalPityFails,
+        outcome,
+        cost,
+      });
+    if (finalSuccess) {
+      if (onEvent) finalEvent(null, plan.priced[numStars]);
+      return finish(false);
+    }
+    // final failed
+    finalPityFails += 1; // persists
+    rebuilding = true;
+    handleFailReset(); // stars drop (and possibly reset pity if configured)
+    if (!(finalGuarded && protection.preventsWipe)) currentStars = starsAfterFail(params, numStars, rand);
+
+    const outcome = finalGuarded && protection.preventsOutcome ? { kind: "stay" } : rollFinalFailOutcome(params, rand);
+    outcomes[outcome.kind] += 1;
+    if (outcome.kind === "break") {
+      replacements += 1;
+      spent[0] += outcome.replacementCost; // gold is always index 0
+      gold += outcome.replacementCost;
+    }
+    if (onEvent) finalEvent(outcome.kind, plan.priced[numStars] + (outcome.kind === "break" ? outcome.replacementCost : 0));
+    if (outcome.kind === "drop") {
+      // re‑climb every lost level back to +L (those climbs can fail and drop too)
+      const lost = Math.min(outcome.levels, level);
+      for (let L = level - lost; L < level; L++) {
+        const r = simulateFullRun(levelParams(L), rand, levelParams, onEvent, cap - attempts);
+        attempts += r.attempts;
+        gold += r.gold;
+        addResources(nested, r.resources);
+        replacements += r.replacements;
+        protectionUsed += r.protectionUsed;
+        OUTCOME_KINDS.forEach((k) => (outcomes[k] += r.outcomes[k]));
+        if (!budgetState && overBudget(budget, attempts - 1, gold, 0)) snapshot(true); // ran out mid re‑climb
+        if (r.unfinished) {
+          if (budget && !budgetState) snapshot(true);
+          return finish(true);
+        }
+      }
+    }
+  }
+}
+
+export function simulateStarsOnly(params, rand) {
+  const { starPityResetsOnAnyFail, numStars, protection, budget } = params;
+  const pity = pityRules(params);
+  const plan = costPlan(params);
+  let attempts = 0;
+  let gold = 0;
+  let protectionUsed = 0;
+  let budgetState = null;
+  const start = startOf(params);
+  let starPityFails = start.starPity;
+  let starAttempts = Array(numStars).fill(0);
+  const starTally = emptyStarTally(numStars);
+
+  const handleFailReset = () => {
+    if (starPityResetsOnAnyFail) {
+      starPityFails = Array(pity.slots).fill(0);
+    }
+  };
+
+  const cap = runCap(params);
+  let currentStars = start.stars;
+  while (currentStars < numStars && attempts < cap) {
+    const i = currentStars;
+    if (!budgetState && overBudget(budget, attempts, gold, plan.priced[i])) {
+      budgetState = { stars: currentStars, starPity: pity.byStar(starPityFails), finalPity: 0, reclimbing: false };
+    }
+    attempts += 1;
+    gold += plan.priced[i];
+    starAttempts[i] += 1; // count this star attempt
+    const guarded = isStarProtected(params, i);
+    if (guarded) protectionUsed += protection.itemsPerUse;
+
+    const k = pity.slot(i);
+    const pityBefore = starPityFails[k];
+    const guaranteed = pityBefore >= pity.starAt[i];
+    const rate = guaranteed ? 0 : pity.starRate(i, pityBefore);
+    const success = guaranteed || rand() < rate;
+    tallyStar(starTally, i, pityBefore, guaranteed, success, rate);
+    if (success) {
+      currentStars += 1;
+      starPityFails[k] = 0;
+    } else {
+      starPityFails[k] += 1;
+      handleFailReset();
+      if (!(guarded && protection.preventsWipe)) currentStars = starsAfterFail(params, i, rand);
+    }
+  }
+  const unfinished = currentStars < numStars;
+  if (unfinished && budget && !budgetState)
+    budgetState = { stars: currentStars, starPity: pity.byStar(starPityFails), finalPity: 0, reclimbing: false };
+  return { attempts, gold, resources: resourcesForCounts(plan, starAttempts), starAttempts, starTally, protectionUsed, budgetState, unfinished };
+}
+
+// ------------------------------------------------------------
+// Deterministic Worst‑Case (Full Pity) Calculators (generalized)
+// ------------------------------------------------------------
+// The walk below takes one step per attempt, and the worst case grows
+// exponentially with pity and stars. Past WORST_CASE_MAX_STEPS attempts it stops
+// and the worst case comes back as too large (tooLarge: true, NaN amounts).
+export const WORST_CASE_MAX_STEPS = 2000000;
+const WALK_EXHAUSTED = -1;
+
+// Adversarial star build from star `from` with the given counters (mutated).
+// counts[i] collects attempts on star i; walk.left counts down the steps left.
+// Returns the protection items used, WALK_EXHAUSTED when the steps run out, or
+// null when the adversary can fail forever: a star no fail count guarantees,
+// or a shared pool that keeps emptying before later stars reach it.
+function worstCaseBuild(params, starPityFails, from, counts, walk) {
+  const { numStars } = params;
+  const pity = pityRules(params);
+  if (pity.starAt.some((at) => at === Infinity)) return null;
+  const seen = pity.shared ? new Set() : null; // (star, pool) states; per‑star counters always progress
+  let items = 0;
+  let currentStars = from;
+  while (currentStars < numStars) {
+    const i = currentStars;
+    const k = pity.slot(i);
+    if (seen) {
+      const state = `${i}:${starPityFails[k]}`;
+      if (seen.has(state)) return null;
+      seen.add(state);
+    }
+    if (--walk.left < 0) return WALK_EXHAUSTED;
+    const guaranteed = starPityFails[k] >= pity.starAt[i];
+    const guarded = isStarProtected(params, i);
+    counts[i] += 1;
+    if (guarded) items += params.protection.itemsPerUse;
+    if (guaranteed) {
+      // success at pity
+      starPityFails[k] = 0;
+      currentStars += 1;
+    } else {
+      // fail, pity accumulates for this star, and progress drops unless protected
+      starPityFails[k] += 1;
+      if (!(guarded && params.protection.preventsWipe)) currentStars = starsAfterFail(params, i, null);
+    }
+  }
+  return items;
+}
+
+function infiniteWorstCase(params) {
+  const resources = {};
+  costPlan(params).names.forEach((n) => (resources[n] = Infinity));
+  return { attempts: Infinity, gold: Infinity, protectionUsed: Infinity, resources };
+}
+
+function tooLargeWorstCase(params) {
+  const resources = {};
+  costPlan(params).names.forEach((n) => (resources[n] = NaN));
+  return { attempts: NaN, gold: NaN, protectionUsed: NaN, resources, tooLarge: true };
+}
+
+export function worstCaseStarsOnly(params) {
+  const { starPityResetsOnAnyFail, numStars } = params;
+  if (starPityResetsOnAnyFail) return infiniteWorstCase(params);
+
+  const plan = costPlan(params);
+  const counts = Array(numStars + 1).fill(0); // final slot stays 0
+  const start = startOf(params);
+  const items = worstCaseBuild(params, start.starPity, start.stars, counts, { left: WORST_CASE_MAX_STEPS });
+  if (items === null) return infiniteWorstCase(params);
+  if (items === WALK_EXHAUSTED) return tooLargeWorstCase(params);
+  return {
+    attempts: counts.reduce((a, b) => a + b, 0),
+    gold: counts.reduce((a, n, k) => a + n * plan.priced[k], 0),
+    protectionUsed: items,
+    resources: resourcesForCounts(plan, counts),
+  };
+}
+
+// Failed finals also take the costliest possible outcome (by gold). Re‑climbs
+// start with fresh pity, so the worst case of each lower level is memoized;
+// those re‑climbs share the walk's step budget.
+export function worstCaseFull(params, levelParams = sameLevelParams(params), memo = new Map(), walk = { left: WORST_CASE_MAX_STEPS }) {
+  const { starPityResetsOnAnyFail, numStars, level = 0 } = params;
+  const pity = pityRules(params);
+  if (starPityResetsOnAnyFail || pity.finalAt === Infinity) return infiniteWorstCase(params);
+
+  const zero = () => ({ attempts: 0, gold: 0, protectionUsed: 0, resources: {} });
+  const plus = (x, y) => ({
+    attempts: x.attempts + y.attempts,
+    gold: x.gold + y.gold,
+    protectionUsed: x.protectionUsed + y.protectionUsed,
+    resources: addResources(addResources({}, x.resources), y.resources),
+  });
+
+  const finalGuarded = isFinalProtected(params);
+  const worstOutcome = () => {
+    let worst = zero();
+    if (!finalOutcomesApply(params)) return worst;
+    for (const o of params.finalFailOutcomes || []) {
+      if (!(o.prob > 0)) continue;
+      let cost = zero();
+      if (o.kind === "break") cost = { ...cost, gold: o.replacementCost, resources: { gold: o.replacementCost } };
+      if (o.kind === "drop") {
+        for (let L = level - Math.min(o.levels, level); L < level; L++) {
+          if (!memo.has(L)) memo.set(L, worstCaseFull(levelParams(L), levelParams, memo, walk));
+          if (memo.get(L).tooLarge) return memo.get(L);
+          cost = plus(cost, memo.get(L));
+        }
+      }
+      if (cost.gold > worst.gold || (cost.gold === worst.gold && cost.attempts > worst.attempts)) worst = cost;
+    }
+    return worst;
+  };
+
+  const plan = costPlan(params);
+  const start = startOf(params);
+  let starPityFails = start.starPity;
+  let finalPityFails = start.finalPity;
+  const counts = Array(numStars + 1).fill(0); // per attempt type, final last
+  let items = 0;
+  let extra = zero(); // spent on failure outcomes
+  let currentStars = start.stars;
+
+  for (;;) {
+    // build stars adversarially
+    const built = worstCaseBuild(params, starPityFails, currentStars, counts, walk);
+    if (built === null) return infiniteWorstCase(params);
+    if (built === WALK_EXHAUSTED || --walk.left < 0) return tooLargeWorstCase(params);
+    items += built;
+    currentStars = numStars;
+
+    // final attempt adversarially
+    const finalGuaranteed = finalPityFails >= pity.finalAt;
+    counts[numStars] += 1;
+    if (finalGuarded) items += params.protection.itemsPerUse;
+    if (finalGuaranteed) {
+      const own = {
+        attempts: counts.reduce((a, b) => a + b, 0),
+        gold: counts.reduce((a, n, k) => a + n * plan.priced[k], 0),
+        protectionUsed: items,
+        resources: resourcesForCounts(plan, counts),
+      };
+      return plus(own, extra);
+    }
+    // fail, stars drop unless protected
+    finalPityFails += 1;
+    if (!(finalGuarded && params.protection.preventsWipe)) currentStars = starsAfterFail(params, numStars, null);
+    const outcome = worstOutcome();
+    if (outcome.tooLarge) return tooLargeWorstCase(params);
+    extra = plus(extra, outcome);
+  }
+}
+
+// ------------------------------------------------------------
+// Exact Markov‑Chain Solver
+// ------------------------------------------------------------
+// Build phase state = (current star, per‑star pity counters). Every attempt is
+// one transition, so pushing probability mass forward one step at a time
+// yields P(stars built on attempt t) exactly. A counter never exceeds the fail
+// count that guarantees its star (or, without a guarantee, the count where its
+// soft ramp tops out), which bounds the values it takes. A shared pool is a
+// single counter.
+//
+// The full upgrade is a renewal of build phases: the final is only reached
+// after every star's last attempt succeeded, which zeroes all star counters,
+// so each rebuild after a failed final starts from the same stars and is an
+// i.i.d. copy of the others. Only the final pity counter carries over, and it
+// just bounds the number of finals. (A protected final that keeps its stars
+// skips the rebuild altogether.)
+const EXACT_MAX_STATES = 2000000;
+const EXACT_MAX_WORK = 25000000; // state visits before giving up
+const EXACT_MAX_CONV = 400000000; // multiply‑adds across the final‑attempt convolutions
+const EXACT_TAIL_EPS = 1e-12; // stop once this little mass is unabsorbed
+
+function clampProb(p) {
+  return Math.min(1, Math.max(0, p));
+}
+
+// Attempts to go from `from` stars (counters at `starPity`, default 0) to every star built
+function exactBuildDistribution(params, from = 0, starPity = null) {
+  const { starPityResetsOnAnyFail, numStars } = params;
+  const pity = pityRules(params);
+  if (from >= numStars) return { ok: true, dist: [1] };
+
+  // With reset‑on‑fail every increment is immediately wiped, so counters stay at 0.
+  const limits = Array(pity.slots).fill(0);
+  for (let i = 0; i < numStars; i++) limits[pity.slot(i)] = Math.max(limits[pity.slot(i)], pity.starLimit[i]);
+  const radix = limits.map((m) => (starPityResetsOnAnyFail ? 1 : m + 1));
+  const pow = [1];
+  for (let k = 0; k < pity.slots; k++) pow.push(pow[k] * radix[k]);
+  const pityStates = pow[pity.slots];
+  const numStates = pityStates * numStars;
+  if (!Number.isFinite(numStates) || numStates > EXACT_MAX_STATES) {
+    return { ok: false, reason: `State space too large (${numStates.toLocaleString("en-US")} states).` };
+  }
+
+  let cur = new Float64Array(numStates);
+  let next = new Float64Array(numStates);
+  let first = from * pityStates;
+  if (starPity && !starPityResetsOnAnyFail) starPity.forEach((cnt, k) => (first += Math.min(cnt, radix[k] - 1) * pow[k]));
+  let active = [first];
+  cur[first] = 1;
+
+  const dist = [0]; // dist[t] = P(all stars built on attempt t)
+  let remaining = 1;
+  let work = 0;
+
+  while (remaining > EXACT_TAIL_EPS) {
+    work += active.length;
+    if (work > EXACT_MAX_WORK || !active.length) {
+      return { ok: false, reason: "Did not converge within the work limit (very long or non‑terminating runs)." };
+    }
+    const nextActive = [];
+    const push = (j, m) => {
+      if (next[j] === 0) nextActive.push(j);
+      next[j] += m;
+    };
+
+    let done = 0;
+    for (const idx of active) {
+      const m = cur[idx];
+      cur[idx] = 0;
+      if (m === 0) continue;
+      const code = idx % pityStates;
+      const c = (idx - code) / pityStates;
+      const k = pity.slot(c);
+      const cnt = Math.floor(code / pow[k]) % radix[k];
+      const p = cnt >= pity.starAt[c] ? 1 : clampProb(pity.starRate(c, cnt));
+      if (p > 0) {
+        if (c + 1 === numStars) done += m * p;
+        else push((c + 1) * pityStates + code - cnt * pow[k], m * p);
+      }
+      if (p < 1) {
+        const grown = cnt + 1 < radix[k] ? code + pow[k] : code; // saturated counters stay put
+        const failCode = starPityResetsOnAnyFail ? 0 : grown;
+        const f = params.starFailure;
+        if (isStarProtected(params, c) && params.protection.preventsWipe) push(c * pityStates + failCode, m * (1 - p));
+        else if (f && f.kind === "keepChance") {
+          if (f.keepProb > 0) push(c * pityStates + failCode, m * (1 - p) * f.keepProb);
+          if (f.keepProb < 1) push(failCode, m * (1 - p) * (1 - f.keepProb));
+        } else push(starsAfterFail(params, c, null) * pityStates + failCode, m * (1 - p));
+      }
+    }
+
+    dist.push(done);
+    remaining -= done;
+    [cur, next] = [next, cur];
+    active = nextActive;
+  }
+  return { ok: true, dist };
+}
+
+// Attempts from a failed final back to all stars built
+function exactRebuildDistribution(build, params) {
+  const f = params.starFailure;
+  if (isFinalProtected(params) && params.protection.preventsWipe) return { ok: true, dist: [1] };
+  if (f && f.kind === "keepChance") {
+    const dist = build.dist.map((x) => x * (1 - f.keepProb));
+    dist[0] += f.keepProb;
+    return { ok: true, dist };
+  }
+  const from = starsAfterFail(params, params.numStars, null);
+  return from === 0 ? build : exactBuildDistribution(params, from);
+}
+
+// `first` is the build up to the first final (from the starting state), `build`
+// a fresh one; finalPity is where the final's counter starts.
+function exactFullDistribution(first, build, params, finalPity = 0) {
+  const pity = pityRules(params);
+  const rebuild = exactRebuildDistribution(build, params);
+  if (!rebuild.ok) return rebuild;
+  const buildDist = Float64Array.from(first.dist);
+  const rebuildDist = Float64Array.from(rebuild.dist);
+  const dist = [];
+  let phases = Float64Array.of(1); // distribution of attempts after k builds + k finals
+  let survive = 1; // P(first k finals all failed)
+  let work = 0;
+
+  for (let k = 1; survive > EXACT_TAIL_EPS; k++) {
+    // phases ⊛ build (first final) or rebuild, then shift by one for the final attempt
+    const step = k === 1 ? buildDist : rebuildDist;
+    work += phases.length * step.length;
+    if (work > EXACT_MAX_CONV) {
+      return { ok: false, reason: "Did not converge within the work limit (very long or non‑terminating runs)." };
+    }
+    const conv = new Float64Array(phases.length + step.length);
+    for (let a = 0; a < phases.length; a++) {
+      const pa = phases[a];
+      if (pa === 0) continue;
+      for (let b = 0; b < step.length; b++) conv[a + b + 1] += pa * step[b];
+    }
+    phases = conv;
+
+    const fails = finalPity + k - 1;
+    const p = fails >= pity.finalAt ? 1 : clampProb(pity.finalRate(fails));
+    const weight = survive * p;
+    if (weight > 0) {
+      while (dist.length < phases.length) dist.push(0);
+      for (let t = 0; t < phases.length; t++) dist[t] += weight * phases[t];
+    }
+    survive *= 1 - p;
+  }
+  return { ok: true, dist };
+}
+
+function distributionStats(dist) {
+  let mass = 0;
+  let mean = 0;
+  let sq = 0;
+  for (let t = 0; t < dist.length; t++) {
+    mass += dist[t];
+    mean += t * dist[t];
+    sq += t * t * dist[t];
+  }
+  const variance = Math.max(0, sq - mean * mean);
+
+  const quantile = (p) => {
+    let cdf = 0;
+    for (let t = 0; t < dist.length; t++) {
+      cdf += dist[t];
+      if (cdf >= p - 1e-12) return t;
+    }
+    return dist.length - 1;
+  };
+
+  return {
+    ok: true,
+    dist,
+    mean,
+    variance,
+    sd: Math.sqrt(variance),
+    p50: quantile(0.5),
+    p90: quantile(0.9),
+    p99: quantile(0.99),
+    tailMass: Math.max(0, 1 - mass),
+  };
+}
+
+// Exact stars‑only and full‑upgrade attempt distributions (or { ok: false, reason })
+export function exactSolve(params) {
+  const build = exactBuildDistribution(params);
+  if (!build.ok) return { stars: build, full: build };
+  const start = startOf(params);
+  const first = params.startState ? exactBuildDistribution(params, start.stars, start.starPity) : build;
+  if (!first.ok) return { stars: first, full: first };
+  const full = finalOutcomesApply(params)
+    ? { ok: false, reason: "Exact solver only models finals that stay at +L on failure." }
+    : exactFullDistribution(first, build, params, start.finalPity);
+  return {
+    stars: distributionStats(first.dist),
+    full: full.ok ? distributionStats(full.dist) : full,
+  };
+}
+
+// ------------------------------------------------------------
+// Multi‑Level Path Planner (+L → +M as a chain of single steps)
+// ------------------------------------------------------------
+export const MAX_PATH_LEVELS = 30;
+
+// Steps charge goldPerAttempt per star attempt and finalGoldPerAttempt (default
+// the same) per final; numStars defaults to the built‑in star rule.
+function makePathStep(level, template) {
+  const t = typeof template === "function" ? template(level) : template;
+  const numStars = t.numStars ?? suggestedStarsForLevel(level);
+  return {
+    level,
+    numStars,
+    starProbs: Array(numStars).fill(t.starRate),
+    finalProb: t.finalProb,
+    starPityThreshold: t.starPityThreshold,
+    finalPityThreshold: t.finalPityThreshold,
+    goldPerAttempt: t.goldPerAttempt,
+    finalGoldPerAttempt: t.finalGoldPerAttempt ?? t.goldPerAttempt,
+  };
+}
+
+// Keep already‑edited steps that are still in range; new levels come from the
+// template: one step's settings, or a function of the level returning them.
+export function syncPathSteps(prev, from, to, template) {
+  const byLevel = new Map(prev.map((st) => [st.level, st]));
+  const steps = [];
+  for (let L = from; L < to && steps.length < MAX_PATH_LEVELS; L++) {
+    steps.push(byLevel.get(L) || makePathStep(L, template));
+  }
+  return steps;
+}
+
+// Settings for any level a drop can reach: the path's own step, or the first
+// step's settings for levels below the start of the path.
+export function pathLevelParams(stepParams) {
+  const byLevel = new Map(stepParams.map((p) => [p.level, p]));
+  return (level) => byLevel.get(level) || { ...stepParams[0], level };
+}
+
+// One run of the whole climb; each level keeps its own pity counters.
+export function simulatePath(stepParams, rand) {
+  const levelParams = pathLevelParams(stepParams);
+  let attempts = 0;
+  let gold = 0;
+  const perLevel = stepParams.map((params) => {
+    const r = simulateFullRun(params, rand, levelParams);
+    attempts += r.attempts;
+    gold += r.gold;
+    return r;
+  });
+  return { attempts, gold, perLevel, unfinished: perLevel.some((r) => r.unfinished) };
+}
+
+// Per‑run records of a path Monte Carlo: totals, per‑level attempts and gold,
+// gold spent up to and including each level, and with a budget how many levels
+// each run fully climbed within it. unfinished counts the runs a level of which
+// hit the attempt cap.
+export function emptyPathData(numLevels) {
+  const perLevel = () => Array.from({ length: numLevels }, () => []);
+  return {
+    attempts: [],
+    golds: [],
+    outcomes: [],
+    replacements: [],
+    items: [],
+    resources: [],
+    levelAttempts: perLevel(),
+    levelGolds: perLevel(),
+    levelCumGolds: perLevel(),
+    levelsWithinBudget: [],
+    unfinished: 0,
+  };
+}
+
+// Appends `from` to `into` in place, like appendTrialData
+export function appendPathData(into, from) {
+  for (const key of Object.keys(into)) {
+    if (key === "unfinished") into[key] += from[key];
+    else if (key.startsWith("level") && key !== "levelsWithinBudget") {
+      from[key].forEach((arr, j) => {
+        for (const v of arr) into[key][j].push(v);
+      });
+    } else {
+      for (const v of from[key]) into[key].push(v);
+    }
+  }
+  return into;
+}
+
+function addPathRun(data, run, budget) {
+  if (run.unfinished) data.unfinished += 1;
+  data.attempts.push(run.attempts);
+  data.golds.push(run.gold);
+  const outcomes = emptyOutcomeCounts();
+  const resources = {};
+  let replaced = 0;
+  let items = 0;
+  let cumGold = 0;
+  let cumAttempts = 0;
+  let within = 0;
+  run.perLevel.forEach((r, j) => {
+    OUTCOME_KINDS.forEach((k) => (outcomes[k] += r.outcomes[k]));
+    replaced += r.replacements;
+    items += r.protectionUsed;
+    addResources(resources, r.resources);
+    cumGold += r.gold;
+    cumAttempts += r.attempts;
+    data.levelAttempts[j].push(r.attempts);
+    data.levelGolds[j].push(r.gold);
+    data.levelCumGolds[j].push(cumGold);
+    if (budget && !r.unfinished && (budget.kind === "gold" ? cumGold : cumAttempts) <= budget.amount) within += 1;
+  });
+  if (budget) data.levelsWithinBudget.push(within);
+  data.outcomes.push(outcomes);
+  data.replacements.push(replaced);
+  data.items.push(items);
+  data.resources.push(resources);
+}
+
+// One shard of a path Monte Carlo, emitted in chunks of at most chunkSize runs
+// (see runSingleShard; shard seeds come from shardSeed the same way).
+export function runPathShard(stepParams, seed, trials, onChunk, { chunkSize = 2000, rng = DEFAULT_RNG, budget = null } = {}) {
+  let data = emptyPathData(stepParams.length);
+  let runs = 0;
+  const rand = createRng(seed, rng);
+  for (let t = 0; t < trials; t++) {
+    addPathRun(data, simulatePath(stepParams, rand), budget);
+    if (++runs === chunkSize) {
+      onChunk(data);
+      data = emptyPathData(stepParams.length);
+      runs = 0;
+    }
+  }
+  if (runs) onChunk(data);
+}
+
+// Path job: { kind: "path", stepParams, seed, rng, trials, budget, analyze }.
+// Posts { type: "analysis", worstLevels } (each level's worstCaseFull, when
+// asked), then { type: "chunk", data } repeatedly, then { type: "done" }.
+export function runPathJob({ stepParams, seed, rng, trials, budget, analyze }, post) {
+  if (analyze) {
+    const levelParams = pathLevelParams(stepParams);
+    post({ type: "analysis", worstLevels: stepParams.map((p) => worstCaseFull(p, levelParams)) });
+  }
+  runPathShard(stepParams, seed, trials, (data) => post({ type: "chunk", data }), { rng, budget });
+  post({ type: "done" });
+}
+
+// ------------------------------------------------------------
+// Sharded Monte Carlo (single upgrade)
+// ------------------------------------------------------------
+// The trials are split into contiguous shards and shard k draws from its own
+// seed, so merged results depend only on (seed, shard count), never on which
+// worker finishes first. Shard 0 keeps the user's seed, so a single shard
+// reproduces the unsharded stream.
+export function shardSeed(seed, shard) {
+  const base = Number(seed) || 1;
+  if (shard === 0) return base;
+  // murmur3 finalizer over seed + shard × golden ratio
+  let z = (base + Math.imul(shard, 0x9e3779b9)) >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b) >>> 0;
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35) >>> 0;
+  return (z ^ (z >>> 16)) >>> 0 || 1;
+}
+
+export function shardTrials(trials, shards) {
+  const n = Math.max(1, Math.floor(shards));
+  const base = Math.floor(trials / n);
+  return Array.from({ length: n }, (_, k) => base + (k < trials % n ? 1 : 0));
+}
+
+// Per‑run records of a stars‑only + full‑upgrade Monte Carlo. bare* hold the
+// same‑seed rerun without protection (only filled when protection is on);
+// *Unfinished count the runs that hit the attempt cap (their records are kept).
+export function emptyTrialData(numStars) {
+  const perStar = () => Array.from({ length: numStars }, () => []);
+  return {
+    starsAttempts: [],
+    starsGolds: [],
+    starsItems: [],
+    starsResources: [],
+    starsBudgetStates: [],
+    starsPerStar: perStar(),
+    starsStarTally: emptyStarTally(numStars),
+    starsUnfinished: 0,
+    fullAttempts: [],
+    fullGolds: [],
+    fullOutcomes: [],
+    fullReplacements: [],
+    fullItems: [],
+    fullResources: [],
+    fullBudgetStates: [],
+    fullPerStar: perStar(),
+    fullStarTally: emptyStarTally(numStars),
+    fullUnfinished: 0,
+    bareAttempts: [],
+    bareGolds: [],
+    bareReplacements: [],
+    bareUnfinished: 0,
+  };
+}
+
+// Appends `from` to `into` in place (no spread: shards can hold 100k+ runs)
+export function appendTrialData(into, from) {
+  for (const key of Object.keys(into)) {
+    if (key.endsWith("PerStar")) {
+      from[key].forEach((arr, i) => {
+        for (const v of arr) into[key][i].push(v);
+      });
+    } else if (key.endsWith("StarTally")) {
+      addStarTally(into[key], from[key]);
+    } else if (key.endsWith("Unfinished")) {
+      into[key] += from[key];
+    } else {
+      for (const v of from[key]) into[key].push(v);
+    }
+  }
+  return into;
+}
+
+// One run of `kind` ("stars", "full" or "bare") into trial data
+function addTrialRun(data, kind, r) {
+  if (r.unfinished) data[`${kind}Unfinished`] += 1;
+  data[`${kind}Attempts`].push(r.attempts);
+  data[`${kind}Golds`].push(r.gold);
+  if (kind !== "stars") data[`${kind}Replacements`].push(r.replacements);
+  if (kind === "bare") return;
+  if (kind === "full") data.fullOutcomes.push(r.outcomes);
+  data[`${kind}Items`].push(r.protectionUsed);
+  data[`${kind}Resources`].push(r.resources);
+  data[`${kind}BudgetStates`].push(r.budgetState);
+  r.starAttempts.forEach((val, idx) => data[`${kind}PerStar`][idx].push(val));
+  addStarTally(data[`${kind}StarTally`], r.starTally);
+}
+
+// The same series as emptyTrialData kept as sketches (see emptySketch), for
+// runs too many to hold one by one. Outcomes are totals; budget states are not
+// kept, only *OverBudget: how many runs did not finish within it. Combined cost (gold + items × goldPerItem) gets a sketch of its own
+// because it cannot be rebuilt from the gold and item sketches.
+export function emptyStreamData(numStars, alpha = SKETCH_ALPHA) {
+  const sketch = () => emptySketch(alpha);
+  const perStar = () => Array.from({ length: numStars }, sketch);
+  return {
+    sketch: alpha,
+    starsAttempts: sketch(),
+    starsGolds: sketch(),
+    starsItems: sketch(),
+    starsCombined: sketch(),
+    starsResources: {},
+    starsPerStar: perStar(),
+    starsStarTally: emptyStarTally(numStars),
+    starsUnfinished: 0,
+    starsOverBudget: 0,
+    fullAttempts: sketch(),
+    fullGolds: sketch(),
+    fullOutcomes: emptyOutcomeCounts(),
+    fullReplacements: sketch(),
+    fullItems: sketch(),
+    fullCombined: sketch(),
+    fullResources: {},
+    fullPerStar: perStar(),
+    fullStarTally: emptyStarTally(numStars),
+    fullUnfinished: 0,
+    fullOverBudget: 0,
+    bareAttempts: sketch(),
+    bareGolds: sketch(),
+    bareReplacements: sketch(),
+    bareUnfinished: 0,
+  };
+}
+
+export function appendStreamData(into, from) {
+  for (const key of Object.keys(into)) {
+    if (key === "sketch") continue;
+    if (key.endsWith("PerStar")) from[key].forEach((sk, i) => mergeSketch(into[key][i], sk));
+    else if (key.endsWith("StarTally")) addStarTally(into[key], from[key]);
+    else if (key.endsWith("Unfinished") || key.endsWith("OverBudget")) into[key] += from[key];
+    else if (key.endsWith("Resources")) {
+      for (const name in from[key]) mergeSketch((into[key][name] ??= emptySketch(into.sketch)), from[key][name]);
+    } else if (key === "fullOutcomes") OUTCOME_KINDS.forEach((k) => (into[key][k] += from[key][k]));
+    else mergeSketch(into[key], from[key]);
+  }
+  return into;
+}
+
+function addStreamRun(data, kind, r, goldPerItem) {
+  if (r.unfinished) data[`${kind}Unfinished`] += 1;
+  sketchAdd(data[`${kind}Attempts`], r.attempts);
+  sketchAdd(data[`${kind}Golds`], r.gold);
+  if (kind !== "stars") sketchAdd(data[`${kind}Replacements`], r.replacements);
+  if (kind === "bare") return;
+  if (kind === "full") OUTCOME_KINDS.forEach((k) => (data.fullOutcomes[k] += r.outcomes[k]));
+  if (r.budgetState) data[`${kind}OverBudget`] += 1;
+  sketchAdd(data[`${kind}Items`], r.protectionUsed);
+  sketchAdd(data[`${kind}Combined`], r.gold + r.protectionUsed * goldPerItem);
+  const resources = data[`${kind}Resources`];
+  for (const name in r.resources) sketchAdd((resources[name] ??= emptySketch(data.sketch)), r.resources[name]);
+  r.starAttempts.forEach((val, idx) => sketchAdd(data[`${kind}PerStar`][idx], val));
+  addStarTally(data[`${kind}StarTally`], r.starTally);
+}
+
+// One shard: interleaved stars‑only/full runs on one stream, then the
+// unprotected rerun from a fresh stream with the same seed. Emits chunks of
+// at most chunkSize runs through onChunk; with `sketch` (an alpha) the chunks
+// are stream data (see emptyStreamData) instead of per‑run records.
+export function runSingleShard(params, seed, trials, onChunk, { chunkSize = 2000, rng = DEFAULT_RNG, sketch = null } = {}) {
+  const numStars = params.numStars;
+  const fresh = () => (sketch ? emptyStreamData(numStars, sketch) : emptyTrialData(numStars));
+  const goldPerItem = hasProtection(params) ? params.protection.goldPerItem : 0;
+  const add = sketch ? (kind, r) => addStreamRun(data, kind, r, goldPerItem) : (kind, r) => addTrialRun(data, kind, r);
+  let data = fresh();
+  let runs = 0;
+  const flush = () => {
+    onChunk(data);
+    data = fresh();
+    runs = 0;
+  };
+
+  const rand = createRng(seed, rng);
+  for (let t = 0; t < trials; t++) {
+    add("stars", simulateStarsOnly(params, rand));
+    add("full", simulateFullRun(params, rand));
+    if (++runs === chunkSize) flush();
+  }
+  if (runs) flush();
+
+  if (!hasProtection(params)) return;
+  const bare = { ...params, protection: null };
+  const bareRand = createRng(seed, rng);
+  for (let t = 0; t < trials; t++) {
+    add("bare", simulateFullRun(bare, bareRand));
+    if (++runs === chunkSize) flush();
+  }
+  if (runs) flush();
+}
+
+// Message protocol shared by simWorker.js and the inline fallback:
+// { type: "analysis", wcStars, wcFull, exact } (when asked), then
+// { type: "chunk", data } repeatedly, then { type: "done" }.
+export function runShardJob({ params, seed, rng, trials, analyze, sketch }, post) {
+  if (analyze) {
+    post({ type: "analysis", wcStars: worstCaseStarsOnly(params), wcFull: worstCaseFull(params), exact: exactSolve(params) });
+  }
+  runSingleShard(params, seed, trials, (data) => post({ type: "chunk", data }), { rng, sketch });
+  post({ type: "done" });
+}
+
+// ------------------------------------------------------------
+// Public API (headless)
+// ------------------------------------------------------------
+// validateParams → runTrials → summarizeTrials is all a caller needs for a
+// single‑upgrade Monte Carlo; the app's workers produce the same data shard by
+// shard, so runTrials(params, { seed, shards }) matches a run with that many workers.
+export const MAX_STARS = 10;
+
+// Problems with a params object as [{ field, message }]; empty when usable
+export function validateParams(params) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const checkProb = (field, v) => {
+    if (!isNum(v) || v < 0 || v > 1) fail(field, "must be a probability between 0 and 1");
+  };
+  const checkCount = (field, v, min = 0) => {
+    if (!Number.isInteger(v) || v < min) fail(field, `must be a whole number ≥ ${min}`);
+  };
+  const checkAmount = (field, v) => {
+    if (!isNum(v) || v < 0) fail(field, "must be a non‑negative number");
+  };
+
+  if (!params || typeof params !== "object") return [{ field: "params", message: "must be an object" }];
+  const { numStars } = params;
+  if (!Number.isInteger(numStars) || numStars < 1 || numStars > MAX_STARS) fail("numStars", `must be a whole number from 1 to ${MAX_STARS}`);
+  if (!Array.isArray(params.starProbs) || params.starProbs.length !== numStars) {
+    fail("starProbs", "must list one probability per star");
+  } else {
+    params.starProbs.forEach((p, i) => checkProb(`starProbs[${i}]`, p));
+  }
+  checkProb("finalProb", params.finalProb);
+  if (params.level !== undefined) checkCount("level", params.level);
+  checkCount("starPityThreshold", params.starPityThreshold);
+  checkCount("finalPityThreshold", params.finalPityThreshold);
+  if (params.starPityThresholds !== undefined) {
+    if (!Array.isArray(params.starPityThresholds) || params.starPityThresholds.length !== numStars) {
+      fail("starPityThresholds", "must list one threshold per star");
+    } else {
+      params.starPityThresholds.forEach((t, i) => checkCount(`starPityThresholds[${i}]`, t));
+    }
+  }
+  const st = params.startState;
+  if (st) {
+    if (!Number.isInteger(st.stars) || st.stars < 0 || st.stars > numStars) fail("startState.stars", `must be a whole number from 0 to ${numStars}`);
+    if (!Array.isArray(st.starPity)) fail("startState.starPity", "must list the star pity counters");
+    else {
+      st.starPity.forEach((c, k) => checkCount(`startState.starPity[${k}]`, c));
+      // a held star's last attempt succeeded, which emptied its own counter
+      if (!(params.pityModel && params.pityModel.kind === "shared") && st.starPity.slice(0, st.stars).some((c) => c > 0)) {
+        fail("startState.starPity", "must be 0 for stars already held");
+      }
+    }
+    checkCount("startState.finalPity", st.finalPity);
+  }
+  const sf = params.starFailure;
+  if (sf) {
+    if (!STAR_FAILURE_KINDS.includes(sf.kind)) fail("starFailure.kind", `must be one of ${STAR_FAILURE_KINDS.join(", ")}`);
+    if (sf.kind === "checkpoint") checkCount("starFailure.checkpoint", sf.checkpoint);
+    if (sf.kind === "keepChance") checkProb("starFailure.keepProb", sf.keepProb);
+  }
+  const pm = params.pityModel;
+  if (pm) {
+    if (!PITY_MODELS.includes(pm.kind)) fail("pityModel.kind", `must be one of ${PITY_MODELS.join(", ")}`);
+    if (pm.kind === "soft") {
+      checkCount("pityModel.softStart", pm.softStart);
+      checkProb("pityModel.softStep", pm.softStep);
+      checkProb("pityModel.softCap", pm.softCap);
+    }
+  }
+
+  if (params.maxRunAttempts !== undefined) checkCount("maxRunAttempts", params.maxRunAttempts, 1);
+
+  if (params.costs) {
+    // costPlan merges entries that share a name, so a repeat (or a second "gold") would fold two
+    // columns into one; each repeat is reported once, at the first list it shows up in
+    const repeats = new Set();
+    const checkList = (field, list) => {
+      if (!Array.isArray(list)) return fail(field, "must be a list of { resource, amount }");
+      list.forEach((c, j) => {
+        if (!c || typeof c.resource !== "string" || !c.resource) fail(`${field}[${j}].resource`, "must be a resource name");
+        else if (list.findIndex((d) => d && d.resource === c.resource) < j && !repeats.has(`${j}:${c.resource}`)) {
+          repeats.add(`${j}:${c.resource}`);
+          fail(`${field}[${j}].resource`, c.resource === "gold" ? 'is reserved: "gold" is the base gold cost' : `repeats "${c.resource}"; resource names must be unique`);
+        }
+        checkAmount(`${field}[${j}].amount`, c && c.amount);
+      });
+    };
+    checkList("costs.final", params.costs.final);
+    if (!Array.isArray(params.costs.stars) || !params.costs.stars.length) fail("costs.stars", "must list costs for at least one star");
+    else params.costs.stars.forEach((list, i) => checkList(`costs.stars[${i}]`, list));
+  } else {
+    checkAmount("goldPerAttempt", params.goldPerAttempt ?? 0);
+  }
+  for (const [name, rate] of Object.entries(params.exchangeRates || {})) checkAmount(`exchangeRates.${name}`, rate);
+
+  let outcomeTotal = 0;
+  (params.finalFailOutcomes || []).forEach((o, j) => {
+    const field = `finalFailOutcomes[${j}]`;
+    if (!OUTCOME_KINDS.includes(o.kind)) return fail(`${field}.kind`, `must be one of ${OUTCOME_KINDS.join(", ")}`);
+    checkProb(`${field}.prob`, o.prob);
+    outcomeTotal += isNum(o.prob) ? o.prob : 0;
+    if (o.kind === "drop") checkCount(`${field}.levels`, o.levels, 1);
+    if (o.kind === "break") checkAmount(`${field}.replacementCost`, o.replacementCost ?? 0);
+  });
+  if (outcomeTotal > 1 + 1e-9) fail("finalFailOutcomes", "probabilities must add up to at most 1");
+
+  const pr = params.protection;
+  if (pr) {
+    checkCount("protection.fromStar", pr.fromStar);
+    checkAmount("protection.itemsPerUse", pr.itemsPerUse);
+    checkAmount("protection.goldPerItem", pr.goldPerItem);
+  }
+  const b = params.budget;
+  if (b) {
+    if (b.kind !== "attempts" && b.kind !== "gold") fail("budget.kind", 'must be "attempts" or "gold"');
+    checkAmount("budget.amount", b.amount);
+  }
+  return errors;
+}
+
+export function assertValidParams(params) {
+  const errors = validateParams(params);
+  if (errors.length) throw new Error("Invalid params: " + errors.map((e) => `${e.field} ${e.message}`).join("; "));
+}
+
+// Monte Carlo data (see emptyTrialData) for `trials` runs split over `shards`;
+// stream data (see emptyStreamData) with sketch percentiles of error `sketch`
+export function runTrials(params, { trials, seed = 1, shards = 1, rng = DEFAULT_RNG, sketch = null }) {
+  assertValidParams(params);
+  const data = sketch ? emptyStreamData(params.numStars, sketch) : emptyTrialData(params.numStars);
+  const append = sketch ? appendStreamData : appendTrialData;
+  shardTrials(trials, shards).forEach((n, k) => {
+    runSingleShard(params, shardSeed(seed, k), n, (chunk) => append(data, chunk), { rng, sketch });
+  });
+  return data;
+}
+
+// Summaries (see summarizeRuns), per‑star stats and diagnostics, attempt histograms and
+// attempt/gold distributions (see distributionOf) for runTrials data, and
+// `unfinished`: the runs of each kind that hit the attempt cap.
+// Histograms use binSize when given, else an adaptive width.
+export function summarizeTrials(params, data, binSize = null) {
+  if (data.sketch) return summarizeStream(params, data, binSize);
+  const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+  const items = hasProtection(params);
+  const goldPerItem = items ? params.protection.goldPerItem : 0;
+  const distributions = {
+    stars: { attempts: distributionOf(data.starsAttempts, "attempts", binSize), gold: distributionOf(data.starsGolds, "gold") },
+    full: { attempts: distributionOf(data.fullAttempts, "attempts", binSize), gold: distributionOf(data.fullGolds, "gold") },
+  };
+  return {
+    stars: items
+      ? summarizeRuns(data.starsAttempts, data.starsGolds, data.starsItems, goldPerItem)
+      : summarizeRuns(data.starsAttempts, data.starsGolds),
+    full: items ? summarizeRuns(data.fullAttempts, data.fullGolds, data.fullItems, goldPerItem) : summarizeRuns(data.fullAttempts, data.fullGolds),
+    bare: data.bareAttempts.length ? summarizeRuns(data.bareAttempts, data.bareGolds) : null,
+    starsPerStar: perStarStats(data.starsPerStar),
+    fullPerStar: perStarStats(data.fullPerStar),
+    starsStarDiagnostics: starDiagnostics(params, data.starsPerStar.map(sum), data.starsStarTally, sum(data.starsGolds)),
+    fullStarDiagnostics: starDiagnostics(params, data.fullPerStar.map(sum), data.fullStarTally, sum(data.fullGolds)),
+    starsHistogram: distributions.stars.attempts.histogram,
+    fullHistogram: distributions.full.attempts.histogram,
+    distributions,
+    unfinished: { stars: data.starsUnfinished, full: data.fullUnfinished, bare: data.bareUnfinished },
+  };
+}
+
+// summarizeTrials for stream data: same shape, percentiles from the sketches,
+// plus sketchError (the alpha they are good to) and sketchBuckets (the largest
+// sketch's size, a measure of the memory used)
+function summarizeStream(params, data, binSize) {
+  const items = hasProtection(params);
+  const summarize = (attempts, golds, itemsSk, combined) => {
+    const q = (sk, p) => sketchQuantile(sk, p);
+    return {
+      ...(itemsSk && {
+        meanItems: itemsSk.mean,
+        p90Items: q(itemsSk, 0.9),
+        p99Items: q(itemsSk, 0.99),
+        meanCombined: combined.mean,
+        p90Combined: q(combined, 0.9),
+        p99Combined: q(combined, 0.99),
+      }),
+      meanAttempts: attempts.mean,
+      sdAttempts: sketchSd(attempts),
+      medianAttempts: q(attempts, 0.5),
+      p90Attempts: q(attempts, 0.9),
+      p99Attempts: q(attempts, 0.99),
+      meanGold: golds.mean,
+      medianGold: q(golds, 0.5),
+      p90Gold: q(golds, 0.9),
+      p99Gold: q(golds, 0.99),
+    };
+  };
+  const perStar = (sketches) =>
+    sketches.map((sk, i) => ({
+      star: i + 1,
+      mean: sk.mean,
+      p50: sketchQuantile(sk, 0.5),
+      p90: sketchQuantile(sk, 0.9),
+      p99: sketchQuantile(sk, 0.99),
+    }));
+  const total = (sk) => sk.mean * sk.n;
+  const attemptTotals = (sketches) => sketches.map((sk) => Math.round(total(sk)));
+  const distributions = {
+    stars: { attempts: sketchDistribution(data.starsAttempts, "attempts", binSize), gold: sketchDistribution(data.starsGolds, "gold") },
+    full: { attempts: sketchDistribution(data.fullAttempts, "attempts", binSize), gold: sketchDistribution(data.fullGolds, "gold") },
+  };
+  const sizes = Object.values(data).flatMap((v) => (v?.bins ? [v] : []));
+  return {
+    stars: summarize(data.starsAttempts, data.starsGolds, items && data.starsItems, data.starsCombined),
+    full: summarize(data.fullAttempts, data.fullGolds, items && data.fullItems, data.fullCombined),
+    bare: data.bareAttempts.n ? summarize(data.bareAttempts, data.bareGolds) : null,
+    starsPerStar: perStar(data.starsPerStar),
+    fullPerStar: perStar(data.fullPerStar),
+    starsStarDiagnostics: starDiagnostics(params, attemptTotals(data.starsPerStar), data.starsStarTally, total(data.starsGolds)),
+    fullStarDiagnostics: starDiagnostics(params, attemptTotals(data.fullPerStar), data.fullStarTally, total(data.fullGolds)),
+    starsHistogram: distributions.stars.attempts.histogram,
+    fullHistogram: distributions.full.attempts.histogram,
+    distributions,
+    unfinished: { stars: data.starsUnfinished, full: data.fullUnfinished, bare: data.bareUnfinished },
+    sketchError: data.sketch,
+    sketchBuckets: Math.max(...sizes.map((sk) => Object.keys(sk.bins).length + (sk.zeros ? 1 : 0))),
+  };
+}
+
+// One seeded full run, attempt by attempt, for the replay panel. Each event is
+// what simulateFullRun reports plus its 1‑based attempt number and the gold
+// spent so far; re‑climbs after a drop appear inline with their own level.
+// Runs longer than maxEvents stop early with truncated: true.
+export function traceFullRun(params, { seed = 1, rng = DEFAULT_RNG, maxEvents = 5000 } = {}) {
+  const pity = pityRules(params);
+  const events = [];
+  const stop = new Error("trace limit");
+  let gold = 0;
+  const onEvent = (ev) => {
+    if (events.length === maxEvents) throw stop;
+    gold += ev.cost;
+    events.push({ ...ev, attempt: events.length + 1, gold });
+  };
+  let truncated = false;
+  try {
+    simulateFullRun(params, createRng(seed, rng), sameLevelParams(params), onEvent);
+  } catch (err) {
+    if (err !== stop) throw err;
+    truncated = true;
+  }
+  // fail counts that guarantee each star and the final (Infinity = never), for pity meters
+  return { seed, events, truncated, shared: pity.shared, starAt: pity.starAt, finalAt: pity.finalAt };
+}
+
+// ------------------------------------------------------------
+// Monte Carlo Error
+// ------------------------------------------------------------
+// How far a Monte Carlo statistic may sit from the true value. Means use the
+// standard error (SD / √n); percentiles a bootstrap: resample the runs with
+// replacement, recompute the percentile, and read the spread of those
+// replicates. A resample is a count per run, so each replicate is one pass over
+// the runs in sorted order rather than a fresh sort.
+const Z95 = 1.959964;
+const BOOTSTRAP_PS = [0.5, 0.9, 0.99];
+const BOOTSTRAP_KEYS = ["median", "p90", "p99"];
+
+// percentile() of every p in BOOTSTRAP_PS for the resample where run i appears counts[i] times
+function resampledPercentiles(values, order, counts, n) {
+  const out = [];
+  let seen = 0;
+  let at = 0;
+  let lo = 0;
+  let pos = (n - 1) * BOOTSTRAP_PS[0];
+  for (let j = 0; j < order.length && at < BOOTSTRAP_PS.length; j++) {
+    const c = counts[order[j]];
+    if (!c) continue;
+    const v = values[order[j]];
+    seen += c;
+    // ranks seen-c .. seen-1 all hold v; settle every percentile they decide
+    while (at < BOOTSTRAP_PS.length) {
+      const base = Math.floor(pos);
+      if (seen <= base) break;
+      if (seen - c <= base) lo = v;
+      const rest = pos - base;
+      if (rest && seen <= base + 1) break; // the upper neighbour is a later run
+      out.push(lo + rest * (v - lo));
+      at += 1;
+      pos = (n - 1) * (BOOTSTRAP_PS[at] ?? 0);
+    }
+  }
+  return out;
+}
+
+// Standard error and central 95% of the bootstrap replicates
+function bootstrapInterval(replicates) {
+  const sorted = replicates.slice().sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  return { se: stdDev(sorted, mean), lo: percentile(sorted, 0.025), hi: percentile(sorted, 0.975) };
+}
+
+// { meanX, medianX, p90X, p99X } for X = Attempts and Gold, each { se, lo, hi }
+// with a 95% interval, under the keys summarizeRuns reports.
+export function monteCarloError(attemptsArr, goldArr, { resamples = 200, seed = 1 } = {}) {
+  const n = attemptsArr.length;
+  const out = {};
+  const series = [
+    ["Attempts", attemptsArr],
+    ["Gold", goldArr],
+  ];
+  const orders = series.map(([, values]) => Array.from(values.keys()).sort((a, b) => values[a] - values[b]));
+  const replicates = series.map(() => BOOTSTRAP_PS.map(() => []));
+  const rand = createRng(seed);
+  const counts = new Uint32Array(n);
+  for (let r = 0; r < resamples && n; r++) {
+    counts.fill(0);
+    for (let k = 0; k < n; k++) counts[Math.floor(rand() * n)] += 1;
+    series.forEach(([, values], s) => resampledPercentiles(values, orders[s], counts, n).forEach((v, q) => replicates[s][q].push(v)));
+  }
+  series.forEach(([name, values], s) => {
+    const mean = values.reduce((a, b) => a + b, 0) / (n || 1);
+    const se = n ? stdDev(values, mean) / Math.sqrt(n) : 0;
+    out[`mean${name}`] = { se, lo: mean - Z95 * se, hi: mean + Z95 * se };
+    BOOTSTRAP_KEYS.forEach((key, q) => {
+      out[`${key}${name}`] = replicates[s][q].length ? bootstrapInterval(replicates[s][q]) : { se: 0, lo: 0, hi: 0 };
+    });
+  });
+  return out;
+}
+
+// Running mean and its 95% band after each of `points` evenly spaced trial counts
+export function runningMean(values, points = 100) {
+  const out = [];
+  let mean = 0;
+  let m2 = 0; // Welford: sum of squared deviations
+  let next = 1;
+  for (let k = 0; k < values.length; k++) {
+    const delta = values[k] - mean;
+    mean += delta / (k + 1);
+    m2 += delta * (values[k] - mean);
+    if (k + 1 === next || k + 1 === values.length) {
+      const se = k ? Math.sqrt(m2 / k / (k + 1)) : 0;
+      out.push({ trials: k + 1, mean, lo: mean - Z95 * se, hi: mean + Z95 * se });
+      next = Math.max(k + 2, Math.round(((out.length + 1) * values.length) / points));
+    }
+  }
+  return out;
+}
+
+// Trials needed for the 95% interval on the mean of `values` (per‑run values
+// or their sketch) to reach ± relWidth of that mean, judged from the runs so far
+export function trialsForPrecision(values, relWidth) {
+  const n = Array.isArray(values) ? values.length : values.n;
+  const mean = Array.isArray(values) ? values.reduce((a, b) => a + b, 0) / (n || 1) : values.mean;
+  if (n < 2 || !(mean > 0)) return n;
+  const sd = Array.isArray(values) ? stdDev(values, mean) : sketchSd(values);
+  return Math.ceil(((Z95 * sd) / (relWidth * mean)) ** 2);
+}
+
+// ------------------------------------------------------------
+// Live Session
+// ------------------------------------------------------------
+// Tracks a real upgrade attempt by attempt. A session is a startState plus what
+// getting there cost: { stars, starPity, finalPity, attempts, gold, done }.
+export function newSession(params) {
+  return { ...startOf({ ...params, startState: undefined }), attempts: 0, gold: 0, done: false };
+}
+
+// The attempt a session faces next: { star (null = final), rate, guaranteed, pity, at, price, guarded }
+export function nextAttempt(params, session) {
+  const pity = pityRules(params);
+  const { priced } = costPlan(params);
+  const i = session.stars;
+  if (i < params.numStars) {
+    const fails = session.starPity[pity.slot(i)] || 0;
+    const guarded = isStarProtected(params, i);
+    return {
+      star: i,
+      rate: pity.starRate(i, fails),
+      guaranteed: fails >= pity.starAt[i],
+      pity: fails,
+      at: pity.starAt[i],
+      price: priced[i],
+      guarded,
+    };
+  }
+  const fails = session.finalPity;
+  const guarded = isFinalProtected(params);
+  return { star: null, rate: pity.finalRate(fails), guaranteed: fails >= pity.finalAt, pity: fails, at: pity.finalAt, price: priced[i], guarded };
+}
+
+// The session after its next attempt succeeds or fails. keptStars records a
+// fail that kept every star (a keep chance that came through); otherwise stars
+// drop as the failure behavior says. A final success marks the session done.
+export function applyAttempt(params, session, { success, keptStars = false }) {
+  const pity = pityRules(params);
+  const next = nextAttempt(params, session);
+  const spent = { attempts: session.attempts + 1, gold: session.gold + next.price };
+  const keeps = keptStars || (next.guarded && params.protection.preventsWipe);
+  let starPity = session.starPity.slice();
+  const failReset = () => {
+    if (params.starPityResetsOnAnyFail) starPity = starPity.map(() => 0);
+  };
+
+  if (next.star === null) {
+    if (success) return { ...session, ...spent, done: true };
+    failReset();
+    const stars = keeps ? session.stars : starsAfterFail(params, params.numStars, null);
+    return { ...session, ...spent, stars, starPity, finalPity: session.finalPity + 1 };
+  }
+  const k = pity.slot(next.star);
+  if (success) {
+    starPity[k] = 0;
+    return { ...session, ...spent, stars: session.stars + 1, starPity };
+  }
+  starPity[k] += 1;
+  failReset();
+  const stars = keeps ? session.stars : starsAfterFail(params, session.stars, null);
+  return { ...session, ...spent, stars, starPity };
+}
+
+// ------------------------------------------------------------
+// Rate Estimation (attempt logs)
+// ------------------------------------------------------------
+// A log of real attempts, one per row: { level, star (0‑based, null = final),
+// pity (fails on that counter before the attempt), success }. As text it is
+// CSV with a header row (level, star, pity, success; star 1..N or "final") or
+// a JSON array of objects with the same keys (star numbered the same way).
+const LOG_TRUE = new Set(["1", "true", "yes", "y", "s", "success", "ok"]);
+const LOG_FALSE = new Set(["0", "false", "no", "n", "f", "fail", "failure"]);
+
+function logRow(raw) {
+  const get = (k) =>
+    String(raw[k] ?? "")
+      .trim()
+      .toLowerCase();
+  const level = Number(get("level"));
+  const star = get("star");
+  const pity = Number(get("pity"));
+  const success = get("success") || get("result");
+  if (!Number.isInteger(level) || level < 0) return { error: `level must be a whole number, got "${raw.level ?? ""}"` };
+  if (star !== "final" && !(Number.isInteger(Number(star)) && Number(star) >= 1))
+    return { error: `star must be 1, 2, … or "final", got "${raw.star ?? ""}"` };
+  if (!Number.isInteger(pity) || pity < 0) return { error: `pity must be a whole number ≥ 0, got "${raw.pity ?? ""}"` };
+  if (!LOG_TRUE.has(success) && !LOG_FALSE.has(success)) return { error: `success must be success/fail, 1/0 or true/false, got "${success}"` };
+  return { row: { level, star: star === "final" ? null : Number(star) - 1, pity, success: LOG_TRUE.has(success) } };
+}
+
+// Rows of a CSV or JSON attempt log: { rows, errors: [{ line, message }] }
+export function parseAttemptLog(text) {
+  const trimmed = String(text).trim();
+  let records; // [line, raw object]
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      return { rows: [], errors: [{ line: 0, message: `not valid JSON: ${err.message}` }] };
+    }
+    const list = Array.isArray(data) ? data : data.attempts;
+    if (!Array.isArray(list)) return { rows: [], errors: [{ line: 0, message: "expected an array of attempts" }] };
+    records = list.map((raw, i) => [i + 1, raw && typeof raw === "object" ? raw : {}]);
+  } else {
+    const lines = trimmed.split(/\r?\n/);
+    const split = (line) => line.split(/[,\t;]/).map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+    const header = split(lines[0]).map((h) => h.toLowerCase());
+    const missing = ["level", "star", "pity"].filter((k) => !header.includes(k));
+    if (!header.includes("success") && !header.includes("result")) missing.push("success");
+    if (missing.length) return { rows: [], errors: [{ line: 1, message: `header is missing ${missing.join(", ")}` }] };
+    records = [];
+    lines.slice(1).forEach((line, i) => {
+      if (!line.trim()) return;
+      const cells = split(line);
+      records.push([i + 2, Object.fromEntries(header.map((h, c) => [h, cells[c]]))]);
+    });
+  }
+  const rows = [];
+  const errors = [];
+  for (const [line, raw] of records) {
+    const { row, error } = logRow(raw);
+    if (error) errors.push({ line, message: error });
+    else rows.push(row);
+  }
+  return { rows, errors };
+}
+
+// Wilson score interval for x successes in n trials
+function wilsonInterval(x, n, z) {
+  const z2 = z * z;
+  const center = (x + z2 / 2) / (n + z2);
+  const half = (z * Math.sqrt((x * (n - x)) / n + z2 / 4)) / (n + z2);
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// Per‑star and final success rate estimates from logged attempts at params.level.
+// Attempts the pity rules guaranteed say nothing about the rate and are set
+// aside (a logged failure among them is counted as a contradiction), as are
+// attempts whose rate a soft pity ramp had raised above the base. Each target
+// gets { star, configured, used, successes, rate, lo, hi, agrees, guaranteed,
+// boosted, contradictions }: rate is null and agrees null when nothing is usable,
+// otherwise agrees says whether the configured rate lies inside the interval.
+export function estimateRates(params, rows, z = 1.96) {
+  const pity = pityRules(params);
+  const targets = [...params.starProbs.map((p, i) => ({ star: i, configured: p })), { star: null, configured: params.finalProb }].map((t) => ({
+    ...t,
+    used: 0,
+    successes: 0,
+    guaranteed: 0,
+    boosted: 0,
+    contradictions: 0,
+  }));
+  let otherLevels = 0;
+  let outOfRange = 0;
+  for (const r of rows) {
+    if (r.level !== params.level) otherLevels += 1;
+    else if (r.star !== null && r.star >= params.numStars) outOfRange += 1;
+    else {
+      const final = r.star === null;
+      const t = targets[final ? params.numStars : r.star];
+      if (r.pity >= (final ? pity.finalAt : pity.starAt[r.star])) {
+        t.guaranteed += 1;
+        if (!r.success) t.contradictions += 1;
+      } else if ((final ? pity.finalRate(r.pity) : pity.starRate(r.star, r.pity)) > t.configured) t.boosted += 1;
+      else {
+        t.used += 1;
+        if (r.success) t.successes += 1;
+      }
+    }
+  }
+  return {
+    level: params.level,
+    otherLevels,
+    outOfRange,
+    targets: targets.map((t) => {
+      if (!t.used) return { ...t, rate: null, lo: 0, hi: 1, agrees: null };
+      const [lo, hi] = wilsonInterval(t.successes, t.used, z);
+      return { ...t, rate: t.successes / t.used, lo, hi, agrees: t.configured >= lo && t.configured <= hi };
+    }),
+  };
+}
+
+// ------------------------------------------------------------
+// Diagnostics
+// ------------------------------------------------------------
+// Sanity checks shown behind the app's "Run Diagnostics" button and asserted
+// by the unit tests. Each returns { name, pass, detail }.
+export function diagnosticChecks() {
+  const out = [];
+  const gold = 100;
+
+  // p=1 everywhere
+  {
+    const params = {
+      goldPerAttempt: gold,
+      starProbs: [1, 1, 1],
+      finalProb: 1,
+      starPityThreshold: 6,
+      finalPityThreshold: 6,
+      starPityResetsOnAnyFail: false,
+      numStars: 3,
+    };
+    const rng = createLCG(1);
+    const s = simulateStarsOnly(params, rng);
+    const f = simulateFullRun(params, rng);
+    const perStarOk = JSON.stringify(s.starAttempts) === JSON.stringify([1, 1, 1]) && JSON.stringify(f.starAttempts) === JSON.stringify([1, 1, 1]);
+    out.push({
+      name: "p=1 deterministic (3 stars)",
+      pass: s.attempts === 3 && f.attempts === 4 && perStarOk,
+      detail: `stars=${s.attempts} (exp 3), full=${f.attempts} (exp 4), perStarOK=${perStarOk}`,
+    });
+  }
+
+  // p=0 equals worst‑case (2 stars, pity=2)
+  {
+    const params = {
+      goldPerAttempt: gold,
+      starProbs: [0, 0],
+      finalProb: 0,
+      starPityThreshold: 2,
+      finalPityThreshold: 2,
+      starPityResetsOnAnyFail: false,
+      numStars: 2,
+    };
+    const rng = createLCG(42);
+    const f = simulateFullRun(params, rng);
+    const wc = worstCaseFull(params);
+    out.push({
+      name: "p=0 equals worst‑case (2 stars)",
+      pass: f.attempts === wc.attempts,
+      detail: `full=${f.attempts}, worst=${wc.attempts}`,
+    });
+  }
+
+  return out;
+}
+
+// ------------------------------------------------------------
+// RNG Self‑Check
+// ------------------------------------------------------------
+// Basic uniformity tests for a generator, and whether simulated attempts
+// succeed as often as their rates say. Checks are { name, pass, detail } like
+// diagnosticChecks. Thresholds sit near p = 0.001, so a sound generator fails
+// one only about once in a thousand seeds.
+const Z_999 = 3.29;
+const CHI2_99DF_999 = 148.23; // χ² critical value, 99 degrees of freedom
+
+function chiSquare(counts, expected) {
+  return counts.reduce((sum, c) => sum + ((c - expected) * (c - expected)) / expected, 0);
+}
+
+export function rngChecks(kind, seed, draws = 200000) {
+  const rand = createRng(seed, kind);
+  const bins = Array(100).fill(0);
+  const grid = Array(100).fill(0); // non‑overlapping pairs on a 10×10 grid
+  let outside = 0;
+  let sum = 0;
+  let sumSq = 0;
+  let lagSum = 0;
+  let sameBit = 0;
+  let prev = 0;
+  let prevBit = 0;
+  for (let k = 0; k < draws; k++) {
+    const u = rand();
+    if (!(u >= 0 && u < 1)) outside += 1;
+    const v = Math.min(Math.max(u, 0), 1 - Number.EPSILON);
+    bins[Math.floor(v * 100)] += 1;
+    if (k % 2) grid[Math.floor(prev * 10) * 10 + Math.floor(v * 10)] += 1;
+    const bit = Math.floor(v * TWO_32) & 1;
+    if (k) {
+      lagSum += prev * v;
+      if (bit === prevBit) sameBit += 1;
+    }
+    sum += v;
+    sumSq += v * v;
+    prev = v;
+    prevBit = bit;
+  }
+  const mean = sum / draws;
+  const zMean = (mean - 0.5) / Math.sqrt(1 / 12 / draws);
+  const variance = sumSq / draws - mean * mean;
+  const lag1 = (lagSum / (draws - 1) - mean * mean) / variance;
+  const chiBins = chiSquare(bins, draws / 100);
+  const chiGrid = chiSquare(grid, Math.floor(draws / 2) / 100);
+  const zBit = (sameBit - (draws - 1) / 2) / Math.sqrt((draws - 1) / 4);
+  const fmt = (v) => v.toFixed(2);
+  return [
+    { name: "Draws stay in [0, 1)", pass: outside === 0, detail: `${outside} of ${draws} outside` },
+    { name: "Mean ≈ 1/2", pass: Math.abs(zMean) < Z_999, detail: `mean=${mean.toFixed(5)}, z=${fmt(zMean)}` },
+    { name: "Uniform over 100 bins (χ²)", pass: chiBins < CHI2_99DF_999, detail: `χ²=${fmt(chiBins)} (limit ${CHI2_99DF_999})` },
+    { name: "Pairs uniform on a 10×10 grid (χ²)", pass: chiGrid < CHI2_99DF_999, detail: `χ²=${fmt(chiGrid)} (limit ${CHI2_99DF_999})` },
+    { name: "No lag‑1 correlation", pass: Math.abs(lag1 * Math.sqrt(draws)) < Z_999, detail: `r=${lag1.toFixed(5)}` },
+    {
+      name: "Lowest output bit independent of the previous one",
+      pass: Math.abs(zBit) < Z_999,
+      detail: `${((100 * sameBit) / (draws - 1)).toFixed(2)}% repeats, z=${fmt(zBit)}`,
+    },
+  ];
+}
+
+// Successes per star and final over simulated full runs against the sum of the
+// rates those attempts had (guaranteed attempts left out). Stops after maxEvents
+// attempts so rates that never succeed cannot hang it.
+export function rateFrequencyChecks(params, { seed = 1, rng = DEFAULT_RNG, runs = 500, maxEvents = 2000000 } = {}) {
+  const tally = Array.from({ length: params.numStars + 1 }, () => ({ attempts: 0, successes: 0, expected: 0, variance: 0 }));
+  const stop = new Error("event limit");
+  let events = 0;
+  const onEvent = (ev) => {
+    if (++events > maxEvents) throw stop;
+    if (ev.level !== params.level || ev.guaranteed) return;
+    const t = tally[ev.star === null ? params.numStars : ev.star];
+    t.attempts += 1;
+    t.expected += ev.rate;
+    t.variance += ev.rate * (1 - ev.rate);
+    if (ev.success) t.successes += 1;
+  };
+  const rand = createRng(seed, rng);
+  const levelParams = sameLevelParams(params);
+  try {
+    for (let r = 0; r < runs; r++) simulateFullRun(params, rand, levelParams, onEvent);
+  } catch (err) {
+    if (err !== stop) throw err;
+  }
+  return tally.map((t, i) => {
+    const z = t.variance ? (t.successes - t.expected) / Math.sqrt(t.variance) : 0;
+    return {
+      name: `${i === params.numStars ? "Final" : `Star ${i + 1}`} successes match its rate`,
+      pass: Math.abs(z) < Z_999 && (t.variance > 0 || t.successes === t.expected),
+      detail: `${t.successes} of ${t.attempts} vs ${t.expected.toFixed(1)} expected, z=${z.toFixed(2)}`,
+    };
+  });
+}
+
+// ------------------------------------------------------------
+// Parameter Sweep
+// ------------------------------------------------------------
+// Metrics a sweep can chart, all for the full upgrade. pSuccess needs params.budget.
+export const SWEEP_METRICS = {
+  meanGold: { label: "Mean gold", lowerIsBetter: true, kind: "gold" },
+  p90Gold: { label: "P90 gold", lowerIsBetter: true, kind: "gold" },
+  meanAttempts: { label: "Mean attempts", lowerIsBetter: true, kind: "attempts" },
+  p90Attempts: { label: "P90 attempts", lowerIsBetter: true, kind: "attempts" },
+  p99Attempts: { label: "P99 attempts", lowerIsBetter: true, kind: "attempts" },
+  pSuccess: { label: "P(success within budget)", lowerIsBetter: false, kind: "share", needsBudget: true },
+};
+
+// Full‑upgrade runs only (no stars‑only pass). Callers restart the same seed
+// for every setting they compare, so differences come from the parameters.
+function fullRuns(params, trials, seed, kind) {
+  const rng = createRng(seed, kind);
+  const attempts = [];
+  const golds = [];
+  let within = 0;
+  for (let t = 0; t < trials; t++) {
+    const f = simulateFullRun(params, rng);
+    attempts.push(f.attempts);
+    golds.push(f.gold);
+    if (!f.budgetState) within += 1;
+  }
+  return { attempts, golds, within };
+}
+
+// One grid point of a sweep
+export function sweepPointMetric(params, { trials, seed, rng, metric }) {
+  const runs = fullRuns(params, trials, seed, rng);
+  if (metric === "pSuccess") return runs.within / trials;
+  return summarizeRuns(runs.attempts, runs.golds)[metric];
+}
+
+// Sweep job: { kind: "sweep", points: [{ index, params }], trials, seed, rng, metric }.
+// Posts { type: "point", index, value } per point, then { type: "done" }.
+export function runSweepJob({ points, trials, seed, rng, metric }, post) {
+  for (const { index, params } of points) {
+    post({ type: "point", index, value: sweepPointMetric(params, { trials, seed, rng, metric }) });
+  }
+  post({ type: "done" });
+}
+
+// ------------------------------------------------------------
+// Goal Seek
+// ------------------------------------------------------------
+// Sweep metrics plus the deterministic worst case, which only pity moves.
+export const SEEK_METRICS = {
+  ...SWEEP_METRICS,
+  worstAttempts: { label: "Worst‑case attempts", lowerIsBetter: true, kind: "attempts", worstCase: true },
+  worstGold: { label: "Worst‑case gold", lowerIsBetter: true, kind: "gold", worstCase: true },
+};
+
+function seekMetric(params, metric, { trials, seed, rng }) {
+  if (metric === "worstAttempts") return worstCaseFull(params).attempts;
+  if (metric === "worstGold") return worstCaseFull(params).gold;
+  return sweepPointMetric(params, { trials, seed, rng, metric });
+}
+
+// Full‑upgrade summary at a solved value (same runs the search used)
+export function seekSummary(params, { trials, seed, rng }) {
+  const runs = fullRuns(params, trials, seed, rng);
+  const wc = worstCaseFull(params);
+  return {
+    ...summarizeRuns(runs.attempts, runs.golds),
+    pSuccess: params.budget ? runs.within / trials : null,
+    worst: { attempts: wc.attempts, gold: wc.gold },
+  };
+}
+
+// Bisection for the bound where `metric` crosses `target` ("meets" = at most the
+// target for costs, at least for pSuccess). Assumes the metric moves one way
+// across [lo, hi]; the shared seed keeps Monte Carlo noise from breaking that.
+// Returns the value closest to the crossing that still meets the target, or
+// { ok: false, reason } when both bounds are on the same side. onStep sees
+// every evaluation as { value, metric }.
+export function goalSeek(paramsAt, { lo, hi, integer, metric, target, trials, seed, rng, tolerance = 1e-4 }, onStep = () => {}) {
+  const def = SEEK_METRICS[metric];
+  const meets = (m) => (def.lowerIsBetter ? m <= target : m >= target);
+  const evalAt = (value) => {
+    const m = seekMetric(paramsAt(value), metric, { trials, seed, rng });
+    onStep({ value, metric: m });
+    return meets(m);
+  };
+
+  const loMeets = evalAt(lo);
+  const hiMeets = evalAt(hi);
+  if (loMeets === hiMeets) {
+    return {
+      ok: false,
+      reason: loMeets
+        ? "Both bounds already meet the target; widen the range to find the crossing."
+        : "Neither bound meets the target; widen the range.",
+    };
+  }
+
+  let good = loMeets ? lo : hi;
+  let bad = loMeets ? hi : lo;
+  const tol = integer ? 1 : tolerance;
+  while (Math.abs(good - bad) > tol) {
+    const mid = integer ? Math.floor((good + bad) / 2) : (good + bad) / 2;
+    if (mid === good || mid === bad) break;
+    if (evalAt(mid)) good = mid;
+    else bad = mid;
+  }
+  return { ok: true, value: good, summary: seekSummary(paramsAt(good), { trials, seed, rng }) };
+}
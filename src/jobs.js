@@ -0,0 +1,37 @@
+// ------------------------------------------------------------
+// Worker Jobs
+// ------------------------------------------------------------
+// Message protocol shared by simWorker.js and the app's inline fallback. Every
+// job posts its own messages and ends with { type: "done" }.
+import { runShardJob, runPathJob, runSweepJob, goalSeek, monteCarloError } from "./engine.js";
+import { SWEEP_PARAMS, scenarioParams } from "./scenario.js";
+
+// Seek job: { kind: "seek", scenario, param, lo, hi, metric, target, trials, seed, rng }.
+// Posts { type: "step", value, metric } per evaluation, then { type: "result", result }.
+export function runSeekJob({ scenario, param, ...opts }, post) {
+  const def = SWEEP_PARAMS[param];
+  const paramsAt = (v) => scenarioParams(def.apply(scenario, v));
+  const result = goalSeek(paramsAt, { ...opts, integer: def.integer }, (step) => post({ type: "step", ...step }));
+  post({ type: "result", result });
+  post({ type: "done" });
+}
+
+// Precision job: { kind: "precision", stars, full, seed } where stars/full are
+// { attempts, golds } per run. Posts { type: "precision", stars, full } holding
+// monteCarloError of each (the bootstrap is too slow for the page's thread).
+export function runPrecisionJob({ stars, full, seed }, post) {
+  post({
+    type: "precision",
+    stars: monteCarloError(stars.attempts, stars.golds, { seed }),
+    full: monteCarloError(full.attempts, full.golds, { seed }),
+  });
+  post({ type: "done" });
+}
+
+export function runWorkerJob(job, post) {
+  if (job.kind === "sweep") runSweepJob(job, post);
+  else if (job.kind === "seek") runSeekJob(job, post);
+  else if (job.kind === "precision") runPrecisionJob(job, post);
+  else if (job.kind === "path") runPathJob(job, post);
+  else runShardJob(job, post);
+}
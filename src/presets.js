@@ -0,0 +1,97 @@
+import { MAX_STARS, suggestedStarsForLevel } from "./engine.js";
+import { normalizeScenario } from "./scenario.js";
+
+// ------------------------------------------------------------
+// Preset Profiles
+// ------------------------------------------------------------
+// A profile holds one game version's (or server's) rules as level bands:
+// { name, bands: [{ from, stars, starRate, finalRate, starPity, finalPity, starCost, finalCost }] }.
+// A band covers +from up to the next band's from; levels below the first band
+// use the first. Costs are gold per attempt.
+export const BAND_FIELDS = {
+  from: { label: "From +L", kind: "level" },
+  stars: { label: "Stars", kind: "stars" },
+  starRate: { label: "Star rate", kind: "prob" },
+  finalRate: { label: "Final rate", kind: "prob" },
+  starPity: { label: "Star pity", kind: "count" },
+  finalPity: { label: "Final pity", kind: "count" },
+  starCost: { label: "Star cost", kind: "gold" },
+  finalCost: { label: "Final cost", kind: "gold" },
+};
+
+const FIELD_CHECKS = {
+  level: [(v) => Number.isInteger(v) && v >= 0, "a whole number ≥ 0"],
+  stars: [(v) => Number.isInteger(v) && v >= 1 && v <= MAX_STARS, `a whole number from 1 to ${MAX_STARS}`],
+  prob: [(v) => v >= 0 && v <= 1, "a probability between 0 and 1"],
+  count: [(v) => Number.isInteger(v) && v >= 0, "a whole number ≥ 0"],
+  gold: [(v) => v >= 0, "≥ 0"],
+};
+
+// The built‑in rules: 3 stars up to +15, 4 up to +19, 5 from +20, every rate
+// 20%, pity 6 and 270,000 gold per attempt
+const DEFAULT_BAND = { starRate: 0.2, finalRate: 0.2, starPity: 6, finalPity: 6, starCost: 270000, finalCost: 270000 };
+export const DEFAULT_PROFILE = {
+  name: "Default",
+  bands: [0, 16, 20].map((from) => ({ from, stars: suggestedStarsForLevel(from), ...DEFAULT_BAND })),
+};
+
+// Checked copy with bands sorted by level; throws on anything unusable
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Profile must be a JSON object.");
+  const name = String(raw.name ?? "").trim();
+  if (!name) throw new Error("Profile needs a name.");
+  if (!Array.isArray(raw.bands) || !raw.bands.length) throw new Error("Profile needs at least one level band.");
+  const bands = raw.bands.map((b, i) => {
+    const band = {};
+    for (const [key, { label, kind }] of Object.entries(BAND_FIELDS)) {
+      const v = Number(b?.[key]);
+      const [ok, expected] = FIELD_CHECKS[kind];
+      if (b?.[key] === undefined || b[key] === "" || !Number.isFinite(v) || !ok(v)) {
+        throw new Error(`Band ${i + 1}: ${label} must be ${expected}.`);
+      }
+      band[key] = v;
+    }
+    return band;
+  });
+  bands.sort((a, b) => a.from - b.from);
+  const dup = bands.find((b, i) => i && b.from === bands[i - 1].from);
+  if (dup) throw new Error(`Two bands start at +${dup.from}.`);
+  return { name, bands };
+}
+
+export function bandForLevel(profile, level) {
+  return profile.bands.reduce((found, b) => (b.from <= level ? b : found), profile.bands[0]);
+}
+
+// New path levels (see syncPathSteps) take every rule from their own band
+export function profileStepTemplate(profile) {
+  return (level) => {
+    const b = bandForLevel(profile, level);
+    return {
+      numStars: b.stars,
+      starRate: b.starRate,
+      finalProb: b.finalRate,
+      starPityThreshold: b.starPity,
+      finalPityThreshold: b.finalPity,
+      goldPerAttempt: b.starCost,
+      finalGoldPerAttempt: b.finalCost,
+    };
+  };
+}
+
+// The scenario with stars, rates, pity and gold costs set from the band for its
+// fromLevel; other resources' costs and every other input are kept
+export function profileScenario(sc, profile) {
+  const b = bandForLevel(profile, Number(sc.fromLevel));
+  const withGold = (row, gold) => row.map((v, k) => (k === 0 ? gold : v)); // gold is always the first resource
+  return normalizeScenario({
+    ...sc,
+    starsRequired: b.stars,
+    starProbs: Array(b.stars).fill(b.starRate),
+    finalProb: b.finalRate,
+    starPityThreshold: b.starPity,
+    finalPityThreshold: b.finalPity,
+    pity: { ...sc.pity, starThresholds: Array(b.stars).fill(b.starPity) },
+    costs: { ...sc.costs, stars: sc.costs.stars.map((row) => withGold(row, b.starCost)), final: withGold(sc.costs.final, b.finalCost) },
+  });
+}
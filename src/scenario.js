@@ -0,0 +1,230 @@
+import { DEFAULT_RNG, MAX_RUN_ATTEMPTS, PERCENTILE_MODES, RNG_KINDS, suggestedStarsForLevel, syncPathSteps } from "./engine.js";
+
+// ------------------------------------------------------------
+// Scenario Serialization (URL hash + JSON file)
+// ------------------------------------------------------------
+// A scenario is the complete input set; with the same seed it reproduces the
+// same results. Bump SCENARIO_VERSION when the shape changes and migrate older
+// versions in normalizeScenario.
+//   2 — adds rng; version 1 scenarios ran on the legacy LCG and keep it.
+export const SCENARIO_VERSION = 2;
+
+// The app keeps an emptied number input as NaN, which JSON writes as null.
+// Scenarios keep that null so a reloaded scenario still fails validation on
+// the field instead of reading it as 0.
+const num = (v) => (v === null ? NaN : Number(v));
+
+const SCENARIO_DEFAULTS = {
+  version: SCENARIO_VERSION,
+  fromLevel: 18,
+  starsRequired: suggestedStarsForLevel(18),
+  starProbs: Array(suggestedStarsForLevel(18)).fill(0.2),
+  finalProb: 0.2,
+  starPityThreshold: 6,
+  finalPityThreshold: 6,
+  starPityResetsOnAnyFail: false,
+  pity: {
+    model: "hard",
+    perStar: false,
+    starThresholds: Array(suggestedStarsForLevel(18)).fill(6),
+    softStart: 0,
+    softStep: 0.05,
+    softCap: 1,
+    hardGuarantee: true,
+  },
+  starFailure: { kind: "wipe", checkpoint: 3, keepProb: 0.5 },
+  trials: 20000,
+  autoTrials: { on: false, precision: 0.01 },
+  seed: 12345,
+  rng: DEFAULT_RNG,
+  percentiles: "exact",
+  maxRunAttempts: MAX_RUN_ATTEMPTS,
+  workers: 1,
+  costs: { resources: [{ name: "gold", rate: 1 }], stars: Array.from({ length: 10 }, () => [270000]), final: [270000] },
+  failureOutcomes: { dropProb: 0, dropLevels: 1, breakProb: 0, breakCost: 0 },
+  protection: { fromStar: 0, final: false, preventsWipe: true, preventsOutcome: true, itemsPerUse: 1, goldPerItem: 0 },
+  budget: { kind: "none", amount: 500 },
+  mode: "single",
+  path: { target: 22, steps: [] },
+  sweep: {
+    x: { param: "finalProb", from: 0.15, to: 0.35, step: 0.05 },
+    y: { param: "none", from: 3, to: 10, step: 1 },
+    metric: "meanGold",
+    trials: 2000,
+  },
+  seek: { param: "finalProb", lo: 0.05, hi: 0.95, metric: "meanAttempts", target: 1000, trials: 4000 },
+};
+
+// Fill missing fields with defaults and fix up array lengths; throws on unusable input.
+export function normalizeScenario(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Scenario must be a JSON object.");
+  const version = Number(raw.version ?? SCENARIO_VERSION);
+  if (version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${version} is newer than this app supports (${SCENARIO_VERSION}).`);
+  }
+  const d = SCENARIO_DEFAULTS;
+  const section = (key) => ({ ...d[key], ...(raw[key] && typeof raw[key] === "object" ? raw[key] : {}) });
+  const sc = {
+    ...d,
+    ...raw,
+    version: SCENARIO_VERSION,
+    costs: section("costs"),
+    failureOutcomes: section("failureOutcomes"),
+    protection: section("protection"),
+    budget: section("budget"),
+    pity: section("pity"),
+    starFailure: section("starFailure"),
+    path: section("path"),
+    sweep: section("sweep"),
+    seek: section("seek"),
+    autoTrials: section("autoTrials"),
+  };
+  if (version < 2) sc.rng = "lcg";
+  if (!RNG_KINDS[sc.rng]) throw new Error(`Unknown RNG "${sc.rng}".`);
+  if (!PERCENTILE_MODES[sc.percentiles]) throw new Error(`Unknown percentile mode "${sc.percentiles}".`);
+
+  const resize = (arr, n, fill) => {
+    const out = Array.isArray(arr) ? arr.slice(0, n) : [];
+    while (out.length < n) out.push(out.length ? out[out.length - 1] : fill);
+    return out;
+  };
+  const stars = Math.max(1, Math.min(10, Number(sc.starsRequired) || d.starsRequired));
+  sc.starsRequired = sc.starsRequired === null ? null : stars;
+  sc.starProbs = resize(sc.starProbs, stars, 0.2);
+  sc.pity.starThresholds = resize(sc.pity.starThresholds, stars, sc.starPityThreshold);
+
+  const width = sc.costs.resources.length;
+  const costRow = (row) =>
+    Array.from({ length: width }, (_, r) => (Array.isArray(row) && row[r] !== undefined ? (row[r] === null ? null : Number(row[r])) : 0));
+  sc.costs = {
+    resources: sc.costs.resources,
+    stars: resize(sc.costs.stars, 10, d.costs.stars[0]).map(costRow),
+    final: costRow(sc.costs.final),
+  };
+
+  if (Array.isArray(sc.path.steps) && sc.path.steps.length) {
+    // steps saved before finals had a gold cost of their own
+    sc.path = { ...sc.path, steps: sc.path.steps.map((st) => ({ finalGoldPerAttempt: st.goldPerAttempt, ...st })) };
+  } else {
+    sc.path = {
+      ...sc.path,
+      steps: syncPathSteps([], Number(sc.fromLevel), Math.max(Number(sc.fromLevel) + 1, Number(sc.path.target)), {
+        starRate: num(sc.starProbs[0]),
+        finalProb: num(sc.finalProb),
+        starPityThreshold: num(sc.starPityThreshold),
+        finalPityThreshold: num(sc.finalPityThreshold),
+        goldPerAttempt: num(sc.costs.stars[0][0]),
+        finalGoldPerAttempt: num(sc.costs.final[0]),
+      }),
+    };
+  }
+  return sc;
+}
+
+export const DEFAULT_SCENARIO = normalizeScenario(SCENARIO_DEFAULTS);
+
+// Engine params for the single-upgrade settings of a scenario
+export function scenarioParams(sc) {
+  const numStars = num(sc.starsRequired);
+  const entries = (row) => sc.costs.resources.map((r, k) => ({ resource: r.name, amount: row[k] === undefined ? 0 : num(row[k]) }));
+  const fo = sc.failureOutcomes;
+  const pr = sc.protection;
+  const pity = sc.pity;
+  const starThreshold = (i) => num(i < pity.starThresholds.length ? pity.starThresholds[i] : sc.starPityThreshold);
+  return {
+    costs: { stars: sc.costs.stars.slice(0, numStars).map(entries), final: entries(sc.costs.final) },
+    exchangeRates: Object.fromEntries(sc.costs.resources.map((r) => [r.name, num(r.rate)])),
+    starProbs: sc.starProbs.slice(0, numStars).map(num),
+    finalProb: num(sc.finalProb),
+    starPityThreshold: num(sc.starPityThreshold),
+    finalPityThreshold: num(sc.finalPityThreshold),
+    starPityResetsOnAnyFail: sc.starPityResetsOnAnyFail,
+    maxRunAttempts: num(sc.maxRunAttempts),
+    ...(pity.perStar && pity.model !== "shared"
+      ? { starPityThresholds: Array.from({ length: numStars }, (_, i) => starThreshold(i)) }
+      : {}),
+    starFailure: {
+      kind: sc.starFailure.kind,
+      checkpoint: Math.max(0, Math.floor(num(sc.starFailure.checkpoint))),
+      keepProb: num(sc.starFailure.keepProb),
+    },
+    pityModel: {
+      kind: pity.model,
+      softStart: num(pity.softStart),
+      softStep: num(pity.softStep),
+      softCap: num(pity.softCap),
+      hardGuarantee: pity.hardGuarantee,
+    },
+    numStars,
+    level: num(sc.fromLevel),
+    finalFailOutcomes: [
+      { kind: "drop", prob: num(fo.dropProb), levels: Math.max(1, Math.floor(num(fo.dropLevels))) },
+      { kind: "break", prob: num(fo.breakProb), replacementCost: num(fo.breakCost) },
+    ],
+    protection: {
+      fromStar: Math.max(0, Math.floor(num(pr.fromStar))),
+      final: pr.final,
+      preventsWipe: pr.preventsWipe,
+      preventsOutcome: pr.preventsOutcome,
+      itemsPerUse: num(pr.itemsPerUse),
+      goldPerItem: num(pr.goldPerItem),
+    },
+    budget: sc.budget.kind === "none" ? null : { kind: sc.budget.kind, amount: num(sc.budget.amount) },
+  };
+}
+
+export function encodeScenarioHash(scenario) {
+  const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return "#s=" + btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// null when the hash holds no scenario; throws when it holds a broken one
+export function decodeScenarioHash(hash) {
+  const m = /^#s=([A-Za-z0-9_-]+)$/.exec(hash || "");
+  if (!m) return null;
+  const bin = atob(m[1].replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+  return normalizeScenario(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+// ------------------------------------------------------------
+// Sweep Parameters
+// ------------------------------------------------------------
+// Inputs a sweep can vary; apply() returns the scenario with that value set,
+// which is also what clicking a heatmap cell loads into the form.
+export const SWEEP_PARAMS = {
+  starRate: {
+    label: "Star rate (all stars)",
+    integer: false,
+    range: { from: 0.1, to: 0.3, step: 0.02 },
+    apply: (sc, v) => ({ ...sc, starProbs: sc.starProbs.map(() => v) }),
+  },
+  finalProb: { label: "Final rate", integer: false, range: { from: 0.15, to: 0.35, step: 0.05 }, apply: (sc, v) => ({ ...sc, finalProb: v }) },
+  starPityThreshold: {
+    label: "Star pity threshold",
+    integer: true,
+    range: { from: 3, to: 10, step: 1 },
+    apply: (sc, v) => ({ ...sc, starPityThreshold: v, pity: { ...sc.pity, starThresholds: sc.pity.starThresholds.map(() => v) } }),
+  },
+  finalPityThreshold: {
+    label: "Final pity threshold",
+    integer: true,
+    range: { from: 3, to: 10, step: 1 },
+    apply: (sc, v) => ({ ...sc, finalPityThreshold: v }),
+  },
+};
+
+export const MAX_SWEEP_STEPS = 41;
+
+// Inclusive from..to in steps; [] when the range is unusable
+export function sweepValues({ from, to, step }, integer) {
+  const a = num(from);
+  const b = num(to);
+  const d = num(step);
+  if (![a, b, d].every(Number.isFinite) || d <= 0 || b < a) return [];
+  const n = Math.min(MAX_SWEEP_STEPS, Math.floor((b - a) / d + 1e-9) + 1);
+  const values = Array.from({ length: n }, (_, i) => Number((a + i * d).toFixed(10)));
+  return integer ? [...new Set(values.map(Math.round))] : values;
+}
@@ -0,0 +1,6 @@
+// Web Worker: runs one job from jobs.js (Monte Carlo shard, path shard, sweep slice or goal seek).
+import { runWorkerJob } from "./jobs.js";
+
+self.onmessage = (e) => {
+  runWorkerJob(e.data, (msg) => self.postMessage(msg));
+};
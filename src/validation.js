@@ -0,0 +1,118 @@
+import { MAX_RUN_ATTEMPTS, WORST_CASE_MAX_STEPS, unreachableSuccesses, validateParams } from "./engine.js";
+
+// ------------------------------------------------------------
+// Input Validation (before any run)
+// ------------------------------------------------------------
+// checkParams(params) → { errors, warnings, blocked }. errors are what
+// validateParams finds, warnings ({ field, message, blocking }) are settings
+// that run but misbehave; a blocking one (a run that can never finish) stops
+// the run like an error. Fields are params paths (starProbs[2], finalProb, …)
+// so the app can show each message under its input. Only cheap checks run
+// here (the app calls it on every edit); see capWarning for the worst case.
+// `run` ({ trials, workers }, either optional) adds the run settings' checks.
+export function checkParams(params, run = {}) {
+  const errors = [...validateParams(params), ...checkRun(run)];
+  if (errors.length) return { errors, warnings: [], blocked: true };
+
+  const warnings = [];
+  const stuck = unreachableSuccesses(params);
+  stuck.stars.forEach((i) => {
+    const why = params.starPityResetsOnAnyFail
+      ? "resetting star pity on any fail keeps its counter at 0"
+      : params.pityModel?.kind === "shared"
+        ? `every rebuild of star ${i} empties the shared pool first`
+        : "no pity threshold guarantees it";
+    warnings.push({
+      field: `starProbs[${i}]`,
+      message: `Star ${i + 1} can never succeed: its rate is 0 and ${why}. This configuration never terminates.`,
+      blocking: true,
+    });
+  });
+  if (stuck.final) {
+    warnings.push({
+      field: "finalProb",
+      message: "The final upgrade can never succeed: its rate is 0 and no pity threshold guarantees it. This configuration never terminates.",
+      blocking: true,
+    });
+  }
+  return { errors, warnings, blocked: warnings.some((w) => w.blocking) };
+}
+
+// Trial and worker counts are not engine params; fields are "trials" and "workers"
+function checkRun({ trials, workers }) {
+  const errors = [];
+  if (trials !== undefined && !(Number.isFinite(trials) && trials >= 1)) errors.push({ field: "trials", message: "must be at least 1" });
+  if (workers !== undefined && !(Number.isInteger(workers) && workers >= 1)) errors.push({ field: "workers", message: "must be a whole number ≥ 1" });
+  return errors;
+}
+
+// The settings a run reads besides the engine params: the seed and what `mode`
+// (path, sweep or seek) adds. Fields are scenario keys (seed, path.target,
+// sweep.x.from, seek.trials, …); an emptied box (NaN, or null once saved) is
+// an error like any other.
+export function checkSettings(sc, mode = sc.mode) {
+  const errors = [];
+  const number = (field, v) => {
+    if (!Number.isFinite(v)) errors.push({ field, message: "must be a number" });
+  };
+  const count = (field, v) => {
+    if (!(Number.isInteger(v) && v >= 1)) errors.push({ field, message: "must be a whole number ≥ 1" });
+  };
+  number("seed", sc.seed);
+  if (mode === "path") count("path.target", sc.path.target);
+  if (mode === "sweep") {
+    for (const axis of sc.sweep.y.param === "none" ? ["x"] : ["x", "y"]) {
+      for (const f of ["from", "to", "step"]) number(`sweep.${axis}.${f}`, sc.sweep[axis][f]);
+    }
+    count("sweep.trials", sc.sweep.trials);
+  }
+  if (mode === "seek") {
+    for (const f of ["lo", "hi", "target"]) number(`seek.${f}`, sc.seek[f]);
+    count("seek.trials", sc.seek.trials);
+  }
+  return { errors, warnings: [], blocked: errors.length > 0 };
+}
+
+// The non‑blocking warning for a worst case (worstCaseFull, which can take
+// seconds, so it comes from the run's analysis) above the attempt cap, or null.
+// A worst case too large to compute warns the same way instead of blocking.
+export function capWarning(params, worstFull) {
+  const cap = params.maxRunAttempts ?? MAX_RUN_ATTEMPTS;
+  if (worstFull.tooLarge) {
+    const steps = WORST_CASE_MAX_STEPS.toLocaleString("en-US");
+    const above =
+      cap < WORST_CASE_MAX_STEPS ? `, above the ${cap.toLocaleString("en-US")}‑attempt cap; runs that reach the cap are counted as did not finish` : "";
+    return { field: "maxRunAttempts", message: `The worst case is too large to compute (over ${steps} attempts)${above}.`, blocking: false };
+  }
+  const worst = worstFull.attempts;
+  if (!Number.isFinite(worst) || worst <= cap) return null;
+  return {
+    field: "maxRunAttempts",
+    message: `The worst case takes ${worst.toLocaleString("en-US")} attempts, above the ${cap.toLocaleString("en-US")}‑attempt cap; runs that reach the cap are counted as did not finish.`,
+    blocking: false,
+  };
+}
+
+// checkParams over every level of a path (see pathLevelParams); fields start
+// with the level ("+19 finalProb") and warnings name it. `run` is checked once for the whole path.
+export function checkPath(stepParams, run = {}) {
+  const checks = stepParams.map((p) => checkParams(p));
+  const levels = (key, tag) => checks.flatMap((c, j) => c[key].map((issue) => tag(issue, stepParams[j].level)));
+  const runErrors = checkRun(run);
+  return {
+    errors: [...levels("errors", (e, L) => ({ ...e, field: `+${L} ${e.field}` })), ...runErrors],
+    warnings: levels("warnings", (w, L) => ({ ...w, field: `+${L} ${w.field}`, message: `+${L} → +${L + 1}: ${w.message}` })),
+    blocked: runErrors.length > 0 || checks.some((c) => c.blocked),
+  };
+}
+
+// The messages for one field; errors always block
+export function fieldIssues(check, field) {
+  const at = (issue) => issue.field === field;
+  return [...check.errors.filter(at).map((e) => ({ ...e, blocking: true })), ...check.warnings.filter(at)];
+}
+
+// What stops the run as text (empty when nothing does)
+export function blockingText(check, separator = "; ") {
+  return [...check.errors.map((e) => `${e.field} ${e.message}`), ...check.warnings.filter((w) => w.blocking).map((w) => w.message)].join(separator);
+}
@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { main } from "../src/cli.js";
+import { DEFAULT_SCENARIO } from "../src/scenario.js";
+import { runTrials, summarizeTrials, worstCaseStarsOnly } from "../src/engine.js";
+import { scenarioParams } from "../src/scenario.js";
+
+test("json output matches the engine for the same seed", () => {
+  const { code, stdout } = main(["--trials", "500", "--seed", "9", "--format", "json"]);
+  assert.equal(code, 0);
+  const report = JSON.parse(stdout);
+  const params = scenarioParams(DEFAULT_SCENARIO);
+  const summary = summarizeTrials(params, runTrials(params, { trials: 500, seed: 9 }));
+  assert.equal(report.monteCarlo.full.meanAttempts, summary.full.meanAttempts);
+  assert.equal(report.perStar.stars.length, DEFAULT_SCENARIO.starsRequired);
+  assert.equal(report.scenario.toLevel, 19);
+});
+
+test("flags override the scenario file", () => {
+  const dir = mkdtempSync(join(tmpdir(), "enhance-sim-"));
+  const file = join(dir, "scenario.json");
+  writeFileSync(file, JSON.stringify({ ...DEFAULT_SCENARIO, fromLevel: 15, starsRequired: 3, starProbs: [0.5, 0.5, 0.5] }));
+  const report = JSON.parse(main(["--scenario", file, "--final-rate", "1", "--trials", "100", "--format", "json"]).stdout);
+  assert.equal(report.scenario.fromLevel, 15);
+  assert.equal(report.scenario.numStars, 3);
+  // a guaranteed final means exactly one final per run on top of the star attempts
+  const starMeans = report.perStar.full.reduce((a, r) => a + r.mean, 0);
+  assert.ok(Math.abs(report.monteCarlo.full.meanAttempts - (starMeans + 1)) < 1e-9);
+});
+
+test("--star-pity also replaces per‑star thresholds from the scenario file", () => {
+  const dir = mkdtempSync(join(tmpdir(), "enhance-sim-"));
+  const file = join(dir, "scenario.json");
+  writeFileSync(file, JSON.stringify({ ...DEFAULT_SCENARIO, pity: { ...DEFAULT_SCENARIO.pity, perStar: true, starThresholds: [9, 9, 9, 9] } }));
+  const report = JSON.parse(main(["--scenario", file, "--star-rates", "0", "--star-pity", "2", "--trials", "20", "--format", "json"]).stdout);
+  // at rate 0 every star waits out its threshold, so the worst case shows which thresholds applied
+  assert.equal(
+    report.worstCase.stars.attempts,
+    worstCaseStarsOnly(scenarioParams({ ...DEFAULT_SCENARIO, starProbs: [0, 0, 0, 0], starPityThreshold: 2 })).attempts
+  );
+});
+
+test("--from without --stars uses the suggested star count", () => {
+  const report = JSON.parse(main(["--from", "20", "--trials", "50", "--format", "json"]).stdout);
+  assert.equal(report.scenario.numStars, 5);
+});
+
+test("--profile sets the level's band before other flags", () => {
+  const dir = mkdtempSync(join(tmpdir(), "enhance-sim-"));
+  const file = join(dir, "profile.json");
+  const band = { starRate: 0.5, finalRate: 0.5, starPity: 3, finalPity: 3, starCost: 10, finalCost: 20 };
+  writeFileSync(
+    file,
+    JSON.stringify({
+      name: "Test",
+      bands: [
+        { from: 0, stars: 2, ...band },
+        { from: 30, stars: 7, ...band },
+      ],
+    })
+  );
+  const report = JSON.parse(main(["--profile", file, "--from", "31", "--final-rate", "1", "--trials", "50", "--format", "json"]).stdout);
+  assert.equal(report.scenario.numStars, 7);
+  const { meanAttempts, meanGold } = report.monteCarlo.full;
+  assert.ok(Math.abs(meanGold - (meanAttempts * 10 + 10)) < 1e-6); // stars at 10 gold, one final at 20
+});
+
+test("unbounded worst cases become null in JSON and Infinity in CSV", () => {
+  const args = ["--reset-on-fail", "--trials", "50"];
+  assert.equal(JSON.parse(main([...args, "--format", "json"]).stdout).worstCase.full.attempts, null);
+  assert.match(main([...args, "--format", "csv"]).stdout, /^worst_case,full,,attempts,Infinity$/m);
+});
+
+test("csv has one value per line under a fixed header", () => {
+  const lines = main(["--stars", "2", "--star-rates", "0.3,0.4", "--trials", "50", "--format", "csv"]).stdout.trim().split("\n");
+  assert.equal(lines[0], "section,process,star,metric,value");
+  assert.ok(lines.slice(1).every((l) => l.split(",").length === 5));
+  assert.ok(lines.includes("per_star,build,2,mean," + lines.find((l) => l.startsWith("per_star,build,2,mean,")).split(",")[4]));
+});
+
+test("--percentiles sketch reports its error bound", () => {
+  const report = JSON.parse(main(["--percentiles", "sketch", "--trials", "500", "--seed", "9", "--format", "json"]).stdout);
+  assert.equal(report.scenario.percentileError, 0.005);
+  assert.match(main(["--percentiles", "sketch", "--trials", "50"]).stdout, /^Percentiles from a sketch: within ±0\.5% of exact/m);
+  assert.equal(JSON.parse(main(["--trials", "50", "--format", "json"]).stdout).scenario.percentileError, undefined);
+});
+
+test("runs past --max-attempts are reported as did not finish", () => {
+  const args = ["--star-rates", "0.05", "--star-pity", "10", "--max-attempts", "30", "--trials", "40"];
+  const report = JSON.parse(main([...args, "--format", "json"]).stdout);
+  assert.equal(report.scenario.unfinished.full, 40);
+  assert.equal(report.monteCarlo.full.meanAttempts, 30);
+  assert.match(report.warnings[0], /above the 30‑attempt cap/);
+  assert.match(main(args).stdout, /^Did not finish \(hit the 30‑attempt cap\): 40 build and 40 full‑upgrade runs/m);
+  assert.equal(JSON.parse(main(["--trials", "50", "--format", "json"]).stdout).scenario.unfinished, undefined);
+});
+
+test("a worst case too large to compute is reported instead of hanging", () => {
+  const args = ["--stars", "10", "--star-pity", "20", "--trials", "10"];
+  const report = JSON.parse(main([...args, "--format", "json"]).stdout);
+  assert.equal(report.worstCase.full.tooLarge, true);
+  assert.equal(report.worstCase.full.attempts, null);
+  assert.match(report.warnings[0], /too large to compute/);
+  assert.match(main(args).stdout, /^Attempts +too large +too large$/m);
+});
+
+test("bad input exits 1 with a message", () => {
+  for (const args of [
+    ["--stars", "11"],
+    ["--final-rate", "abc"],
+    ["--final-rate", "2"],
+    ["--format", "xml"],
+    ["--bogus"],
+    ["--percentiles", "approx"],
+    ["--star-rates", "0", "--reset-on-fail"],
+    ["--max-attempts", "0"],
+  ]) {
+    const { code, stderr } = main(args);
+    assert.equal(code, 1, args.join(" "));
+    assert.match(stderr, /^enhance-sim: /);
+  }
+});
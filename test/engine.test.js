@@ -0,0 +1,881 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createLCG,
+  createRng,
+  pcg32Uint32,
+  rngChecks,
+  rateFrequencyChecks,
+  RNG_KINDS,
+  percentile,
+  makeHistogram,
+  binSizeFor,
+  cdfPoints,
+  emptySketch,
+  sketchAdd,
+  mergeSketch,
+  sketchQuantile,
+  sketchSd,
+  simulateStarsOnly,
+  simulateFullRun,
+  worstCaseStarsOnly,
+  worstCaseFull,
+  unreachableSuccesses,
+  exactSolve,
+  validateParams,
+  runShardJob,
+  runPathShard,
+  runPathJob,
+  pathLevelParams,
+  emptyPathData,
+  appendPathData,
+  simulatePath,
+  runTrials,
+  summarizeTrials,
+  diagnosticChecks,
+  shardSeed,
+  sweepPointMetric,
+  goalSeek,
+  traceFullRun,
+  newSession,
+  nextAttempt,
+  applyAttempt,
+  parseAttemptLog,
+  estimateRates,
+  monteCarloError,
+  runningMean,
+  trialsForPrecision,
+} from "../src/engine.js";
+
+// Plain gold‑only params; overrides win
+function makeParams(overrides = {}) {
+  const numStars = overrides.numStars ?? 3;
+  return {
+    goldPerAttempt: 100,
+    starProbs: Array(numStars).fill(0.2),
+    finalProb: 0.2,
+    starPityThreshold: 6,
+    finalPityThreshold: 6,
+    starPityResetsOnAnyFail: false,
+    numStars,
+    ...overrides,
+  };
+}
+
+// ------------------------------------------------------------
+// Existing diagnostics
+// ------------------------------------------------------------
+for (const check of diagnosticChecks()) {
+  test(`diagnostic: ${check.name}`, () => {
+    assert.ok(check.pass, check.detail);
+  });
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+test("createLCG is deterministic per seed and stays in [0, 1]", () => {
+  const a = createLCG(12345);
+  const b = createLCG(12345);
+  for (let i = 0; i < 1000; i++) {
+    const x = a();
+    assert.equal(x, b());
+    assert.ok(x >= 0 && x <= 1);
+  }
+  assert.notEqual(createLCG(1)(), createLCG(2)());
+});
+
+test("percentile interpolates between neighbours", () => {
+  const sorted = [10, 20, 30, 40];
+  assert.equal(percentile(sorted, 0), 10);
+  assert.equal(percentile(sorted, 1), 40);
+  assert.equal(percentile(sorted, 0.5), 25);
+  assert.equal(percentile([], 0.5), 0);
+});
+
+test("makeHistogram bins by floor and sorts bins", () => {
+  assert.deepEqual(makeHistogram([12, 3, 4, 7, 14], 5), [
+    { attempts: 0, runs: 2 },
+    { attempts: 5, runs: 1 },
+    { attempts: 10, runs: 2 },
+  ]);
+});
+
+test("makeHistogram can fill empty bins and name its key", () => {
+  assert.deepEqual(makeHistogram([250, 0, 130], 50, { key: "gold", fillGaps: true }), [
+    { gold: 0, runs: 1 },
+    { gold: 50, runs: 0 },
+    { gold: 100, runs: 1 },
+    { gold: 150, runs: 0 },
+    { gold: 200, runs: 0 },
+    { gold: 250, runs: 1 },
+  ]);
+});
+
+test("binSizeFor rounds the Freedman–Diaconis width and caps the bin count", () => {
+  const sorted = Array.from({ length: 1000 }, (_, i) => i);
+  // IQR 499.5 → 2 · 499.5 / 10 ≈ 99.9 → 100
+  assert.equal(binSizeFor(sorted), 100);
+  const tail = [...sorted, 1e6];
+  assert.ok(1e6 / binSizeFor(tail) <= 80);
+  assert.equal(binSizeFor([3, 3, 3]), 1);
+  // 2 · 1 / ∛5 ≈ 1.17 → 2
+  assert.equal(binSizeFor([0, 0.5, 1, 1.5, 2], { integer: false }), 2);
+});
+
+test("cdfPoints counts ties and leaves the tail open at the maximum", () => {
+  const points = cdfPoints([1, 2, 2, 2, 5], 4);
+  assert.deepEqual(points, [
+    { x: 1, p: 0.2, tail: 0.8 },
+    { x: 2, p: 0.8, tail: 0.2 },
+    { x: 5, p: 1, tail: null },
+  ]);
+});
+
+// ------------------------------------------------------------
+// Streaming statistics
+// ------------------------------------------------------------
+test("sketch percentiles stay within alpha of exact ones; ends and moments are exact", () => {
+  const rand = createRng(3);
+  const values = Array.from({ length: 20000 }, () => Math.floor(-Math.log(1 - rand()) * 500));
+  const sk = emptySketch(0.01);
+  values.forEach((v) => sketchAdd(sk, v));
+  const sorted = [...values].sort((a, b) => a - b);
+  for (const p of [0.01, 0.1, 0.25, 0.5, 0.9, 0.99, 0.999]) {
+    const exact = percentile(sorted, p);
+    assert.ok(Math.abs(sketchQuantile(sk, p) - exact) <= 0.01 * exact + 1e-9, `p${p}`);
+  }
+  assert.equal(sketchQuantile(sk, 0), sorted[0]);
+  assert.equal(sketchQuantile(sk, 1), sorted.at(-1));
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  assert.ok(Math.abs(sk.mean - mean) < 1e-9 * mean);
+  assert.ok(Math.abs(sketchSd(sk) - Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1))) < 1e-6);
+  assert.ok(Object.keys(sk.bins).length < 1000);
+});
+
+test("merged sketches match one sketch of every value", () => {
+  const whole = emptySketch();
+  const parts = [emptySketch(), emptySketch(), emptySketch()];
+  for (let v = 0; v < 3000; v++) {
+    sketchAdd(whole, v * 7);
+    sketchAdd(parts[v % 3], v * 7);
+  }
+  const merged = parts.reduce(mergeSketch, emptySketch());
+  assert.deepEqual(merged.bins, whole.bins);
+  assert.equal(merged.zeros, 1);
+  assert.equal(merged.n, whole.n);
+  assert.ok(Math.abs(merged.mean - whole.mean) < 1e-9 && Math.abs(sketchSd(merged) - sketchSd(whole)) < 1e-6);
+});
+
+test("runTrials with a sketch summarizes like the exact path", () => {
+  const params = makeParams({
+    protection: { fromStar: 1, final: false, preventsWipe: true, preventsOutcome: true, itemsPerUse: 1, goldPerItem: 50 },
+  });
+  const opts = { trials: 3000, seed: 5, shards: 2 };
+  const exact = summarizeTrials(params, runTrials(params, opts));
+  const sketched = summarizeTrials(params, runTrials(params, { ...opts, sketch: 0.005 }));
+  assert.equal(sketched.sketchError, 0.005);
+  for (const kind of ["stars", "full", "bare"]) {
+    assert.deepEqual(Object.keys(sketched[kind]), Object.keys(exact[kind]));
+    for (const [k, v] of Object.entries(exact[kind])) assert.ok(Math.abs(sketched[kind][k] - v) <= 0.005 * v + 1e-6, `${kind}.${k}`);
+  }
+  assert.deepEqual(
+    sketched.fullStarDiagnostics.map((d) => d.attempts),
+    exact.fullStarDiagnostics.map((d) => d.attempts)
+  );
+  const runs = (hist) => hist.reduce((a, b) => a + b.runs, 0);
+  assert.ok(Math.abs(runs(sketched.fullHistogram) - 3000) < 1e-6);
+  assert.equal(sketched.distributions.full.attempts.cdf.at(-1).p, 1);
+});
+
+// ------------------------------------------------------------
+// Pity edge cases
+// ------------------------------------------------------------
+test("pity threshold 0 guarantees every attempt", () => {
+  const params = makeParams({ starProbs: [0, 0, 0], finalProb: 0, starPityThreshold: 0, finalPityThreshold: 0 });
+  const rng = createLCG(7);
+  assert.equal(simulateStarsOnly(params, rng).attempts, 3);
+  assert.equal(simulateFullRun(params, rng).attempts, 4);
+});
+
+test("pity threshold 1 with p=0 matches the worst case", () => {
+  const params = makeParams({ starProbs: [0, 0, 0], finalProb: 0, starPityThreshold: 1, finalPityThreshold: 1 });
+  const rng = createLCG(7);
+  assert.equal(simulateStarsOnly(params, rng).attempts, worstCaseStarsOnly(params).attempts);
+  assert.equal(simulateFullRun(params, rng).attempts, worstCaseFull(params).attempts);
+});
+
+test("a guaranteed attempt does not consume a random number", () => {
+  // Star pity 0: stars never roll, so only the final draws from the stream.
+  const params = makeParams({ starPityThreshold: 0, finalProb: 0.5 });
+  const rng = createLCG(99);
+  const ref = createLCG(99);
+  const f = simulateFullRun(params, rng);
+  let finals = 0;
+  for (;;) {
+    finals += 1;
+    if (ref() < 0.5) break;
+  }
+  assert.equal(f.attempts, 3 * finals + finals);
+});
+
+test("final pity carries across rebuilds", () => {
+  // stars guaranteed by pity 0, so the worst case takes the same path
+  const params = makeParams({ starProbs: [0, 0, 0], starPityThreshold: 0, finalProb: 0, finalPityThreshold: 3 });
+  const f = simulateFullRun(params, createLCG(1));
+  // three failed finals (each after a 3‑star rebuild), then a guaranteed one
+  assert.equal(f.attempts, 4 * 4);
+  assert.equal(worstCaseFull(params).attempts, 16);
+});
+
+// ------------------------------------------------------------
+// Reset‑on‑fail
+// ------------------------------------------------------------
+test("reset‑on‑fail makes the worst case infinite", () => {
+  const params = makeParams({ starPityResetsOnAnyFail: true });
+  assert.equal(worstCaseStarsOnly(params).attempts, Infinity);
+  assert.equal(worstCaseFull(params).gold, Infinity);
+});
+
+test("a worst case past the walk's step limit is reported as too large", () => {
+  const params = makeParams({ numStars: 10, starPityThreshold: 20 });
+  const full = worstCaseFull(params);
+  assert.equal(full.tooLarge, true);
+  assert.ok(Number.isNaN(full.attempts) && Number.isNaN(full.resources.gold));
+  assert.equal(worstCaseStarsOnly(params).tooLarge, true);
+  assert.equal(worstCaseFull(makeParams()).tooLarge, undefined);
+});
+
+test("reset‑on‑fail never costs fewer attempts on average", () => {
+  const base = makeParams({ starProbs: [0.3, 0.3, 0.3], starPityThreshold: 2 });
+  const withReset = { ...base, starPityResetsOnAnyFail: true };
+  const mean = (p) => summarizeTrials(p, runTrials(p, { trials: 4000, seed: 3 })).stars.meanAttempts;
+  assert.ok(mean(withReset) > mean(base));
+});
+
+test("reset‑on‑fail matches the exact solver", () => {
+  const params = makeParams({ starProbs: [0.4, 0.4, 0.4], finalProb: 0.4, starPityThreshold: 2, starPityResetsOnAnyFail: true });
+  const exact = exactSolve(params);
+  assert.ok(exact.stars.ok);
+  const mc = summarizeTrials(params, runTrials(params, { trials: 20000, seed: 11 }));
+  assert.ok(Math.abs(mc.stars.meanAttempts - exact.stars.mean) / exact.stars.mean < 0.03);
+});
+
+// ------------------------------------------------------------
+// Pity models
+// ------------------------------------------------------------
+const soft = (overrides = {}) => ({ kind: "soft", softStart: 0, softStep: 0.5, softCap: 1, hardGuarantee: false, ...overrides });
+const shared = { kind: "shared" };
+const protectFrom2 = { fromStar: 2, final: false, preventsWipe: true, preventsOutcome: true, itemsPerUse: 1, goldPerItem: 0 };
+
+test("per‑star thresholds guarantee each star separately", () => {
+  const params = makeParams({ starProbs: [0, 0, 0], finalProb: 0, starPityThresholds: [0, 1, 2], finalPityThreshold: 0 });
+  // thresholds 0/1/2: star 2 needs two climbs each time, star 3 three tries
+  assert.deepEqual(simulateStarsOnly(params, createLCG(1)).starAttempts, [6, 6, 3]);
+  assert.equal(worstCaseStarsOnly(params).attempts, 15);
+  assert.equal(simulateFullRun(params, createLCG(1)).attempts, worstCaseFull(params).attempts);
+});
+
+test("soft pity that ramps to 1 acts like a hard threshold", () => {
+  // +50% per fail from 0: the third attempt is certain, same as threshold 2
+  const ramped = makeParams({ starProbs: [0, 0, 0], finalProb: 0, pityModel: soft() });
+  const hard = makeParams({ starProbs: [0, 0, 0], finalProb: 0, starPityThreshold: 2, finalPityThreshold: 2 });
+  assert.equal(worstCaseFull(ramped).attempts, worstCaseFull(hard).attempts);
+  assert.equal(worstCaseStarsOnly(ramped).attempts, worstCaseStarsOnly(hard).attempts);
+});
+
+test("soft pity capped below 1 without a hard guarantee has no worst case", () => {
+  const params = makeParams({ pityModel: soft({ softStep: 0.1, softCap: 0.6 }) });
+  assert.equal(worstCaseStarsOnly(params).attempts, Infinity);
+  assert.equal(worstCaseFull(params).gold, Infinity);
+  // runs still finish, and faster than with no ramp at all
+  const mean = (p) => summarizeTrials(p, runTrials(p, { trials: 4000, seed: 3 })).full.meanAttempts;
+  assert.ok(Number.isFinite(mean(params)));
+  assert.ok(mean(params) < mean(makeParams({ starPityThreshold: 1e6, finalPityThreshold: 1e6 })));
+});
+
+test("soft pity keeps the hard threshold when asked", () => {
+  const params = makeParams({ pityModel: soft({ softStep: 0.1, softCap: 0.6, hardGuarantee: true }) });
+  assert.equal(worstCaseFull(params).attempts, worstCaseFull(makeParams()).attempts);
+});
+
+test("a shared pool without protection has no worst case past one star", () => {
+  assert.equal(worstCaseStarsOnly(makeParams({ pityModel: shared })).attempts, Infinity);
+  const one = makeParams({ numStars: 1, starProbs: [0], pityModel: shared });
+  assert.equal(worstCaseStarsOnly(one).attempts, 7);
+});
+
+test("a shared pool with wipe protection is finite and matches p=0 runs", () => {
+  const params = makeParams({ starProbs: [0, 0, 0], finalProb: 0, pityModel: shared, protection: protectFrom2 });
+  const worst = worstCaseFull(params).attempts;
+  assert.ok(Number.isFinite(worst));
+  assert.equal(simulateFullRun(params, createLCG(2)).attempts, worst);
+});
+
+test("unreachableSuccesses finds attempts that no pity can reach", () => {
+  const none = { stars: [], final: false };
+  assert.deepEqual(unreachableSuccesses(makeParams()), none);
+  assert.deepEqual(unreachableSuccesses(makeParams({ starProbs: [0.2, 0, 0.2], starPityResetsOnAnyFail: true })), { stars: [1], final: false });
+  assert.deepEqual(unreachableSuccesses(makeParams({ starProbs: [0, 0, 0], starPityThreshold: 0, starPityResetsOnAnyFail: true })), none);
+  const flat = soft({ softStep: 0 });
+  assert.deepEqual(unreachableSuccesses(makeParams({ starProbs: [0, 0.2, 0.2], finalProb: 0, pityModel: flat })), { stars: [0], final: true });
+  assert.deepEqual(unreachableSuccesses(makeParams({ finalProb: 0, pityModel: soft({ softStep: 0.1, softCap: 0.5 }) })), none);
+  // the success on the star below empties the pool unless a fail keeps that star
+  assert.deepEqual(unreachableSuccesses(makeParams({ starProbs: [0, 0, 0], pityModel: shared })), { stars: [1, 2], final: false });
+  assert.deepEqual(unreachableSuccesses(makeParams({ starProbs: [0, 0, 0], pityModel: shared, protection: protectFrom2 })), none);
+});
+
+test("a run that hits the attempt cap stops and is counted as unfinished", () => {
+  const params = makeParams({ starProbs: [0.2, 0, 0.2], starPityResetsOnAnyFail: true, maxRunAttempts: 50 });
+  const stars = simulateStarsOnly(params, createRng(1));
+  assert.equal(stars.attempts, 50);
+  assert.equal(stars.unfinished, true);
+  const dropping = makeParams({ finalProb: 0, finalPityThreshold: 1000, level: 3, finalFailOutcomes: [{ kind: "drop", prob: 1, levels: 2 }] });
+  const full = simulateFullRun({ ...dropping, maxRunAttempts: 50 }, createRng(1));
+  assert.equal(full.attempts, 50); // re‑climbs share the cap
+  assert.equal(full.unfinished, true);
+  for (const sketch of [null, 0.01]) {
+    assert.deepEqual(summarizeTrials(params, runTrials(params, { trials: 20, shards: 2, sketch })).unfinished, { stars: 20, full: 20, bare: 0 });
+  }
+  const fine = makeParams();
+  assert.equal(simulateFullRun(fine, createRng(1)).unfinished, false);
+  assert.deepEqual(summarizeTrials(fine, runTrials(fine, { trials: 20 })).unfinished, { stars: 0, full: 0, bare: 0 });
+});
+
+for (const [name, overrides] of [
+  ["per‑star thresholds", { starPityThresholds: [1, 3, 6] }],
+  ["soft pity", { pityModel: soft({ softStart: 1, softStep: 0.1, softCap: 0.6 }) }],
+  ["shared pool", { pityModel: shared }],
+]) {
+  test(`${name} match the exact solver`, () => {
+    const params = makeParams({ starProbs: [0.2, 0.3, 0.25], starPityThreshold: 4, finalPityThreshold: 5, ...overrides });
+    const exact = exactSolve(params);
+    assert.ok(exact.full.ok);
+    const mc = summarizeTrials(params, runTrials(params, { trials: 20000, seed: 3 }));
+    assert.ok(Math.abs(mc.stars.meanAttempts - exact.stars.mean) / exact.stars.mean < 0.03);
+    assert.ok(Math.abs(mc.full.meanAttempts - exact.full.mean) / exact.full.mean < 0.03);
+  });
+}
+
+test("validateParams checks the pity model", () => {
+  const fields = (p) => validateParams(makeParams(p)).map((e) => e.field);
+  assert.deepEqual(fields({ pityModel: { kind: "random" } }), ["pityModel.kind"]);
+  assert.deepEqual(fields({ pityModel: soft({ softStep: 2 }) }), ["pityModel.softStep"]);
+  assert.deepEqual(fields({ starPityThresholds: [1, 2] }), ["starPityThresholds"]);
+});
+
+// ------------------------------------------------------------
+// Star counts at the edges (1 and 10)
+// ------------------------------------------------------------
+for (const numStars of [1, 10]) {
+  test(`numStars ${numStars}: p=1 takes one attempt per star`, () => {
+    const params = makeParams({ numStars, starProbs: Array(numStars).fill(1), finalProb: 1 });
+    const rng = createLCG(5);
+    const s = simulateStarsOnly(params, rng);
+    const f = simulateFullRun(params, rng);
+    assert.equal(s.attempts, numStars);
+    assert.deepEqual(f.starAttempts, Array(numStars).fill(1));
+    assert.equal(f.attempts, numStars + 1);
+    assert.equal(f.gold, (numStars + 1) * 100);
+  });
+
+  test(`numStars ${numStars}: p=0 equals the worst case`, () => {
+    const params = makeParams({ numStars, starProbs: Array(numStars).fill(0), finalProb: 0, starPityThreshold: 1, finalPityThreshold: 2 });
+    const rng = createLCG(5);
+    assert.equal(simulateStarsOnly(params, rng).attempts, worstCaseStarsOnly(params).attempts);
+    assert.equal(simulateFullRun(params, rng).attempts, worstCaseFull(params).attempts);
+  });
+
+  test(`numStars ${numStars}: Monte Carlo stays within the worst case`, () => {
+    const params = makeParams({ numStars, starProbs: Array(numStars).fill(0.5), finalProb: 0.5, starPityThreshold: 2, finalPityThreshold: 2 });
+    const data = runTrials(params, { trials: 500, seed: 8 });
+    const worst = worstCaseFull(params).attempts;
+    assert.ok(Math.max(...data.fullAttempts) <= worst);
+    assert.equal(data.fullPerStar.length, numStars);
+  });
+}
+
+test("numStars 1 matches the exact solver", () => {
+  const params = makeParams({ numStars: 1, starProbs: [0.2], finalProb: 0.2 });
+  const exact = exactSolve(params);
+  const mc = summarizeTrials(params, runTrials(params, { trials: 20000, seed: 21 }));
+  assert.ok(Math.abs(mc.full.meanAttempts - exact.full.mean) / exact.full.mean < 0.03);
+});
+
+test("star diagnostics split pity from rolled successes", () => {
+  const params = makeParams({ numStars: 2, starProbs: [0, 0], finalProb: 0, starPityThreshold: 1, finalPityThreshold: 2 });
+  const summary = summarizeTrials(params, runTrials(params, { trials: 50, seed: 4 }));
+  for (const d of [...summary.starsStarDiagnostics, ...summary.fullStarDiagnostics]) {
+    assert.equal(d.guaranteedShare, 1);
+    assert.equal(d.meanPityAtSuccess, 1);
+    assert.equal(d.rolledRate, 0);
+    assert.equal(d.expectedRate, 0);
+  }
+  assert.ok(summary.starsStarDiagnostics.every((d) => d.rebuildGoldShare === 0));
+  assert.ok(summary.fullStarDiagnostics.every((d) => d.rebuildGoldShare > 0 && d.rebuildGoldShare < d.goldShare));
+});
+
+test("star diagnostics: rolled rates track the configured rates", () => {
+  const params = makeParams({ starProbs: [0.2, 0.4, 0.6] });
+  const data = runTrials(params, { trials: 4000, seed: 6 });
+  const diags = summarizeTrials(params, data).fullStarDiagnostics;
+  diags.forEach((d, i) => {
+    assert.equal(d.expectedRate.toFixed(6), params.starProbs[i].toFixed(6));
+    assert.ok(Math.abs(d.rolledRate - d.expectedRate) < 0.02, `star ${d.star}: ${d.rolledRate}`);
+    assert.equal(
+      d.attempts,
+      data.fullPerStar[i].reduce((a, b) => a + b, 0)
+    );
+  });
+  const goldShares = diags.reduce((a, d) => a + d.goldShare, 0);
+  assert.ok(goldShares > 0 && goldShares < 1); // the final takes the rest
+});
+
+// ------------------------------------------------------------
+// Public API
+// ------------------------------------------------------------
+test("validateParams accepts a plain config", () => {
+  assert.deepEqual(validateParams(makeParams()), []);
+});
+
+test("validateParams reports each bad field", () => {
+  const fields = (p) => validateParams(p).map((e) => e.field);
+  assert.deepEqual(fields(makeParams({ finalProb: 1.5 })), ["finalProb"]);
+  assert.deepEqual(fields(makeParams({ starProbs: [0.2, -1, 0.2] })), ["starProbs[1]"]);
+  assert.deepEqual(fields(makeParams({ starPityThreshold: 2.5 })), ["starPityThreshold"]);
+  assert.ok(fields(makeParams({ numStars: 0, starProbs: [] })).includes("numStars"));
+  assert.ok(fields(makeParams({ numStars: 11 })).includes("numStars"));
+  assert.deepEqual(
+    fields(
+      makeParams({
+        finalFailOutcomes: [
+          { kind: "drop", prob: 0.7, levels: 1 },
+          { kind: "break", prob: 0.5, replacementCost: 0 },
+        ],
+      })
+    ),
+    ["finalFailOutcomes"]
+  );
+});
+
+test("runTrials rejects invalid params", () => {
+  assert.throws(() => runTrials(makeParams({ finalProb: NaN }), { trials: 10 }), /finalProb/);
+});
+
+test("runTrials is reproducible for the same seed and shard count", () => {
+  const params = makeParams();
+  const a = runTrials(params, { trials: 3001, seed: 42, shards: 3 });
+  const b = runTrials(params, { trials: 3001, seed: 42, shards: 3 });
+  assert.deepEqual(a.fullAttempts, b.fullAttempts);
+  assert.equal(a.fullAttempts.length, 3001);
+  assert.notDeepEqual(a.fullAttempts, runTrials(params, { trials: 3001, seed: 42, shards: 1 }).fullAttempts);
+});
+
+test("one shard reproduces the plain seeded stream", () => {
+  const params = makeParams();
+  const data = runTrials(params, { trials: 200, seed: 12345 });
+  const rng = createRng(12345);
+  for (let t = 0; t < 200; t++) {
+    assert.equal(data.starsAttempts[t], simulateStarsOnly(params, rng).attempts);
+    assert.equal(data.fullAttempts[t], simulateFullRun(params, rng).attempts);
+  }
+  assert.equal(shardSeed(12345, 0), 12345);
+});
+
+test("a path shard replays the seeded stream in chunks and counts levels within budget", () => {
+  const steps = [makeParams({ level: 0 }), makeParams({ level: 1, finalProb: 0.1 })];
+  const data = emptyPathData(steps.length);
+  let chunks = 0;
+  const onChunk = (chunk) => {
+    chunks += 1;
+    appendPathData(data, chunk);
+  };
+  runPathShard(steps, 7, 250, onChunk, { chunkSize: 100, budget: { kind: "attempts", amount: 60 } });
+  assert.equal(chunks, 3);
+  assert.equal(data.attempts.length, 250);
+  const rng = createRng(7);
+  for (let t = 0; t < 250; t++) {
+    const run = simulatePath(steps, rng);
+    assert.equal(data.attempts[t], run.attempts);
+    assert.equal(data.levelCumGolds[1][t], run.gold);
+    const within = run.perLevel[0].attempts <= 60 ? (run.attempts <= 60 ? 2 : 1) : 0;
+    assert.equal(data.levelsWithinBudget[t], within);
+  }
+});
+
+test("a path job works out each level's worst case before its runs", () => {
+  const steps = [makeParams({ level: 0 }), makeParams({ level: 1, numStars: 10, starProbs: Array(10).fill(0.2), starPityThreshold: 20 })];
+  const messages = [];
+  runPathJob({ stepParams: steps, seed: 1, trials: 2, analyze: true }, (msg) => messages.push(msg));
+  assert.deepEqual(messages.map((m) => m.type), ["analysis", "chunk", "done"]);
+  const [first, second] = messages[0].worstLevels;
+  assert.equal(first.attempts, worstCaseFull(steps[0], pathLevelParams(steps)).attempts);
+  assert.equal(second.tooLarge, true);
+  messages.length = 0;
+  runPathJob({ stepParams: steps, seed: 1, trials: 2 }, (msg) => messages.push(msg));
+  assert.ok(!messages.some((m) => m.type === "analysis"));
+});
+
+test("summarizeTrials includes the unprotected rerun only with protection", () => {
+  const plain = makeParams();
+  assert.equal(summarizeTrials(plain, runTrials(plain, { trials: 200 })).bare, null);
+  const guarded = makeParams({
+    protection: { fromStar: 2, final: false, preventsWipe: true, preventsOutcome: true, itemsPerUse: 1, goldPerItem: 50 },
+  });
+  const summary = summarizeTrials(guarded, runTrials(guarded, { trials: 200 }));
+  assert.ok(summary.bare);
+  assert.ok(summary.full.meanItems > 0);
+  assert.ok(summary.full.meanAttempts < summary.bare.meanAttempts);
+});
+
+// ------------------------------------------------------------
+// Parameter sweep
+// ------------------------------------------------------------
+test("sweepPointMetric is the mean over full runs from the seed", () => {
+  const params = makeParams();
+  const rng = createRng(4);
+  const golds = Array.from({ length: 300 }, () => simulateFullRun(params, rng).gold);
+  assert.equal(sweepPointMetric(params, { trials: 300, seed: 4, metric: "meanGold" }), golds.reduce((a, b) => a + b, 0) / 300);
+});
+
+test("sweepPointMetric pSuccess counts runs inside the budget", () => {
+  const sure = makeParams({ starProbs: [1, 1, 1], finalProb: 1 });
+  assert.equal(sweepPointMetric({ ...sure, budget: { kind: "attempts", amount: 4 } }, { trials: 50, seed: 1, metric: "pSuccess" }), 1);
+  assert.equal(sweepPointMetric({ ...sure, budget: { kind: "attempts", amount: 3 } }, { trials: 50, seed: 1, metric: "pSuccess" }), 0);
+});
+
+test("runs stopped at the attempt cap never count as finished within budget", () => {
+  const capped = makeParams({ finalProb: 0, finalPityThreshold: 1000, maxRunAttempts: 500, budget: { kind: "attempts", amount: 1e6 } });
+  const full = simulateFullRun(capped, createRng(1));
+  assert.equal(full.unfinished, true);
+  assert.ok(full.budgetState);
+  assert.equal(sweepPointMetric(capped, { trials: 20, seed: 1, metric: "pSuccess" }), 0);
+  const stuck = makeParams({ starProbs: [0.2, 0, 0.2], starPityResetsOnAnyFail: true, maxRunAttempts: 50, budget: { kind: "gold", amount: 1e12 } });
+  assert.ok(simulateStarsOnly(stuck, createRng(1)).budgetState);
+});
+
+test("stream data counts the runs that did not finish within budget", () => {
+  const params = makeParams({ budget: { kind: "attempts", amount: 20 } });
+  const opts = { trials: 500, seed: 3, shards: 2 };
+  const exact = runTrials(params, opts);
+  const stream = runTrials(params, { ...opts, sketch: 0.01 });
+  for (const kind of ["stars", "full"]) {
+    const over = exact[`${kind}BudgetStates`].filter(Boolean).length;
+    assert.ok(over > 0 && over < 500, kind);
+    assert.equal(stream[`${kind}OverBudget`], over, kind);
+  }
+});
+
+// ------------------------------------------------------------
+// Goal seek
+// ------------------------------------------------------------
+test("goalSeek finds the largest pity that keeps the worst case under target", () => {
+  const at = (v) => makeParams({ finalPityThreshold: v });
+  const target = worstCaseFull(at(10)).attempts;
+  const steps = [];
+  const res = goalSeek(at, { lo: 1, hi: 40, integer: true, metric: "worstAttempts", target, trials: 10, seed: 1 }, (s) => steps.push(s));
+  assert.ok(res.ok);
+  assert.equal(res.value, 10);
+  assert.equal(res.summary.worst.attempts, target);
+  assert.deepEqual(
+    steps.slice(0, 2).map((s) => s.value),
+    [1, 40]
+  );
+  assert.ok(steps.every((s) => Number.isInteger(s.value)));
+});
+
+test("goalSeek solves a final rate for a mean attempts target", () => {
+  const at = (v) => makeParams({ finalProb: v });
+  const opts = { lo: 0.05, hi: 0.95, metric: "meanAttempts", target: 200, trials: 500, seed: 3, tolerance: 1e-3 };
+  const res = goalSeek(at, opts);
+  assert.ok(res.ok);
+  assert.ok(res.value > opts.lo && res.value < opts.hi);
+  assert.ok(res.summary.meanAttempts <= 200);
+  assert.equal(res.summary.meanAttempts, sweepPointMetric(at(res.value), { ...opts, metric: "meanAttempts" }));
+  assert.ok(sweepPointMetric(at(res.value - 2e-3), { ...opts, metric: "meanAttempts" }) > 200);
+});
+
+test("goalSeek reports bounds that do not bracket the target", () => {
+  const at = (v) => makeParams({ finalProb: v });
+  const opts = { lo: 0.5, hi: 0.9, metric: "meanAttempts", trials: 100, seed: 1 };
+  assert.equal(goalSeek(at, { ...opts, target: 1 }).ok, false);
+  assert.match(goalSeek(at, { ...opts, target: 1e6 }).reason, /Both bounds/);
+});
+
+// ------------------------------------------------------------
+// Star‑failure behavior
+// ------------------------------------------------------------
+test("drop one and checkpoint fail to the right star", () => {
+  // pity 1 with p=0: each star fails once, then succeeds on its next try
+  const at = (starFailure) => makeParams({ starProbs: [0, 0, 0], finalProb: 1, starPityThreshold: 1, starFailure });
+  assert.deepEqual(simulateStarsOnly(at({ kind: "wipe" }), createLCG(1)).starAttempts, [8, 4, 2]);
+  assert.deepEqual(simulateStarsOnly(at({ kind: "dropOne" }), createLCG(1)).starAttempts, [6, 4, 2]);
+  assert.deepEqual(simulateStarsOnly(at({ kind: "checkpoint", checkpoint: 2 }), createLCG(1)).starAttempts, [4, 2, 2]);
+});
+
+test("star‑failure kinds keep p=0 runs equal to the worst case", () => {
+  for (const starFailure of [{ kind: "dropOne" }, { kind: "checkpoint", checkpoint: 1 }]) {
+    const params = makeParams({ starProbs: [0, 0, 0], finalProb: 0, starPityThreshold: 2, finalPityThreshold: 2, starFailure });
+    assert.equal(simulateFullRun(params, createLCG(1)).attempts, worstCaseFull(params).attempts);
+    assert.ok(worstCaseFull(params).attempts < worstCaseFull(makeParams({ ...params, starFailure: undefined })).attempts);
+  }
+});
+
+test("a keep chance only helps on average; the worst case assumes a wipe", () => {
+  const base = makeParams({ starProbs: [0.3, 0.3, 0.3] });
+  const keep = { ...base, starFailure: { kind: "keepChance", keepProb: 0.5 } };
+  assert.equal(worstCaseFull(keep).attempts, worstCaseFull(base).attempts);
+  const sure = { ...base, starFailure: { kind: "keepChance", keepProb: 1 } };
+  assert.ok(worstCaseFull(sure).attempts < worstCaseFull(base).attempts);
+  const mean = (p) => summarizeTrials(p, runTrials(p, { trials: 4000, seed: 5 })).full.meanAttempts;
+  assert.ok(mean(keep) < mean(base));
+});
+
+for (const starFailure of [{ kind: "dropOne" }, { kind: "checkpoint", checkpoint: 2 }, { kind: "keepChance", keepProb: 0.4 }]) {
+  test(`${starFailure.kind} matches the exact solver`, () => {
+    const params = makeParams({ numStars: 4, starProbs: [0.2, 0.3, 0.25, 0.3], starPityThreshold: 4, finalPityThreshold: 5, starFailure });
+    const exact = exactSolve(params);
+    assert.ok(exact.full.ok);
+    const mc = summarizeTrials(params, runTrials(params, { trials: 20000, seed: 3 }));
+    assert.ok(Math.abs(mc.stars.meanAttempts - exact.stars.mean) / exact.stars.mean < 0.03);
+    assert.ok(Math.abs(mc.full.meanAttempts - exact.full.mean) / exact.full.mean < 0.03);
+  });
+}
+
+// ------------------------------------------------------------
+// Replay trace
+// ------------------------------------------------------------
+test("traceFullRun logs every attempt of the seeded run", () => {
+  const params = makeParams({ finalFailOutcomes: [{ kind: "break", prob: 0.5, replacementCost: 1000 }] });
+  const run = simulateFullRun(params, createRng(21));
+  const { events, truncated } = traceFullRun(params, { seed: 21 });
+  assert.equal(truncated, false);
+  assert.equal(events.length, run.attempts);
+  assert.deepEqual(
+    events.map((e) => e.attempt),
+    events.map((_, i) => i + 1)
+  );
+  assert.equal(events.at(-1).gold, run.gold);
+  assert.equal(events.at(-1).star, null);
+  assert.ok(events.at(-1).success);
+  assert.equal(events.filter((e) => e.star === 0).length, run.starAttempts[0]);
+  assert.equal(events.filter((e) => e.outcome === "break").length, run.outcomes.break);
+});
+
+test("trace rolls are the random draws, skipped when pity guarantees", () => {
+  const params = makeParams({ starProbs: [0, 0, 0], starPityThreshold: 1 });
+  const { events } = traceFullRun(params, { seed: 4 });
+  const ref = createRng(4);
+  for (const e of events) {
+    assert.equal(e.guaranteed, e.roll === null);
+    if (e.roll !== null) assert.equal(e.roll, ref());
+    if (e.star !== null) assert.equal(e.success, e.guaranteed);
+  }
+});
+
+test("traceFullRun stops at maxEvents", () => {
+  const params = makeParams({ starProbs: [0, 0, 0], finalProb: 0, starPityThreshold: 6 });
+  const { events, truncated } = traceFullRun(params, { maxEvents: 50 });
+  assert.equal(events.length, 50);
+  assert.equal(truncated, true);
+  assert.equal(traceFullRun(params, { maxEvents: worstCaseFull(params).attempts }).truncated, false);
+});
+
+// ------------------------------------------------------------
+// Starting state and live session
+// ------------------------------------------------------------
+test("a fresh startState changes nothing", () => {
+  const params = makeParams();
+  const withStart = { ...params, startState: { stars: 0, starPity: [0, 0, 0], finalPity: 0 } };
+  assert.deepEqual(runTrials(withStart, { trials: 300, seed: 9 }).fullAttempts, runTrials(params, { trials: 300, seed: 9 }).fullAttempts);
+  assert.equal(worstCaseFull(withStart).attempts, worstCaseFull(params).attempts);
+});
+
+test("an oversized state space leaves the exact solver out instead of failing the run", () => {
+  // a slow ramp under a cap has 701 counter values per star: 701³ × 3 states
+  const params = makeParams({ pityModel: soft({ softStep: 0.001, softCap: 0.9 }) });
+  const messages = [];
+  runShardJob({ params, seed: 1, rng: "xoshiro128ss", trials: 5, analyze: true }, (msg) => messages.push(msg));
+  const { exact } = messages.find((m) => m.type === "analysis");
+  assert.equal(exact.stars.ok, false);
+  assert.match(exact.full.reason, /^State space too large \(1,033,416,303 states\)\.$/);
+  assert.equal(messages.at(-1).type, "done");
+});
+
+test("runs resume from the starting state", () => {
+  // stars held and the final one fail from its pity: one guaranteed final left
+  const params = makeParams({ finalProb: 0, startState: { stars: 3, starPity: [0, 0, 0], finalPity: 6 } });
+  assert.equal(simulateFullRun(params, createLCG(1)).attempts, 1);
+  assert.equal(simulateStarsOnly(params, createLCG(1)).attempts, 0);
+  assert.equal(worstCaseFull(params).attempts, 1);
+  assert.equal(exactSolve(params).full.mean, 1);
+  assert.equal(exactSolve(params).stars.mean, 0);
+});
+
+test("a starting state matches the exact solver and the worst case", () => {
+  const params = makeParams({
+    numStars: 4,
+    starProbs: [0.2, 0.3, 0.25, 0.3],
+    starPityThreshold: 4,
+    finalPityThreshold: 5,
+    startState: { stars: 2, starPity: [0, 0, 3, 1], finalPity: 3 },
+  });
+  const exact = exactSolve(params);
+  const mc = summarizeTrials(params, runTrials(params, { trials: 20000, seed: 3 }));
+  assert.ok(Math.abs(mc.full.meanAttempts - exact.full.mean) / exact.full.mean < 0.03);
+  assert.ok(Math.abs(mc.stars.meanAttempts - exact.stars.mean) / exact.stars.mean < 0.03);
+  assert.ok(exact.full.mean < exactSolve({ ...params, startState: undefined }).full.mean);
+  const zero = { ...params, starProbs: [0, 0, 0, 0], finalProb: 0 };
+  assert.equal(simulateFullRun(zero, createLCG(1)).attempts, worstCaseFull(zero).attempts);
+});
+
+test("validateParams checks the starting state", () => {
+  const fields = (startState) => validateParams(makeParams({ startState })).map((e) => e.field);
+  assert.deepEqual(fields({ stars: 4, starPity: [0, 0, 0], finalPity: 0 }), ["startState.stars"]);
+  assert.deepEqual(fields({ stars: 1, starPity: [2, 0, 0], finalPity: 0 }), ["startState.starPity"]);
+  assert.deepEqual(fields({ stars: 1, starPity: [0, 0, 0], finalPity: -1 }), ["startState.finalPity"]);
+});
+
+test("applyAttempt follows the engine's rules", () => {
+  const params = makeParams({ starFailure: { kind: "dropOne" } });
+  let s = newSession(params);
+  s = applyAttempt(params, s, { success: true });
+  s = applyAttempt(params, s, { success: true });
+  assert.equal(s.stars, 2);
+  s = applyAttempt(params, s, { success: false });
+  assert.deepEqual([s.stars, s.starPity, s.attempts, s.gold], [1, [0, 0, 1], 3, 300]);
+  s = applyAttempt(params, s, { success: false, keptStars: true });
+  assert.deepEqual([s.stars, s.starPity], [1, [0, 1, 1]]);
+  assert.equal(nextAttempt(params, s).star, 1);
+
+  const atFinal = { ...newSession(params), stars: 3, finalPity: 6 };
+  assert.ok(nextAttempt(params, atFinal).guaranteed);
+  assert.equal(applyAttempt(params, atFinal, { success: false }).stars, 2);
+  assert.equal(applyAttempt(params, atFinal, { success: true }).done, true);
+});
+
+// ------------------------------------------------------------
+// Rate estimation from attempt logs
+// ------------------------------------------------------------
+test("parseAttemptLog reads CSV and JSON logs and reports bad rows", () => {
+  const csv = parseAttemptLog("Level,Star,Pity,Success\n15,1,0,fail\n15,final,2,1\n\n15,0,0,1\n15,2,x,yes\n");
+  assert.deepEqual(csv.rows, [
+    { level: 15, star: 0, pity: 0, success: false },
+    { level: 15, star: null, pity: 2, success: true },
+  ]);
+  assert.deepEqual(
+    csv.errors.map((e) => e.line),
+    [5, 6]
+  );
+  const json = parseAttemptLog(JSON.stringify([{ level: 15, star: 3, pity: 1, success: true }]));
+  assert.deepEqual(json.rows, [{ level: 15, star: 2, pity: 1, success: true }]);
+  assert.match(parseAttemptLog("level,star\n15,1").errors[0].message, /pity, success/);
+});
+
+test("estimateRates recovers logged rates and sets guaranteed attempts aside", () => {
+  const truth = makeParams({ level: 15, starProbs: [0.3, 0.5, 0.2], finalProb: 0.25, starPityThreshold: 4, finalPityThreshold: 5 });
+  const rows = [];
+  for (let seed = 1; seed <= 400; seed++) {
+    for (const e of traceFullRun(truth, { seed }).events) rows.push({ level: e.level, star: e.star, pity: e.pity, success: e.success });
+  }
+  const est = estimateRates(truth, rows);
+  assert.equal(est.otherLevels, 0);
+  const rates = [...truth.starProbs, truth.finalProb];
+  est.targets.forEach((t, i) => {
+    assert.ok(t.used > 200 && t.guaranteed > 0 && t.contradictions === 0);
+    assert.ok(t.lo <= rates[i] && rates[i] <= t.hi && t.agrees, `target ${i}: ${t.lo}–${t.hi}`);
+  });
+  // A configured rate the log contradicts is flagged
+  const wrong = estimateRates({ ...truth, finalProb: 0.6 }, rows).targets[3];
+  assert.equal(wrong.agrees, false);
+  const none = estimateRates({ ...truth, level: 16 }, rows);
+  assert.equal(none.otherLevels, rows.length);
+  assert.deepEqual([none.targets[0].rate, none.targets[0].agrees], [null, null]);
+});
+
+// ------------------------------------------------------------
+// Monte Carlo error
+// ------------------------------------------------------------
+test("monteCarloError's bootstrap matches resampling and sorting by hand", () => {
+  const params = makeParams();
+  const data = runTrials(params, { trials: 300, seed: 5 });
+  const values = data.fullAttempts;
+  const err = monteCarloError(values, data.fullGolds, { resamples: 40, seed: 9 });
+
+  const rand = createRng(9);
+  const reps = [[], [], []];
+  for (let r = 0; r < 40; r++) {
+    const sample = values.map(() => values[Math.floor(rand() * values.length)]).sort((a, b) => a - b);
+    [0.5, 0.9, 0.99].forEach((p, q) => reps[q].push(percentile(sample, p)));
+  }
+  ["medianAttempts", "p90Attempts", "p99Attempts"].forEach((key, q) => {
+    const sorted = reps[q].sort((a, b) => a - b);
+    assert.equal(err[key].lo, percentile(sorted, 0.025), key);
+    assert.equal(err[key].hi, percentile(sorted, 0.975), key);
+  });
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  assert.ok(err.meanAttempts.lo < mean && mean < err.meanAttempts.hi);
+  assert.ok(Math.abs(err.meanGold.se - 100 * err.meanAttempts.se) < 1e-6);
+  assert.deepEqual(monteCarloError([7, 7, 7], [1, 1, 1]).p90Attempts, { se: 0, lo: 7, hi: 7 });
+});
+
+test("runningMean ends at the sample mean and trialsForPrecision scales with 1/precision²", () => {
+  const values = Array.from({ length: 1000 }, (_, i) => (i % 2 ? 150 : 50));
+  const curve = runningMean(values, 50);
+  assert.equal(curve.length, 50);
+  assert.deepEqual([curve[curve.length - 1].trials, curve[curve.length - 1].mean], [1000, 100]);
+  assert.ok(curve[curve.length - 1].lo < 100 && curve[curve.length - 1].hi > 100);
+  // sd ≈ 50, mean 100: (1.96 · 50 / (0.01 · 100))² ≈ 9,608
+  const n = trialsForPrecision(values, 0.01);
+  assert.ok(Math.abs(n - 9608) < 20, String(n));
+  assert.ok(Math.abs(trialsForPrecision(values, 0.02) - n / 4) < 5);
+});
+
+// ------------------------------------------------------------
+// RNGs
+// ------------------------------------------------------------
+test("PCG32 matches the reference pcg32_srandom(42, 54) stream", () => {
+  const next = pcg32Uint32(42, 54);
+  assert.deepEqual(
+    Array.from({ length: 6 }, () => next()),
+    [0xa15c02b7, 0x7b47f409, 0xba1d3330, 0x83d2f293, 0xbfa4784b, 0xcbed606e]
+  );
+});
+
+test("every RNG is seeded, stays in [0, 1) and passes the self-check", () => {
+  for (const kind of Object.keys(RNG_KINDS)) {
+    const a = createRng(7, kind);
+    const b = createRng(7, kind);
+    const draws = Array.from({ length: 1000 }, () => a());
+    assert.deepEqual(
+      draws,
+      Array.from({ length: 1000 }, () => b()),
+      kind
+    );
+    assert.notEqual(createRng(8, kind)(), draws[0], kind);
+    const failed = rngChecks(kind, 7, 50000)
+      .filter((c) => !c.pass)
+      .map((c) => c.name);
+    // the legacy LCG's lowest bit just alternates
+    assert.deepEqual(failed, kind === "lcg" ? ["Lowest output bit independent of the previous one"] : [], kind);
+  }
+  assert.throws(() => createRng(1, "nope"), /unknown RNG/);
+});
+
+test("runTrials follows the chosen RNG and lcg reproduces the legacy stream", () => {
+  const params = makeParams();
+  const legacy = runTrials(params, { trials: 50, seed: 3, rng: "lcg" });
+  const rng = createLCG(3);
+  assert.equal(legacy.starsAttempts[0], simulateStarsOnly(params, rng).attempts);
+  assert.equal(legacy.fullAttempts[0], simulateFullRun(params, rng).attempts);
+  assert.notDeepEqual(runTrials(params, { trials: 50, seed: 3, rng: "pcg32" }).fullAttempts, legacy.fullAttempts);
+});
+
+test("rateFrequencyChecks passes for the engine and survives rates that never succeed", () => {
+  const params = makeParams({ level: 15, starProbs: [0.3, 0.5, 0.2] });
+  assert.ok(rateFrequencyChecks(params, { runs: 300 }).every((c) => c.pass));
+  const never = makeParams({ level: 15, finalProb: 0, finalPityThreshold: Infinity });
+  const checks = rateFrequencyChecks(never, { runs: 5, maxEvents: 5000 });
+  assert.equal(checks.length, 4);
+  assert.ok(checks[3].pass);
+});
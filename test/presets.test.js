@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { suggestedStarsForLevel, syncPathSteps } from "../src/engine.js";
+import { DEFAULT_SCENARIO, scenarioParams } from "../src/scenario.js";
+import { DEFAULT_PROFILE, normalizeProfile, bandForLevel, profileScenario, profileStepTemplate } from "../src/presets.js";
+
+const band = (from, stars, rate) => ({ from, stars, starRate: rate, finalRate: rate, starPity: 5, finalPity: 7, starCost: 100, finalCost: 300 });
+
+test("the Default profile follows the built‑in star rule and scenario defaults", () => {
+  for (let L = 0; L <= 40; L++) assert.equal(bandForLevel(DEFAULT_PROFILE, L).stars, suggestedStarsForLevel(L), `+${L}`);
+  assert.deepEqual(scenarioParams(profileScenario(DEFAULT_SCENARIO, DEFAULT_PROFILE)), scenarioParams(DEFAULT_SCENARIO));
+});
+
+test("a band covers levels up to the next one; levels below the first use the first", () => {
+  const profile = normalizeProfile({ name: "Server B", bands: [band(22, 6, 0.1), band(10, 3, 0.3)] });
+  assert.deepEqual(
+    profile.bands.map((b) => b.from),
+    [10, 22]
+  );
+  assert.equal(bandForLevel(profile, 5).stars, 3);
+  assert.equal(bandForLevel(profile, 21).stars, 3);
+  assert.equal(bandForLevel(profile, 22).stars, 6);
+});
+
+test("profileScenario sets the level's rules and keeps other resources", () => {
+  const sc = {
+    ...DEFAULT_SCENARIO,
+    fromLevel: 22,
+    costs: { ...DEFAULT_SCENARIO.costs, resources: [...DEFAULT_SCENARIO.costs.resources, { name: "stone", rate: 0 }], final: [270000, 4] },
+  };
+  const out = profileScenario(sc, normalizeProfile({ name: "B", bands: [band(0, 3, 0.3), band(20, 6, 0.1)] }));
+  assert.equal(out.starsRequired, 6);
+  assert.deepEqual(out.starProbs, Array(6).fill(0.1));
+  assert.equal(out.finalProb, 0.1);
+  assert.equal(out.starPityThreshold, 5);
+  assert.equal(out.finalPityThreshold, 7);
+  assert.deepEqual(out.costs.final, [300, 4]);
+  assert.equal(out.costs.stars[0][0], 100);
+  assert.equal(out.seed, sc.seed);
+});
+
+test("new path levels take rates, pity and gold costs from their own band", () => {
+  const profile = normalizeProfile({ name: "B", bands: [band(0, 3, 0.3), { ...band(20, 6, 0.1), starCost: 900, finalCost: 2500 }] });
+  const edited = { ...syncPathSteps([], 19, 20, profileStepTemplate(profile))[0], finalProb: 0.5 };
+  const steps = syncPathSteps([edited], 19, 21, profileStepTemplate(profile));
+  assert.equal(steps[0], edited);
+  assert.deepEqual(steps[1], {
+    level: 20,
+    numStars: 6,
+    starProbs: Array(6).fill(0.1),
+    finalProb: 0.1,
+    starPityThreshold: 5,
+    finalPityThreshold: 7,
+    goldPerAttempt: 900,
+    finalGoldPerAttempt: 2500,
+  });
+});
+
+test("normalizeProfile names the band and field it rejects", () => {
+  assert.throws(() => normalizeProfile({ name: "x", bands: [] }), /at least one level band/);
+  assert.throws(() => normalizeProfile({ bands: [band(0, 3, 0.2)] }), /needs a name/);
+  assert.throws(
+    () => normalizeProfile({ name: "x", bands: [band(0, 3, 0.2), band(4, 11, 0.2)] }),
+    /Band 2: Stars must be a whole number from 1 to 10/
+  );
+  assert.throws(() => normalizeProfile({ name: "x", bands: [{ ...band(0, 3, 0.2), finalRate: 1.5 }] }), /Band 1: Final rate/);
+  assert.throws(() => normalizeProfile({ name: "x", bands: [band(5, 3, 0.2), band(5, 4, 0.2)] }), /Two bands start at \+5/);
+  assert.deepEqual(normalizeProfile(JSON.parse(JSON.stringify(DEFAULT_PROFILE))), DEFAULT_PROFILE);
+});
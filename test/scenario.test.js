@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkParams } from "../src/validation.js";
+import {
+  DEFAULT_SCENARIO,
+  SCENARIO_VERSION,
+  normalizeScenario,
+  encodeScenarioHash,
+  decodeScenarioHash,
+  scenarioParams,
+  SWEEP_PARAMS,
+  sweepValues,
+} from "../src/scenario.js";
+
+test("normalizeScenario fills defaults and resizes star rates", () => {
+  const sc = normalizeScenario({ starsRequired: 6, starProbs: [0.3] });
+  assert.deepEqual(sc.starProbs, Array(6).fill(0.3));
+  assert.equal(sc.finalProb, DEFAULT_SCENARIO.finalProb);
+  assert.equal(sc.costs.stars.length, 10);
+  assert.ok(sc.path.steps.length > 0);
+});
+
+test("path steps saved without a final gold cost charge finals their star gold", () => {
+  const step = {
+    level: 10,
+    numStars: 3,
+    starProbs: [0.2, 0.2, 0.2],
+    finalProb: 0.1,
+    starPityThreshold: 5,
+    finalPityThreshold: 5,
+    goldPerAttempt: 700,
+  };
+  assert.equal(normalizeScenario({ path: { target: 11, steps: [step] } }).path.steps[0].finalGoldPerAttempt, 700);
+  assert.equal(normalizeScenario({ path: { target: 11, steps: [{ ...step, finalGoldPerAttempt: 50 }] } }).path.steps[0].finalGoldPerAttempt, 50);
+});
+
+test("normalizeScenario rejects newer versions and non‑objects", () => {
+  assert.throws(() => normalizeScenario({ version: SCENARIO_VERSION + 1 }), /newer/);
+  assert.throws(() => normalizeScenario([]), /JSON object/);
+});
+
+test("version 1 scenarios keep the legacy LCG; new ones default to xoshiro128**", () => {
+  assert.equal(normalizeScenario({ version: 1, rng: "pcg32" }).rng, "lcg");
+  assert.equal(normalizeScenario({}).rng, "xoshiro128ss");
+  assert.equal(normalizeScenario({ rng: "mulberry32" }).rng, "mulberry32");
+  assert.throws(() => normalizeScenario({ rng: "dice" }), /Unknown RNG/);
+});
+
+test("percentiles default to exact sorting and reject unknown modes", () => {
+  assert.equal(normalizeScenario({}).percentiles, "exact");
+  assert.equal(normalizeScenario({ percentiles: "sketch" }).percentiles, "sketch");
+  assert.throws(() => normalizeScenario({ percentiles: "guess" }), /Unknown percentile mode/);
+});
+
+test("URL hash round‑trips, including non‑ASCII resource names", () => {
+  const sc = normalizeScenario({
+    ...DEFAULT_SCENARIO,
+    costs: {
+      ...DEFAULT_SCENARIO.costs,
+      resources: [
+        { name: "gold", rate: 1 },
+        { name: "Étoile", rate: 5 },
+      ],
+    },
+  });
+  assert.deepEqual(decodeScenarioHash(encodeScenarioHash(sc)), sc);
+  assert.equal(decodeScenarioHash("#other"), null);
+});
+
+test("emptied number fields survive a JSON round trip and still fail validation", () => {
+  const sc = { ...DEFAULT_SCENARIO, finalProb: NaN, fromLevel: NaN, starProbs: DEFAULT_SCENARIO.starProbs.map((p, i) => (i === 1 ? NaN : p)) };
+  const fields = (s) => checkParams(scenarioParams(s)).errors.map((e) => e.field);
+  assert.deepEqual(fields(sc), ["starProbs[1]", "finalProb", "level"]);
+  const back = decodeScenarioHash(encodeScenarioHash(sc));
+  assert.equal(back.finalProb, null);
+  assert.equal(back.starProbs[1], null);
+  assert.ok(Number.isNaN(scenarioParams(back).finalProb));
+  assert.deepEqual(fields(back), ["starProbs[1]", "finalProb", "level"]);
+  assert.deepEqual(fields(normalizeScenario(JSON.parse(JSON.stringify(sc)))), ["starProbs[1]", "finalProb", "level"]);
+});
+
+test("an emptied cost cell stays an error after a round trip instead of costing 0", () => {
+  const sc = { ...DEFAULT_SCENARIO, costs: { ...DEFAULT_SCENARIO.costs, final: [NaN] } };
+  const fields = (s) => checkParams(scenarioParams(s)).errors.map((e) => e.field);
+  assert.deepEqual(fields(sc), ["costs.final[0].amount"]);
+  const back = decodeScenarioHash(encodeScenarioHash(sc));
+  assert.equal(back.costs.final[0], null);
+  assert.deepEqual(fields(back), ["costs.final[0].amount"]);
+});
+
+test("sweepValues is inclusive, rounds float steps and caps the count", () => {
+  assert.deepEqual(sweepValues({ from: 0.15, to: 0.35, step: 0.05 }), [0.15, 0.2, 0.25, 0.3, 0.35]);
+  assert.deepEqual(sweepValues({ from: 3, to: 5, step: 0.5 }, true), [3, 4, 5]);
+  assert.deepEqual(sweepValues({ from: 1, to: 0, step: 1 }), []);
+  assert.deepEqual(sweepValues({ from: 0, to: 1, step: 0 }), []);
+  assert.deepEqual(sweepValues({ from: null, to: 1, step: 0.5 }), []);
+  assert.equal(sweepValues({ from: 0, to: 1000, step: 1 }).length, 41);
+});
+
+test("sweep params only change their own field", () => {
+  const sc = SWEEP_PARAMS.starRate.apply(DEFAULT_SCENARIO, 0.5);
+  assert.deepEqual(sc.starProbs, Array(DEFAULT_SCENARIO.starsRequired).fill(0.5));
+  assert.equal(sc.finalProb, DEFAULT_SCENARIO.finalProb);
+  assert.equal(SWEEP_PARAMS.finalPityThreshold.apply(DEFAULT_SCENARIO, 9).finalPityThreshold, 9);
+});
+
+test("per‑star pity thresholds reach the engine only when enabled", () => {
+  const sc = normalizeScenario({ starsRequired: 3, pity: { perStar: false, starThresholds: [1, 2] } });
+  assert.deepEqual(sc.pity.starThresholds, [1, 2, 2]);
+  assert.equal(scenarioParams(sc).starPityThresholds, undefined);
+  assert.deepEqual(scenarioParams({ ...sc, pity: { ...sc.pity, perStar: true } }).starPityThresholds, [1, 2, 2]);
+  assert.equal(scenarioParams({ ...sc, pity: { ...sc.pity, perStar: true, model: "shared" } }).starPityThresholds, undefined);
+  assert.deepEqual(SWEEP_PARAMS.starPityThreshold.apply(sc, 4).pity.starThresholds, [4, 4, 4]);
+});
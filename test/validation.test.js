@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SCENARIO, scenarioParams } from "../src/scenario.js";
+import { worstCaseFull } from "../src/engine.js";
+import { checkParams, checkPath, checkSettings, fieldIssues, blockingText, capWarning } from "../src/validation.js";
+
+const params = (patch = {}) => ({ ...scenarioParams(DEFAULT_SCENARIO), ...patch });
+
+test("the default scenario runs without errors or warnings", () => {
+  assert.deepEqual(checkParams(params()), { errors: [], warnings: [], blocked: false });
+});
+
+test("bad rates, pity and empty inputs are errors on their own fields", () => {
+  const check = checkParams(params({ starProbs: [0.2, 1.7, 0.2, 0.2], finalProb: NaN, starPityThreshold: -1 }));
+  assert.equal(check.blocked, true);
+  assert.deepEqual(
+    check.errors.map((e) => e.field),
+    ["starProbs[1]", "finalProb", "starPityThreshold"]
+  );
+  assert.equal(fieldIssues(check, "starProbs[1]")[0].blocking, true);
+  assert.deepEqual(fieldIssues(check, "starProbs[0]"), []);
+});
+
+test("level, trials and workers must be usable counts", () => {
+  const fields = (patch, run) => checkParams(params(patch), run).errors.map((e) => e.field);
+  assert.deepEqual(fields({ level: -1 }), ["level"]);
+  assert.deepEqual(fields({ level: 2.5 }), ["level"]);
+  assert.deepEqual(fields({}, { trials: NaN, workers: 0 }), ["trials", "workers"]);
+  assert.deepEqual(fields({}, { trials: 0.5, workers: 1.5 }), ["trials", "workers"]);
+  assert.deepEqual(fields({}, { trials: 1000, workers: 4 }), []);
+  assert.deepEqual(checkPath([params({ level: 18 })], { trials: NaN }).errors.map((e) => e.field), ["trials"]);
+});
+
+test("a resource named gold or after another resource is an error on its name", () => {
+  const named = (...names) => {
+    const sc = { ...DEFAULT_SCENARIO, costs: { ...DEFAULT_SCENARIO.costs, resources: names.map((name) => ({ name, rate: 0 })) } };
+    sc.costs.stars = sc.costs.stars.map(() => names.map(() => 1));
+    sc.costs.final = names.map(() => 1);
+    return checkParams(scenarioParams(sc));
+  };
+  assert.deepEqual(named("gold", "stone").errors, []);
+  const reserved = named("gold", "gold");
+  assert.deepEqual(
+    reserved.errors.map((e) => e.field),
+    ["costs.final[1].resource"]
+  );
+  assert.match(reserved.errors[0].message, /reserved/);
+  const repeated = named("gold", "stone", "stone");
+  assert.deepEqual(
+    repeated.errors.map((e) => e.field),
+    ["costs.final[2].resource"]
+  );
+  assert.match(blockingText(repeated), /repeats "stone"/);
+});
+
+test("rate 0 with pity reset on any fail is a blocking warning", () => {
+  const check = checkParams(params({ starProbs: [0.2, 0, 0.2, 0.2], starPityResetsOnAnyFail: true }));
+  assert.deepEqual(check.errors, []);
+  assert.equal(check.blocked, true);
+  assert.equal(check.warnings[0].field, "starProbs[1]");
+  assert.match(blockingText(check), /Star 2 can never succeed.*never terminates/);
+});
+
+test("a cap below the worst case warns without blocking", () => {
+  const capped = params({ maxRunAttempts: 10 });
+  assert.deepEqual(checkParams(capped), { errors: [], warnings: [], blocked: false });
+  const warning = capWarning(capped, worstCaseFull(capped));
+  assert.equal(warning.field, "maxRunAttempts");
+  assert.equal(warning.blocking, false);
+  assert.match(warning.message, /above the 10‑attempt cap/);
+  assert.equal(capWarning(params(), worstCaseFull(params())), null);
+  assert.equal(checkParams(params({ maxRunAttempts: 0 })).errors[0].field, "maxRunAttempts");
+});
+
+test("a worst case too large to compute warns without blocking", () => {
+  const warning = capWarning(params(), { attempts: NaN, gold: NaN, protectionUsed: NaN, resources: {}, tooLarge: true });
+  assert.equal(warning.blocking, false);
+  assert.match(warning.message, /too large to compute.*above the 100,000‑attempt cap/);
+  assert.doesNotMatch(capWarning(params({ maxRunAttempts: 1e7 }), { tooLarge: true }).message, /above/);
+});
+
+test("the seed and the current mode's settings must be numbers", () => {
+  const fields = (patch, mode) => checkSettings({ ...DEFAULT_SCENARIO, ...patch }, mode).errors.map((e) => e.field);
+  assert.deepEqual(fields({}, "single"), []);
+  assert.deepEqual(fields({ seed: null }, "single"), ["seed"]);
+  assert.deepEqual(fields({ path: { ...DEFAULT_SCENARIO.path, target: NaN } }, "path"), ["path.target"]);
+  assert.deepEqual(fields({ path: { ...DEFAULT_SCENARIO.path, target: NaN } }, "single"), []);
+  assert.deepEqual(
+    fields({ sweep: { ...DEFAULT_SCENARIO.sweep, x: { ...DEFAULT_SCENARIO.sweep.x, step: NaN }, trials: 0 } }, "sweep"),
+    ["sweep.x.step", "sweep.trials"]
+  );
+  assert.deepEqual(
+    fields({ seek: { ...DEFAULT_SCENARIO.seek, lo: null, trials: 2.5 } }, "seek"),
+    ["seek.lo", "seek.trials"]
+  );
+});
+
+test("checkPath names the level of each problem", () => {
+  const steps = [params({ level: 18 }), params({ level: 19, finalProb: 0, finalPityThreshold: 1.5 })];
+  const check = checkPath(steps);
+  assert.equal(check.blocked, true);
+  assert.deepEqual(
+    check.errors.map((e) => e.field),
+    ["+19 finalPityThreshold"]
+  );
+});
+
+test("an emptied path step cell is an error on that level's field", () => {
+  const steps = [params({ level: 18 }), params({ level: 19, finalProb: NaN, starProbs: [0.2, NaN, 0.2, 0.2] })];
+  const check = checkPath(steps);
+  assert.equal(check.blocked, true);
+  assert.deepEqual(
+    check.errors.map((e) => e.field),
+    ["+19 starProbs[1]", "+19 finalProb"]
+  );
+  assert.equal(fieldIssues(check, "+19 finalProb")[0].blocking, true);
+  assert.deepEqual(fieldIssues(check, "+18 finalProb"), []);
+  const stuck = checkPath([params({ level: 18, starProbs: [0.2, 0, 0.2, 0.2], starPityResetsOnAnyFail: true })]);
+  assert.equal(fieldIssues(stuck, "+18 starProbs[1]")[0].blocking, true);
+});